@@ -0,0 +1,97 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Common activity names that differ from the names in Fitbit's activity catalog.
+ */
+export const activityAliases = {
+    'jog': 'jogging', 'ジョギング': 'jogging',
+    'run': 'running', 'ランニング': 'running',
+    'walk': 'walking', 'ウォーキング': 'walking', '散歩': 'walking',
+    'bike': 'bicycling', 'cycling': 'bicycling', 'サイクリング': 'bicycling',
+    'swim': 'swimming', '水泳': 'swimming',
+    'ヨガ': 'yoga',
+    '筋トレ': 'weight lifting', 'weights': 'weight lifting',
+};
+
+/**
+ * Fitbit distanceUnit values by accepted distance unit.
+ */
+export const distanceUnitMap = {
+    'km': 'Kilometer', 'kilometer': 'Kilometer', 'kilometers': 'Kilometer', 'キロ': 'Kilometer',
+    'm': 'Meter', 'meter': 'Meter', 'meters': 'Meter',
+    'mi': 'Mile', 'mile': 'Mile', 'miles': 'Mile',
+    'steps': 'Steps', '歩': 'Steps',
+};
+
+const normalizeName = (name) => String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Flattens the categories of Fitbit's Get All Activity Types API into a list of activities.
+ * @param {object} catalog The response of Fitbit's Get All Activity Types API.
+ * @returns {Array<{id: number, name: string}>} Every activity of every category and sub-category.
+ */
+export function flattenActivityCatalog(catalog) {
+    const activities = [];
+    const visit = (category) => {
+        for (const activity of category.activities || []) {
+            activities.push({ id: activity.id, name: activity.name });
+        }
+        (category.subCategories || []).forEach(visit);
+    };
+    (catalog.categories || []).forEach(visit);
+    return activities;
+}
+
+/**
+ * Finds the catalog activity for a name: an exact match first, then the shortest activity
+ * name starting with, and finally containing, the name. Each step tries the name as given
+ * before its alias.
+ * @param {Array<{id: number, name: string}>} activities The flattened activity catalog.
+ * @param {string} name The activity name from the request.
+ * @returns {{id: number, name: string}|null} The activity, or null if nothing matches.
+ */
+export function findActivity(activities, name) {
+    const normalized = normalizeName(name);
+    const queries = activityAliases[normalized] ? [normalized, activityAliases[normalized]] : [normalized];
+    const byLength = (a, b) => a.name.length - b.name.length;
+    const matchers = [
+        (activityName, query) => activityName === query,
+        (activityName, query) => activityName.startsWith(query),
+        (activityName, query) => activityName.includes(query),
+    ];
+
+    for (const matches of matchers) {
+        for (const query of queries) {
+            const candidates = activities.filter((activity) => matches(normalizeName(activity.name), query)).sort(byLength);
+            if (candidates.length > 0) return candidates[0];
+        }
+    }
+    return null;
+}
+
+/**
+ * Converts an activity duration in minutes to milliseconds.
+ * @param {number} minutes The duration in minutes.
+ * @returns {number} The duration in milliseconds.
+ * @throws {ValidationError} If the duration is not a positive number.
+ */
+export function toDurationMillis(minutes) {
+    if (typeof minutes !== 'number' || !(minutes > 0)) {
+        throw new ValidationError('Invalid duration_minutes: must be a positive number.');
+    }
+    return Math.round(minutes * 60 * 1000);
+}
+
+/**
+ * Returns Fitbit's distanceUnit for a distance unit from the request.
+ * @param {string} [unit="km"] The distance unit.
+ * @returns {string} The Fitbit distanceUnit.
+ * @throws {ValidationError} If the unit is unknown.
+ */
+export function getDistanceUnit(unit = 'km') {
+    const distanceUnit = distanceUnitMap[String(unit).toLowerCase()];
+    if (!distanceUnit) {
+        throw new ValidationError(`Invalid distance unit "${unit}": use km, m, mi or steps.`);
+    }
+    return distanceUnit;
+}
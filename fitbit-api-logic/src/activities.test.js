@@ -0,0 +1,56 @@
+import { flattenActivityCatalog, findActivity, toDurationMillis, getDistanceUnit } from './activities';
+import { ValidationError } from './errors';
+
+const catalog = {
+    categories: [{
+        name: 'Running',
+        activities: [{ id: 90009, name: 'Run' }, { id: 17151, name: 'Jogging' }, { id: 17160, name: 'Jogging, on a mini-tramp' }],
+    }, {
+        name: 'Walking',
+        activities: [{ id: 90013, name: 'Walk' }],
+        subCategories: [{ activities: [{ id: 17200, name: 'Walking, 3.0 mph' }, { id: 17190, name: 'Walking' }] }],
+    }],
+};
+const activities = flattenActivityCatalog(catalog);
+
+describe('flattenActivityCatalog', () => {
+    test('should collect the activities of categories and sub-categories', () => {
+        expect(activities).toHaveLength(6);
+        expect(activities).toContainEqual({ id: 17190, name: 'Walking' });
+    });
+});
+
+describe('findActivity', () => {
+    test('should prefer an exact, case-insensitive match', () => {
+        expect(findActivity(activities, ' jogging ')).toEqual({ id: 17151, name: 'Jogging' });
+    });
+
+    test('should resolve English and Japanese aliases', () => {
+        expect(findActivity(activities, 'ジョギング')).toEqual({ id: 17151, name: 'Jogging' });
+        expect(findActivity(activities, '散歩')).toEqual({ id: 17190, name: 'Walking' });
+    });
+
+    test('should fall back to the shortest partial match', () => {
+        expect(findActivity(activities, 'mini-tramp')).toEqual({ id: 17160, name: 'Jogging, on a mini-tramp' });
+    });
+
+    test('should return null for unknown activities', () => {
+        expect(findActivity(activities, 'Kendo')).toBeNull();
+    });
+});
+
+describe('toDurationMillis', () => {
+    test('should convert minutes to milliseconds', () => {
+        expect(toDurationMillis(30)).toBe(1800000);
+        expect(() => toDurationMillis(0)).toThrow(ValidationError);
+    });
+});
+
+describe('getDistanceUnit', () => {
+    test('should map distance units to Fitbit distance units', () => {
+        expect(getDistanceUnit('km')).toBe('Kilometer');
+        expect(getDistanceUnit('Miles')).toBe('Mile');
+        expect(getDistanceUnit()).toBe('Kilometer');
+        expect(() => getDistanceUnit('yards')).toThrow('Invalid distance unit "yards": use km, m, mi or steps.');
+    });
+});
@@ -0,0 +1,59 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Kilograms per unit accepted for body weight.
+ */
+export const weightUnitMap = {
+    'kg': 1, 'kgs': 1, 'kilogram': 1, 'kilograms': 1, 'キロ': 1,
+    'lb': 0.45359237, 'lbs': 0.45359237, 'pound': 0.45359237, 'pounds': 0.45359237,
+};
+
+/**
+ * Converts a body weight to kilograms.
+ * @param {number} weight The weight in the given unit.
+ * @param {string} [unit="kg"] One of the units of weightUnitMap.
+ * @returns {number} The weight in kilograms, rounded to 2 decimals.
+ * @throws {ValidationError} If the weight is not a positive number or the unit is unknown.
+ */
+export function convertWeightToKilograms(weight, unit = 'kg') {
+    if (typeof weight !== 'number' || !(weight > 0)) {
+        throw new ValidationError('Invalid weight: must be a positive number.');
+    }
+    const kgPerUnit = weightUnitMap[String(unit).toLowerCase()];
+    if (!kgPerUnit) {
+        throw new ValidationError(`Invalid weight unit "${unit}": use kg or lb.`);
+    }
+    return Math.round(weight * kgPerUnit * 100) / 100;
+}
+
+/**
+ * Validates a body-fat percentage.
+ * @param {number} bodyFat The body fat in percent.
+ * @returns {number} The body fat.
+ * @throws {ValidationError} If the value is not a percentage.
+ */
+export function validateBodyFat(bodyFat) {
+    if (typeof bodyFat !== 'number' || !(bodyFat > 0 && bodyFat < 100)) {
+        throw new ValidationError('Invalid body_fat: must be a percentage between 0 and 100.');
+    }
+    return bodyFat;
+}
+
+/**
+ * Converts a log time to the HH:mm:ss format of Fitbit's body log endpoints.
+ * @param {string} [time] The time in HH:mm or HH:mm:ss format.
+ * @returns {string|undefined} The time in HH:mm:ss format, or undefined if no time was given.
+ * @throws {ValidationError} If the time has another format.
+ */
+export function toBodyLogTime(time) {
+    if (time === undefined || time === null || time === '') {
+        return undefined;
+    }
+    if (/^\d{2}:\d{2}$/.test(time)) {
+        return `${time}:00`;
+    }
+    if (/^\d{2}:\d{2}:\d{2}$/.test(time)) {
+        return time;
+    }
+    throw new ValidationError('Invalid log_time: use the HH:mm format.');
+}
@@ -0,0 +1,35 @@
+import { convertWeightToKilograms, validateBodyFat, toBodyLogTime } from './body';
+import { ValidationError } from './errors';
+
+describe('convertWeightToKilograms', () => {
+    test('should convert kg and lb to kilograms', () => {
+        expect(convertWeightToKilograms(65.4, 'kg')).toBe(65.4);
+        expect(convertWeightToKilograms(150, 'lbs')).toBe(68.04);
+        expect(convertWeightToKilograms(70)).toBe(70);
+    });
+
+    test('should throw ValidationError for invalid weights or units', () => {
+        expect(() => convertWeightToKilograms(-1, 'kg')).toThrow(ValidationError);
+        expect(() => convertWeightToKilograms(60, 'stone')).toThrow('Invalid weight unit "stone": use kg or lb.');
+    });
+});
+
+describe('validateBodyFat', () => {
+    test('should accept percentages and reject other values', () => {
+        expect(validateBodyFat(21.5)).toBe(21.5);
+        expect(() => validateBodyFat(0)).toThrow(ValidationError);
+        expect(() => validateBodyFat(120)).toThrow(ValidationError);
+    });
+});
+
+describe('toBodyLogTime', () => {
+    test('should convert HH:mm to HH:mm:ss', () => {
+        expect(toBodyLogTime('07:30')).toBe('07:30:00');
+        expect(toBodyLogTime('07:30:15')).toBe('07:30:15');
+        expect(toBodyLogTime(undefined)).toBeUndefined();
+    });
+
+    test('should throw ValidationError for other formats', () => {
+        expect(() => toBodyLogTime('7am')).toThrow(ValidationError);
+    });
+});
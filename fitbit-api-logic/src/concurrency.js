@@ -0,0 +1,47 @@
+/**
+ * Runs an async task for every item with at most `limit` tasks at a time. Tasks are started in
+ * the order of the items, and the results keep that order regardless of which task finishes
+ * first, like Promise.allSettled.
+ * @param {Array} items The items.
+ * @param {number} limit The most tasks running at the same time (at least 1).
+ * @param {Function} task Called with the item and its index; returns a promise.
+ * @param {object} [options]
+ * @param {boolean} [options.stopOnError] Do not start further tasks once a task has failed;
+ *   the tasks already running are still awaited.
+ * @returns {Promise<Array<{status: string, value?: *, reason?: Error}>>} A result per item:
+ *   "fulfilled" with its value, "rejected" with its reason, or "skipped" if the task was not
+ *   started because of stopOnError.
+ */
+export async function mapSettled(items, limit, task, { stopOnError = false } = {}) {
+    const results = new Array(items.length).fill(null);
+    let nextIndex = 0;
+    let failed = false;
+
+    const runNext = async () => {
+        while (nextIndex < items.length && !(stopOnError && failed)) {
+            const index = nextIndex++;
+            try {
+                results[index] = { status: 'fulfilled', value: await task(items[index], index) };
+            } catch (error) {
+                results[index] = { status: 'rejected', reason: error };
+                failed = true;
+            }
+        }
+    };
+
+    const workerCount = Math.min(Math.max(1, Math.floor(limit) || 1), items.length);
+    await Promise.all(Array.from({ length: workerCount }, runNext));
+    return results.map((result) => result || { status: 'skipped' });
+}
+
+/**
+ * Throws the error of the first rejected result, in the order of the items.
+ * @param {Array<{status: string, reason?: Error}>} results The results of mapSettled.
+ * @throws {Error} The reason of the first rejected result, if any.
+ */
+export function throwFirstError(results) {
+    const failure = results.find((result) => result.status === 'rejected');
+    if (failure) {
+        throw failure.reason;
+    }
+}
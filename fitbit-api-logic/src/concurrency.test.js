@@ -0,0 +1,108 @@
+import { mapSettled, throwFirstError } from './concurrency';
+
+// 呼び出し側で完了させるまで待つタスク
+const createDeferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+};
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('mapSettled', () => {
+    test('should run at most limit tasks at a time and start them in order', async () => {
+        const deferreds = [1, 2, 3, 4, 5].map(createDeferred);
+        const started = [];
+        const promise = mapSettled([1, 2, 3, 4, 5], 2, (item, index) => {
+            started.push(item);
+            return deferreds[index].promise;
+        });
+
+        await flushPromises();
+        expect(started).toEqual([1, 2]);
+
+        deferreds[1].resolve('b');
+        await flushPromises();
+        expect(started).toEqual([1, 2, 3]);
+
+        deferreds[0].resolve('a');
+        deferreds[2].resolve('c');
+        await flushPromises();
+        expect(started).toEqual([1, 2, 3, 4, 5]);
+
+        deferreds[4].resolve('e');
+        deferreds[3].resolve('d');
+        await expect(promise).resolves.toEqual(['a', 'b', 'c', 'd', 'e'].map((value) => ({ status: 'fulfilled', value })));
+    });
+
+    test('should keep the order of the items when later tasks finish first', async () => {
+        const delays = [30, 10, 20, 0];
+        const results = await mapSettled(delays, 4, (delay, index) => new Promise((resolve) => setTimeout(() => resolve(index), delay)));
+
+        expect(results.map((result) => result.value)).toEqual([0, 1, 2, 3]);
+    });
+
+    test('should report rejected tasks and keep running the others', async () => {
+        const results = await mapSettled([1, 2, 3], 1, async (item) => {
+            if (item === 2) {
+                throw new Error('failed 2');
+            }
+            return item;
+        });
+
+        expect(results).toEqual([
+            { status: 'fulfilled', value: 1 },
+            { status: 'rejected', reason: new Error('failed 2') },
+            { status: 'fulfilled', value: 3 },
+        ]);
+    });
+
+    test('should not start further tasks after a failure with stopOnError', async () => {
+        const task = jest.fn(async (item) => {
+            if (item === 2) {
+                throw new Error('failed 2');
+            }
+            return item;
+        });
+
+        const results = await mapSettled([1, 2, 3, 4], 1, task, { stopOnError: true });
+
+        expect(task).toHaveBeenCalledTimes(2);
+        expect(results.map((result) => result.status)).toEqual(['fulfilled', 'rejected', 'skipped', 'skipped']);
+    });
+
+    test('should run one task at a time for a limit below 1', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        await mapSettled([1, 2, 3], 0, async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await flushPromises();
+            running--;
+        });
+
+        expect(maxRunning).toBe(1);
+    });
+
+    test('should return an empty array for no items', async () => {
+        await expect(mapSettled([], 4, jest.fn())).resolves.toEqual([]);
+    });
+});
+
+describe('throwFirstError', () => {
+    test('should throw the reason of the first rejected result', () => {
+        expect(() => throwFirstError([
+            { status: 'fulfilled', value: 1 },
+            { status: 'rejected', reason: new Error('first') },
+            { status: 'rejected', reason: new Error('second') },
+        ])).toThrow('first');
+    });
+
+    test('should not throw without rejected results', () => {
+        expect(() => throwFirstError([{ status: 'fulfilled', value: 1 }, { status: 'skipped' }])).not.toThrow();
+    });
+});
@@ -0,0 +1,92 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Relative dates accepted for log_date, as days from today in the user's timezone.
+ */
+export const relativeDates = {
+    'today': 0, '今日': 0, 'きょう': 0, '本日': 0,
+    'yesterday': -1, '昨日': -1, 'きのう': -1,
+    'last night': -1, '昨夜': -1, '昨晩': -1, 'ゆうべ': -1,
+};
+
+// "Last night" without a log_time is logged at this time rather than the current time
+const LAST_NIGHT_NAMES = ['last night', '昨夜', '昨晩', 'ゆうべ'];
+const LAST_NIGHT_TIME = '21:00';
+
+const normalizeRelativeDate = (value) => String(value).normalize('NFKC').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Checks whether a value is one of the relative dates, e.g. "today" or "昨日".
+ * @param {*} value The log_date from the request.
+ * @returns {boolean} True for a relative date.
+ */
+export function isRelativeDate(value) {
+    return typeof value === 'string' && relativeDates[normalizeRelativeDate(value)] !== undefined;
+}
+
+/**
+ * Checks whether a timezone is an IANA timezone name supported by Intl, e.g. "Asia/Tokyo".
+ * @param {string} timeZone The timezone.
+ * @returns {boolean} True if the timezone can be used.
+ */
+export function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone === '') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Returns the local date and time of an instant in a timezone.
+ * @param {string} timeZone The IANA timezone, e.g. "Asia/Tokyo".
+ * @param {Date} [now] The instant; defaults to the current time.
+ * @returns {{date: string, time: string}} The date (yyyy-MM-dd) and time (HH:mm).
+ */
+export function getLocalDateTime(timeZone, now = new Date()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(now).map((part) => [part.type, part.value]));
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+/**
+ * Adds days to a yyyy-MM-dd date.
+ */
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Resolves the log date and time of a request in the user's timezone: a missing date or time
+ * is "now", and a relative date such as "yesterday" or "昨日" is converted to yyyy-MM-dd.
+ * "Last night" (昨夜) without a time is logged at LAST_NIGHT_TIME.
+ * @param {string} [logDate] The log_date from the request: yyyy-MM-dd, a relative date or missing.
+ * @param {string} [logTime] The log_time from the request: HH:mm or missing.
+ * @param {string} timeZone The user's IANA timezone.
+ * @param {Date} [now] The current time.
+ * @returns {{logDate: string, logTime: string}} The date (yyyy-MM-dd) and time (HH:mm or HH:mm:ss).
+ * @throws {ValidationError} If the timezone is unknown.
+ */
+export function resolveLogDateTime(logDate, logTime, timeZone, now = new Date()) {
+    if (!isValidTimeZone(timeZone)) {
+        throw new ValidationError(`Unknown timezone "${timeZone}": use an IANA timezone such as Asia/Tokyo.`);
+    }
+    const local = getLocalDateTime(timeZone, now);
+    if (logDate === undefined || logDate === null || logDate === '') {
+        return { logDate: local.date, logTime: logTime || local.time };
+    }
+    if (!isRelativeDate(logDate)) {
+        return { logDate, logTime: logTime || local.time };
+    }
+    const name = normalizeRelativeDate(logDate);
+    const defaultTime = LAST_NIGHT_NAMES.includes(name) ? LAST_NIGHT_TIME : local.time;
+    return { logDate: addDays(local.date, relativeDates[name]), logTime: logTime || defaultTime };
+}
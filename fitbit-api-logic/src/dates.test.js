@@ -0,0 +1,53 @@
+import { isRelativeDate, isValidTimeZone, getLocalDateTime, resolveLogDateTime } from './dates';
+import { ValidationError } from './errors';
+
+// 2023-01-02 00:30 in Asia/Tokyo, 2023-01-01 15:30 in UTC
+const now = new Date('2023-01-01T15:30:00Z');
+
+describe('isRelativeDate', () => {
+    test('should accept English and Japanese relative dates', () => {
+        expect(isRelativeDate('today')).toBe(true);
+        expect(isRelativeDate('Yesterday')).toBe(true);
+        expect(isRelativeDate('昨夜')).toBe(true);
+        expect(isRelativeDate('2023-01-01')).toBe(false);
+        expect(isRelativeDate(undefined)).toBe(false);
+    });
+});
+
+describe('isValidTimeZone', () => {
+    test('should accept IANA timezones only', () => {
+        expect(isValidTimeZone('Asia/Tokyo')).toBe(true);
+        expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+        expect(isValidTimeZone('')).toBe(false);
+    });
+});
+
+describe('getLocalDateTime', () => {
+    test('should return the date and time in the timezone', () => {
+        expect(getLocalDateTime('Asia/Tokyo', now)).toEqual({ date: '2023-01-02', time: '00:30' });
+        expect(getLocalDateTime('UTC', now)).toEqual({ date: '2023-01-01', time: '15:30' });
+    });
+});
+
+describe('resolveLogDateTime', () => {
+    test('should fill in a missing date and time with now', () => {
+        expect(resolveLogDateTime(undefined, undefined, 'Asia/Tokyo', now)).toEqual({ logDate: '2023-01-02', logTime: '00:30' });
+        expect(resolveLogDateTime('2022-12-31', undefined, 'Asia/Tokyo', now)).toEqual({ logDate: '2022-12-31', logTime: '00:30' });
+        expect(resolveLogDateTime(undefined, '08:00', 'UTC', now)).toEqual({ logDate: '2023-01-01', logTime: '08:00' });
+    });
+
+    test('should resolve relative dates in the timezone', () => {
+        expect(resolveLogDateTime('今日', '12:00', 'Asia/Tokyo', now)).toEqual({ logDate: '2023-01-02', logTime: '12:00' });
+        expect(resolveLogDateTime('昨日', undefined, 'Asia/Tokyo', now)).toEqual({ logDate: '2023-01-01', logTime: '00:30' });
+        expect(resolveLogDateTime('yesterday', '07:00', 'UTC', now)).toEqual({ logDate: '2022-12-31', logTime: '07:00' });
+    });
+
+    test('should log last night at 21:00 unless a time is given', () => {
+        expect(resolveLogDateTime('昨夜', undefined, 'Asia/Tokyo', now)).toEqual({ logDate: '2023-01-01', logTime: '21:00' });
+        expect(resolveLogDateTime('last night', '23:30', 'Asia/Tokyo', now)).toEqual({ logDate: '2023-01-01', logTime: '23:30' });
+    });
+
+    test('should throw ValidationError for an unknown timezone', () => {
+        expect(() => resolveLogDateTime(undefined, undefined, 'JST+9', now)).toThrow(ValidationError);
+    });
+});
@@ -14,8 +14,14 @@ export class AuthenticationError extends CustomError {
 }
 
 export class ValidationError extends CustomError {
-    constructor(message = 'Validation failed', statusCode = 400) {
+    /**
+     * @param {string} [message] The error message.
+     * @param {number} [statusCode] The HTTP status code.
+     * @param {Array<{path: string, code: string, message: string}>} [details] The invalid fields.
+     */
+    constructor(message = 'Validation failed', statusCode = 400, details = []) {
         super(message, statusCode);
+        this.details = details;
     }
 }
 
@@ -36,3 +42,21 @@ export class MethodNotAllowedError extends CustomError {
         super(message, statusCode);
     }
 }
+
+export class ConflictError extends CustomError {
+    constructor(message = 'Conflict', statusCode = 409) {
+        super(message, statusCode);
+    }
+}
+
+export class RateLimitError extends CustomError {
+    /**
+     * @param {string} [message] The error message.
+     * @param {number} [statusCode] The HTTP status code.
+     * @param {number|null} [retryAfter] Seconds until the quota is reset, if known.
+     */
+    constructor(message = 'Rate limit exceeded', statusCode = 429, retryAfter = null) {
+        super(message, statusCode);
+        this.retryAfter = retryAfter;
+    }
+}
@@ -4,7 +4,9 @@ import {
     ValidationError,
     NotFoundError,
     FitbitApiError,
-    MethodNotAllowedError
+    MethodNotAllowedError,
+    ConflictError,
+    RateLimitError
 } from './errors';
 
 describe('CustomError', () => {
@@ -65,6 +67,12 @@ describe('ValidationError', () => {
         expect(error.statusCode).toBe(422);
         expect(error.name).toBe('ValidationError');
     });
+
+    test('should carry field-level details', () => {
+        const details = [{ path: 'foods[0].amount', code: 'too_small', message: 'foods[0].amount must be greater than 0.' }];
+        expect(new ValidationError('Invalid request', 400, details).details).toEqual(details);
+        expect(new ValidationError().details).toEqual([]);
+    });
 });
 
 describe('NotFoundError', () => {
@@ -126,3 +134,42 @@ describe('MethodNotAllowedError', () => {
         expect(error.name).toBe('MethodNotAllowedError');
     });
 });
+
+describe('ConflictError', () => {
+    test('should create an instance with default message and status code', () => {
+        const error = new ConflictError();
+        expect(error).toBeInstanceOf(ConflictError);
+        expect(error).toBeInstanceOf(CustomError);
+        expect(error.message).toBe('Conflict');
+        expect(error.statusCode).toBe(409);
+        expect(error.name).toBe('ConflictError');
+    });
+
+    test('should create an instance with a custom message and status code', () => {
+        const error = new ConflictError('Request in progress', 409);
+        expect(error).toBeInstanceOf(ConflictError);
+        expect(error).toBeInstanceOf(CustomError);
+        expect(error.message).toBe('Request in progress');
+        expect(error.statusCode).toBe(409);
+        expect(error.name).toBe('ConflictError');
+    });
+});
+
+describe('RateLimitError', () => {
+    test('should create an instance with default message, status code and retryAfter', () => {
+        const error = new RateLimitError();
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error).toBeInstanceOf(CustomError);
+        expect(error.message).toBe('Rate limit exceeded');
+        expect(error.statusCode).toBe(429);
+        expect(error.retryAfter).toBeNull();
+        expect(error.name).toBe('RateLimitError');
+    });
+
+    test('should create an instance with a custom message and retryAfter', () => {
+        const error = new RateLimitError('Quota exhausted', 429, 120);
+        expect(error.message).toBe('Quota exhausted');
+        expect(error.statusCode).toBe(429);
+        expect(error.retryAfter).toBe(120);
+    });
+});
@@ -1,5 +1,11 @@
 import admin from "firebase-admin";
-import { AuthenticationError } from "./errors.js";
+import { createHash } from "crypto";
+import {
+  AuthenticationError,
+  ValidationError,
+  ConflictError,
+} from "./errors.js";
+import { getTemplateKey } from "./templates.js";
 
 // Firebase Admin SDKを初期化
 // このチェックにより、一度だけ初期化されることを保証します。
@@ -13,6 +19,25 @@ const db = admin.firestore();
 
 // トークン用のFirestoreコレクション
 const FITBIT_TOKENS_COLLECTION = "fitbit_tokens";
+// 冪等性キー用のFirestoreコレクション
+const IDEMPOTENCY_KEYS_COLLECTION = "idempotency_keys";
+// 食事ログの記録用のFirestoreコレクション (meal_logs/{firebaseUid}/meals/{mealId})
+const MEAL_LOGS_COLLECTION = "meal_logs";
+// array-contains-any クエリで指定できる値の上限
+const ARRAY_CONTAINS_ANY_LIMIT = 30;
+// 作成済みカスタム食品のカタログ用のFirestoreコレクション (food_catalog/{fitbitUserId}/foods/{fingerprint})
+const FOOD_CATALOG_COLLECTION = "food_catalog";
+// in クエリで指定できる値の上限
+const IN_QUERY_LIMIT = 30;
+// ユーザー設定用のFirestoreコレクション (user_preferences/{firebaseUid})
+const USER_PREFERENCES_COLLECTION = "user_preferences";
+// 食事テンプレート用のFirestoreコレクション (meal_templates/{firebaseUid}/templates/{テンプレート名のキー})
+const MEAL_TEMPLATES_COLLECTION = "meal_templates";
+
+// 同じ冪等性キーに対して保存済みレスポンスを再送する期間 (24時間)
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+// 処理中のまま残ったキーを放棄されたとみなすまでの時間 (関数のタイムアウトより長くする)
+const IDEMPOTENCY_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
 
 /**
  * Firebase IDトークンを検証し、デコードされたトークンを返します。
@@ -77,3 +102,449 @@ export async function saveTokensToFirestore(firebaseUid, fitbitUserId, tokens) {
     `Successfully saved tokens for Firebase user ${firebaseUid} (Fitbit user ${fitbitUserId})`
   );
 }
+
+/**
+ * 冪等性キーのドキュメント参照を返します。
+ * キーはクライアントが自由に指定できるため、ハッシュ化してドキュメントIDに使用します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} idempotencyKey クライアントが指定した冪等性キー。
+ * @returns {admin.firestore.DocumentReference} ドキュメント参照。
+ */
+function getIdempotencyDocRef(firebaseUid, idempotencyKey) {
+  const keyHash = createHash("sha256").update(idempotencyKey).digest("hex");
+  return db
+    .collection(IDEMPOTENCY_KEYS_COLLECTION)
+    .doc(`${firebaseUid}_${keyHash}`);
+}
+
+/**
+ * 冪等性キー付きリクエストの処理を開始します。
+ * 有効期間内に完了済みのキーであれば保存済みレスポンスを返し、
+ * 処理中のキーであればConflictErrorをスローします。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} idempotencyKey クライアントが指定した冪等性キー。
+ * @param {object} requestBody リクエストボディ。同じキーで異なる内容が送られていないかの確認に使用します。
+ * @returns {Promise<object|null>} 保存済みレスポンス ({ statusCode, body })、新規リクエストの場合はnull。
+ */
+export async function beginIdempotentRequest(
+  firebaseUid,
+  idempotencyKey,
+  requestBody
+) {
+  const docRef = getIdempotencyDocRef(firebaseUid, idempotencyKey);
+  const requestHash = createHash("sha256")
+    .update(JSON.stringify(requestBody))
+    .digest("hex");
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    const now = new Date().getTime();
+
+    if (doc.exists) {
+      const record = doc.data();
+      const isActive =
+        record.status === "completed"
+          ? now < record.expiresAt
+          : now < record.lockedAt + IDEMPOTENCY_LOCK_TIMEOUT_MS;
+
+      if (isActive) {
+        if (record.requestHash !== requestHash) {
+          throw new ValidationError(
+            "Idempotency key has already been used with a different request body.",
+            422
+          );
+        }
+        if (record.status === "completed") {
+          console.log(
+            `Replaying stored response for idempotency key of user ${firebaseUid}`
+          );
+          return record.response;
+        }
+        throw new ConflictError(
+          "A request with the same idempotency key is already in progress."
+        );
+      }
+    }
+
+    transaction.set(docRef, {
+      firebaseUid: firebaseUid,
+      status: "in_progress",
+      requestHash: requestHash,
+      lockedAt: now,
+      expiresAt: now + IDEMPOTENCY_TTL_MS,
+    });
+    return null;
+  });
+}
+
+/**
+ * 冪等性キー付きリクエストの結果を保存し、以降の同一キーのリクエストで再送できるようにします。
+ * レスポンスはJSONとして送る内容で保存します (Firestoreが受け付けない undefined の項目は除く)。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} idempotencyKey クライアントが指定した冪等性キー。
+ * @param {object} response 保存するレスポンス ({ statusCode, body })。
+ */
+export async function completeIdempotentRequest(
+  firebaseUid,
+  idempotencyKey,
+  response
+) {
+  const now = new Date().getTime();
+  await getIdempotencyDocRef(firebaseUid, idempotencyKey).update({
+    status: "completed",
+    response: JSON.parse(JSON.stringify(response)),
+    completedAt: now,
+    expiresAt: now + IDEMPOTENCY_TTL_MS,
+  });
+}
+
+/**
+ * 処理に失敗した冪等性キーを解放し、クライアントが同じキーで再試行できるようにします。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} idempotencyKey クライアントが指定した冪等性キー。
+ */
+export async function releaseIdempotentRequest(firebaseUid, idempotencyKey) {
+  await getIdempotencyDocRef(firebaseUid, idempotencyKey).delete();
+}
+
+/**
+ * ユーザーの食事記録のコレクション参照を返します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @returns {admin.firestore.CollectionReference} コレクション参照。
+ */
+function getMealsCollection(firebaseUid) {
+  return db
+    .collection(MEAL_LOGS_COLLECTION)
+    .doc(firebaseUid)
+    .collection("meals");
+}
+
+/**
+ * 食事記録ドキュメントをIDを含むオブジェクトに変換します。
+ * @param {admin.firestore.DocumentSnapshot} doc ドキュメントスナップショット。
+ * @returns {object} 食事記録。
+ */
+function toMealRecord(doc) {
+  return { mealId: doc.id, ...doc.data() };
+}
+
+/**
+ * エントリのカスタム食品IDの一覧を返します (食品を参照する食事記録の検索用)。
+ * @param {Array<object>} entries 食事記録のエントリ。
+ * @returns {Array<string|number>} 重複のない食品ID。
+ */
+function getEntryFoodIds(entries) {
+  return [
+    ...new Set(
+      entries.map((entry) => entry.foodId).filter((foodId) => foodId != null)
+    ),
+  ];
+}
+
+/**
+ * 1回の食事ログリクエストで作成されたFitbitのログと食品を記録します。
+ * 後から取り消し (DELETE) や修正を行うために使用します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {object} record 食事記録 (fitbitUserId, logDate, logTime, mealTypeId, entries, waterLogIds)。
+ * @returns {Promise<string>} 作成された食事記録のID。
+ */
+export async function saveMealRecord(firebaseUid, record) {
+  const docRef = await getMealsCollection(firebaseUid).add({
+    ...record,
+    logIds: record.entries.map((entry) => entry.logId),
+    foodIds: getEntryFoodIds(record.entries),
+    createdAt: new Date().getTime(),
+  });
+  console.log(`Saved meal record ${docRef.id} for user ${firebaseUid}`);
+  return docRef.id;
+}
+
+/**
+ * 指定されたIDの食事記録を取得します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} mealId 食事記録のID。
+ * @returns {Promise<object|null>} 食事記録、見つからない場合はnull。
+ */
+export async function getMealRecord(firebaseUid, mealId) {
+  const doc = await getMealsCollection(firebaseUid).doc(mealId).get();
+  return doc.exists ? toMealRecord(doc) : null;
+}
+
+/**
+ * ユーザーの最新の食事記録を取得します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @returns {Promise<object|null>} 食事記録、見つからない場合はnull。
+ */
+export async function getLatestMealRecord(firebaseUid) {
+  const querySnapshot = await getMealsCollection(firebaseUid)
+    .orderBy("createdAt", "desc")
+    .limit(1)
+    .get();
+  return querySnapshot.empty ? null : toMealRecord(querySnapshot.docs[0]);
+}
+
+/**
+ * 配列フィールドに指定された値のいずれかを含む食事記録を取得します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} field 配列フィールド (logIds または foodIds)。
+ * @param {Array<string|number>} values 検索する値。
+ * @returns {Promise<Array<object>>} 食事記録の配列。
+ */
+async function findMealRecordsByArrayField(firebaseUid, field, values) {
+  const records = new Map();
+  for (let i = 0; i < values.length; i += ARRAY_CONTAINS_ANY_LIMIT) {
+    const querySnapshot = await getMealsCollection(firebaseUid)
+      .where(
+        field,
+        "array-contains-any",
+        values.slice(i, i + ARRAY_CONTAINS_ANY_LIMIT)
+      )
+      .get();
+    querySnapshot.docs.forEach((doc) => records.set(doc.id, toMealRecord(doc)));
+  }
+  return [...records.values()];
+}
+
+/**
+ * 指定されたFitbitログIDのいずれかを含む食事記録を取得します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {Array<string|number>} logIds FitbitのフードログID。
+ * @returns {Promise<Array<object>>} 食事記録の配列。
+ */
+export async function findMealRecordsByLogIds(firebaseUid, logIds) {
+  return findMealRecordsByArrayField(firebaseUid, "logIds", logIds);
+}
+
+/**
+ * 指定されたカスタム食品のいずれかを記録した食事記録を取得します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {Array<string|number>} foodIds Fitbitの食品ID。
+ * @returns {Promise<Array<object>>} 食事記録の配列。
+ */
+export async function findMealRecordsByFoodIds(firebaseUid, foodIds) {
+  return findMealRecordsByArrayField(firebaseUid, "foodIds", foodIds);
+}
+
+/**
+ * 食事記録のエントリと水分ログを更新します。どちらも空になった場合は記録自体を削除します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} mealId 食事記録のID。
+ * @param {Array<object>} entries 残すエントリ。
+ * @param {Array<string|number>} [waterLogIds] 残す水分ログのID。
+ */
+export async function updateMealRecordEntries(
+  firebaseUid,
+  mealId,
+  entries,
+  waterLogIds = []
+) {
+  const docRef = getMealsCollection(firebaseUid).doc(mealId);
+  if (entries.length === 0 && waterLogIds.length === 0) {
+    await docRef.delete();
+    return;
+  }
+  await docRef.update({
+    entries: entries,
+    logIds: entries.map((entry) => entry.logId),
+    foodIds: getEntryFoodIds(entries),
+    waterLogIds: waterLogIds,
+  });
+}
+
+/**
+ * Fitbitユーザーの食品カタログのコレクション参照を返します。
+ * @param {string} fitbitUserId FitbitユーザーID。
+ * @returns {admin.firestore.CollectionReference} コレクション参照。
+ */
+function getCatalogFoodsCollection(fitbitUserId) {
+  return db
+    .collection(FOOD_CATALOG_COLLECTION)
+    .doc(fitbitUserId)
+    .collection("foods");
+}
+
+/**
+ * 食品のフィンガープリントに一致する、作成済みのカスタム食品を取得します。
+ * @param {string} fitbitUserId FitbitユーザーID。
+ * @param {string} fingerprint 食品のフィンガープリント。
+ * @returns {Promise<object|null>} カタログの食品 (foodId, foodName, unitId)、見つからない場合はnull。
+ */
+export async function getCatalogFood(fitbitUserId, fingerprint) {
+  const doc = await getCatalogFoodsCollection(fitbitUserId)
+    .doc(fingerprint)
+    .get();
+  return doc.exists ? { fingerprint: doc.id, ...doc.data() } : null;
+}
+
+/**
+ * 作成したカスタム食品を、再利用できるようにカタログに保存します。
+ * @param {string} fitbitUserId FitbitユーザーID。
+ * @param {string} fingerprint 食品のフィンガープリント。
+ * @param {object} food カタログの食品 (foodId, foodName, unitId)。
+ */
+export async function saveCatalogFood(fitbitUserId, fingerprint, food) {
+  await getCatalogFoodsCollection(fitbitUserId)
+    .doc(fingerprint)
+    .set({ ...food, createdAt: new Date().getTime() });
+}
+
+/**
+ * カタログから食品を削除します。
+ * @param {string} fitbitUserId FitbitユーザーID。
+ * @param {string} fingerprint 食品のフィンガープリント。
+ */
+export async function deleteCatalogFood(fitbitUserId, fingerprint) {
+  await getCatalogFoodsCollection(fitbitUserId).doc(fingerprint).delete();
+}
+
+/**
+ * Fitbitから削除したカスタム食品をカタログから削除します。
+ * @param {string} fitbitUserId FitbitユーザーID。
+ * @param {Array<string|number>} foodIds 削除したFitbitの食品ID。
+ */
+export async function deleteCatalogFoodsByFoodIds(fitbitUserId, foodIds) {
+  for (let i = 0; i < foodIds.length; i += IN_QUERY_LIMIT) {
+    const querySnapshot = await getCatalogFoodsCollection(fitbitUserId)
+      .where("foodId", "in", foodIds.slice(i, i + IN_QUERY_LIMIT))
+      .get();
+    await Promise.all(querySnapshot.docs.map((doc) => doc.ref.delete()));
+  }
+}
+
+/**
+ * ユーザーの設定を取得します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @returns {Promise<object>} 保存されている設定。未設定の場合は空のオブジェクト。
+ */
+export async function getUserPreferences(firebaseUid) {
+  const doc = await db
+    .collection(USER_PREFERENCES_COLLECTION)
+    .doc(firebaseUid)
+    .get();
+  return doc.exists ? doc.data() : {};
+}
+
+/**
+ * ユーザーの設定を更新します。指定されていない項目は変更しません。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {object} preferences 更新する設定。
+ * @returns {Promise<object>} 更新後の設定。
+ */
+export async function updateUserPreferences(firebaseUid, preferences) {
+  const docRef = db.collection(USER_PREFERENCES_COLLECTION).doc(firebaseUid);
+  await docRef.set(
+    { ...preferences, updatedAt: new Date().getTime() },
+    { merge: true }
+  );
+  const doc = await docRef.get();
+  return doc.data();
+}
+
+/**
+ * テンプレート名に対応する食事テンプレートのドキュメント参照を返します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} name テンプレート名。
+ * @returns {admin.firestore.DocumentReference} ドキュメント参照。
+ */
+function getMealTemplateDocRef(firebaseUid, name) {
+  return db
+    .collection(MEAL_TEMPLATES_COLLECTION)
+    .doc(firebaseUid)
+    .collection("templates")
+    .doc(getTemplateKey(name));
+}
+
+/**
+ * ユーザーの食事テンプレートを名前順に取得します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @returns {Promise<Array<object>>} 食事テンプレート (name, foods, updatedAt) の配列。
+ */
+export async function listMealTemplates(firebaseUid) {
+  const querySnapshot = await db
+    .collection(MEAL_TEMPLATES_COLLECTION)
+    .doc(firebaseUid)
+    .collection("templates")
+    .orderBy("name")
+    .get();
+  return querySnapshot.docs.map((doc) => doc.data());
+}
+
+/**
+ * 名前を指定して食事テンプレートを取得します。大文字・小文字や全角・半角の違いは区別しません。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} name テンプレート名。
+ * @returns {Promise<object|null>} 食事テンプレート、見つからない場合はnull。
+ */
+export async function getMealTemplate(firebaseUid, name) {
+  const doc = await getMealTemplateDocRef(firebaseUid, name).get();
+  return doc.exists ? doc.data() : null;
+}
+
+/**
+ * 食事テンプレートを保存します。同じ名前のテンプレートがある場合は上書きします。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} name テンプレート名。
+ * @param {Array<object>} foods リクエストの foods 配列。
+ * @returns {Promise<object>} 保存した食事テンプレート。
+ */
+export async function saveMealTemplate(firebaseUid, name, foods) {
+  const template = {
+    name: name,
+    foods: foods,
+    updatedAt: new Date().getTime(),
+  };
+  await getMealTemplateDocRef(firebaseUid, name).set(template);
+  console.log(`Saved meal template "${name}" for user ${firebaseUid}`);
+  return template;
+}
+
+/**
+ * 食事テンプレートの名前を変更します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} name 現在のテンプレート名。
+ * @param {string} newName 新しいテンプレート名。
+ * @returns {Promise<object|null>} 名前を変更した食事テンプレート、見つからない場合はnull。
+ * @throws {ConflictError} 新しい名前のテンプレートが既にある場合。
+ */
+export async function renameMealTemplate(firebaseUid, name, newName) {
+  const docRef = getMealTemplateDocRef(firebaseUid, name);
+  const newDocRef = getMealTemplateDocRef(firebaseUid, newName);
+  // 大文字・小文字だけの変更では同じドキュメントを更新する
+  const sameKey = getTemplateKey(name) === getTemplateKey(newName);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) {
+      return null;
+    }
+    if (!sameKey && (await transaction.get(newDocRef)).exists) {
+      throw new ConflictError(`Meal template "${newName}" already exists.`);
+    }
+    const template = {
+      ...doc.data(),
+      name: newName,
+      updatedAt: new Date().getTime(),
+    };
+    transaction.set(newDocRef, template);
+    if (!sameKey) {
+      transaction.delete(docRef);
+    }
+    return template;
+  });
+}
+
+/**
+ * 食事テンプレートを削除します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} name テンプレート名。
+ * @returns {Promise<boolean>} 削除した場合はtrue、見つからない場合はfalse。
+ */
+export async function deleteMealTemplate(firebaseUid, name) {
+  const docRef = getMealTemplateDocRef(firebaseUid, name);
+  const doc = await docRef.get();
+  if (!doc.exists) {
+    return false;
+  }
+  await docRef.delete();
+  return true;
+}
@@ -2,8 +2,29 @@ import {
   verifyFirebaseIdToken,
   getTokensFromFirestore,
   saveTokensToFirestore,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+  saveMealRecord,
+  getMealRecord,
+  getLatestMealRecord,
+  findMealRecordsByLogIds,
+  findMealRecordsByFoodIds,
+  updateMealRecordEntries,
+  getCatalogFood,
+  saveCatalogFood,
+  deleteCatalogFood,
+  deleteCatalogFoodsByFoodIds,
+  getUserPreferences,
+  updateUserPreferences,
+  listMealTemplates,
+  getMealTemplate,
+  saveMealTemplate,
+  renameMealTemplate,
+  deleteMealTemplate,
 } from "./firebase";
-import { AuthenticationError } from "./errors";
+import { AuthenticationError, ValidationError, ConflictError } from "./errors";
+import { getTemplateKey } from "./templates";
 import admin from "firebase-admin";
 
 // Firebase Admin SDKのモック
@@ -13,21 +34,42 @@ jest.mock("firebase-admin", () => {
   };
   const mockGet = jest.fn();
   const mockSet = jest.fn();
+  const mockUpdate = jest.fn();
+  const mockDelete = jest.fn();
   const mockDoc = jest.fn(() => ({
     get: mockGet,
     set: mockSet,
+    update: mockUpdate,
+    delete: mockDelete,
+    collection: jest.fn(() => mockCollection),
   }));
   const mockLimit = jest.fn();
   const mockGetQuery = jest.fn();
   const mockWhere = jest.fn(() => ({
     limit: mockLimit,
+    get: mockGetQuery,
+  }));
+  const mockOrderBy = jest.fn(() => ({
+    limit: mockLimit,
+    get: mockGetQuery,
   }));
+  const mockAdd = jest.fn();
   const mockCollection = {
     doc: mockDoc,
     where: mockWhere,
+    orderBy: mockOrderBy,
+    add: mockAdd,
+  };
+  const mockTransaction = {
+    get: jest.fn(),
+    set: jest.fn(),
+    delete: jest.fn(),
   };
   const mockFirestore = {
     collection: jest.fn(() => mockCollection),
+    runTransaction: jest.fn((updateFunction) =>
+      updateFunction(mockTransaction)
+    ),
   };
   const mockArrayUnion = jest.fn((...args) => ({
     _methodName: "FieldValue.arrayUnion",
@@ -50,8 +92,13 @@ jest.mock("firebase-admin", () => {
       mockAuth,
       mockGet,
       mockSet,
+      mockUpdate,
+      mockDelete,
       mockDoc,
+      mockTransaction,
       mockWhere,
+      mockOrderBy,
+      mockAdd,
       mockLimit,
       mockGetQuery,
       mockCollection,
@@ -65,8 +112,13 @@ const {
   mockAuth,
   mockGet,
   mockSet,
+  mockUpdate,
+  mockDelete,
   mockDoc,
+  mockTransaction,
   mockWhere,
+  mockOrderBy,
+  mockAdd,
   mockLimit,
   mockGetQuery,
   mockCollection,
@@ -226,4 +278,514 @@ describe("Firebase Functions", () => {
       global.Date = RealDate;
     });
   });
+
+  describe("idempotency keys", () => {
+    const firebaseUid = "testFirebaseUid";
+    const requestBody = { foods: [{ foodName: "apple" }] };
+    let now;
+
+    beforeEach(() => {
+      now = new Date().getTime();
+    });
+
+    test("should lock a new key and return null", async () => {
+      mockTransaction.get.mockResolvedValueOnce({ exists: false });
+
+      const result = await beginIdempotentRequest(
+        firebaseUid,
+        "key-1",
+        requestBody
+      );
+
+      expect(result).toBeNull();
+      expect(mockFirestore.collection).toHaveBeenCalledWith("idempotency_keys");
+      expect(mockDoc).toHaveBeenCalledWith(
+        expect.stringMatching(/^testFirebaseUid_[0-9a-f]{64}$/)
+      );
+      expect(mockTransaction.set).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({
+          firebaseUid: firebaseUid,
+          status: "in_progress",
+          requestHash: expect.any(String),
+        })
+      );
+    });
+
+    test("should return the stored response for a completed key", async () => {
+      mockTransaction.get.mockResolvedValueOnce({ exists: false });
+      await beginIdempotentRequest(firebaseUid, "key-1", requestBody);
+      const { requestHash } = mockTransaction.set.mock.calls[0][1];
+      const storedResponse = { statusCode: 200, body: { message: "ok" } };
+
+      mockTransaction.set.mockClear();
+      mockTransaction.get.mockResolvedValueOnce({
+        exists: true,
+        data: () => ({
+          status: "completed",
+          requestHash,
+          response: storedResponse,
+          expiresAt: now + 60 * 1000,
+        }),
+      });
+
+      const result = await beginIdempotentRequest(
+        firebaseUid,
+        "key-1",
+        requestBody
+      );
+
+      expect(result).toEqual(storedResponse);
+      expect(mockTransaction.set).not.toHaveBeenCalled();
+    });
+
+    test("should throw ConflictError while the key is in progress", async () => {
+      mockTransaction.get.mockResolvedValueOnce({ exists: false });
+      await beginIdempotentRequest(firebaseUid, "key-1", requestBody);
+      const { requestHash } = mockTransaction.set.mock.calls[0][1];
+
+      mockTransaction.get.mockResolvedValueOnce({
+        exists: true,
+        data: () => ({ status: "in_progress", requestHash, lockedAt: now }),
+      });
+
+      await expect(
+        beginIdempotentRequest(firebaseUid, "key-1", requestBody)
+      ).rejects.toThrow(ConflictError);
+    });
+
+    test("should throw ValidationError when the key is reused with a different body", async () => {
+      mockTransaction.get.mockResolvedValueOnce({
+        exists: true,
+        data: () => ({
+          status: "completed",
+          requestHash: "other-hash",
+          response: {},
+          expiresAt: now + 60 * 1000,
+        }),
+      });
+
+      await expect(
+        beginIdempotentRequest(firebaseUid, "key-1", requestBody)
+      ).rejects.toThrow(ValidationError);
+    });
+
+    test("should take over an expired or abandoned key", async () => {
+      mockTransaction.get.mockResolvedValueOnce({
+        exists: true,
+        data: () => ({
+          status: "in_progress",
+          requestHash: "other-hash",
+          lockedAt: now - 60 * 60 * 1000,
+        }),
+      });
+
+      const result = await beginIdempotentRequest(
+        firebaseUid,
+        "key-1",
+        requestBody
+      );
+
+      expect(result).toBeNull();
+      expect(mockTransaction.set).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ status: "in_progress" })
+      );
+    });
+
+    test("should store the response when completing a key", async () => {
+      const response = { statusCode: 200, body: { message: "ok" } };
+
+      await completeIdempotentRequest(firebaseUid, "key-1", response);
+
+      expect(mockUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: "completed",
+          response,
+          expiresAt: expect.any(Number),
+        })
+      );
+    });
+
+    test("should store the response without undefined fields", async () => {
+      const response = {
+        statusCode: 200,
+        body: {
+          message: "ok",
+          rollback: undefined,
+          items: [{ logId: 1, foodId: undefined }],
+        },
+      };
+
+      await completeIdempotentRequest(firebaseUid, "key-1", response);
+
+      expect(mockUpdate.mock.calls[0][0].response).toStrictEqual({
+        statusCode: 200,
+        body: { message: "ok", items: [{ logId: 1 }] },
+      });
+    });
+
+    test("should delete the key when releasing it", async () => {
+      await releaseIdempotentRequest(firebaseUid, "key-1");
+
+      expect(mockDelete).toHaveBeenCalled();
+    });
+  });
+
+  describe("meal records", () => {
+    const firebaseUid = "testFirebaseUid";
+    const entries = [
+      { logId: 111, foodId: "foodA", foodName: "rice", foodCreated: true },
+      { logId: 222, foodId: "foodB", foodName: "natto", foodCreated: true },
+    ];
+
+    test("should save a meal record in the user's meals subcollection", async () => {
+      mockAdd.mockResolvedValueOnce({ id: "meal1" });
+
+      const mealId = await saveMealRecord(firebaseUid, {
+        fitbitUserId: "fitbit123",
+        logDate: "2023-01-01",
+        logTime: "08:00",
+        mealTypeId: 1,
+        entries,
+      });
+
+      expect(mealId).toBe("meal1");
+      expect(mockFirestore.collection).toHaveBeenCalledWith("meal_logs");
+      expect(mockDoc).toHaveBeenCalledWith(firebaseUid);
+      expect(mockAdd).toHaveBeenCalledWith({
+        fitbitUserId: "fitbit123",
+        logDate: "2023-01-01",
+        logTime: "08:00",
+        mealTypeId: 1,
+        entries,
+        logIds: [111, 222],
+        foodIds: ["foodA", "foodB"],
+        createdAt: expect.any(Number),
+      });
+    });
+
+    test("should return a meal record by ID", async () => {
+      mockGet.mockResolvedValueOnce({
+        exists: true,
+        id: "meal1",
+        data: () => ({ entries }),
+      });
+
+      const record = await getMealRecord(firebaseUid, "meal1");
+
+      expect(record).toEqual({ mealId: "meal1", entries });
+      expect(mockDoc).toHaveBeenCalledWith("meal1");
+    });
+
+    test("should return null for an unknown meal ID", async () => {
+      mockGet.mockResolvedValueOnce({ exists: false });
+
+      expect(await getMealRecord(firebaseUid, "unknown")).toBeNull();
+    });
+
+    test("should return the latest meal record", async () => {
+      mockGetQuery.mockResolvedValueOnce({
+        empty: false,
+        docs: [{ id: "meal2", data: () => ({ entries }) }],
+      });
+
+      const record = await getLatestMealRecord(firebaseUid);
+
+      expect(record).toEqual({ mealId: "meal2", entries });
+      expect(mockOrderBy).toHaveBeenCalledWith("createdAt", "desc");
+      expect(mockLimit).toHaveBeenCalledWith(1);
+    });
+
+    test("should return null if the user has no meal records", async () => {
+      mockGetQuery.mockResolvedValueOnce({ empty: true, docs: [] });
+
+      expect(await getLatestMealRecord(firebaseUid)).toBeNull();
+    });
+
+    test("should find meal records by log IDs in batches", async () => {
+      const logIds = Array.from({ length: 31 }, (_, i) => i);
+      mockGetQuery
+        .mockResolvedValueOnce({
+          docs: [{ id: "meal1", data: () => ({ entries }) }],
+        })
+        .mockResolvedValueOnce({
+          docs: [{ id: "meal1", data: () => ({ entries }) }],
+        });
+
+      const records = await findMealRecordsByLogIds(firebaseUid, logIds);
+
+      expect(records).toEqual([{ mealId: "meal1", entries }]);
+      expect(mockWhere).toHaveBeenCalledWith(
+        "logIds",
+        "array-contains-any",
+        logIds.slice(0, 30)
+      );
+      expect(mockWhere).toHaveBeenCalledWith(
+        "logIds",
+        "array-contains-any",
+        [30]
+      );
+    });
+
+    test("should find meal records by food IDs", async () => {
+      mockGetQuery.mockResolvedValueOnce({
+        docs: [{ id: "meal1", data: () => ({ entries }) }],
+      });
+
+      const records = await findMealRecordsByFoodIds(firebaseUid, ["foodA"]);
+
+      expect(records).toEqual([{ mealId: "meal1", entries }]);
+      expect(mockWhere).toHaveBeenCalledWith("foodIds", "array-contains-any", [
+        "foodA",
+      ]);
+    });
+
+    test("should update the remaining entries of a meal record", async () => {
+      await updateMealRecordEntries(firebaseUid, "meal1", [entries[1]], [333]);
+
+      expect(mockUpdate).toHaveBeenCalledWith({
+        entries: [entries[1]],
+        logIds: [222],
+        foodIds: ["foodB"],
+        waterLogIds: [333],
+      });
+      expect(mockDelete).not.toHaveBeenCalled();
+    });
+
+    test("should delete a meal record without remaining entries", async () => {
+      await updateMealRecordEntries(firebaseUid, "meal1", []);
+
+      expect(mockDelete).toHaveBeenCalled();
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    test("should keep a meal record with only water logs left", async () => {
+      await updateMealRecordEntries(firebaseUid, "meal1", [], [333]);
+
+      expect(mockUpdate).toHaveBeenCalledWith({
+        entries: [],
+        logIds: [],
+        foodIds: [],
+        waterLogIds: [333],
+      });
+      expect(mockDelete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("food catalog", () => {
+    const fitbitUserId = "testFitbitUserId";
+
+    test("should return a catalog food by fingerprint", async () => {
+      mockGet.mockResolvedValueOnce({
+        exists: true,
+        id: "fp1",
+        data: () => ({ foodId: 101, foodName: "Rice", unitId: 147 }),
+      });
+
+      const food = await getCatalogFood(fitbitUserId, "fp1");
+
+      expect(mockFirestore.collection).toHaveBeenCalledWith("food_catalog");
+      expect(mockDoc).toHaveBeenCalledWith(fitbitUserId);
+      expect(mockDoc).toHaveBeenCalledWith("fp1");
+      expect(food).toEqual({
+        fingerprint: "fp1",
+        foodId: 101,
+        foodName: "Rice",
+        unitId: 147,
+      });
+    });
+
+    test("should return null for an unknown fingerprint", async () => {
+      mockGet.mockResolvedValueOnce({ exists: false });
+
+      expect(await getCatalogFood(fitbitUserId, "fp1")).toBeNull();
+    });
+
+    test("should save and delete catalog foods", async () => {
+      await saveCatalogFood(fitbitUserId, "fp1", { foodId: 101 });
+      await deleteCatalogFood(fitbitUserId, "fp1");
+
+      expect(mockSet).toHaveBeenCalledWith({
+        foodId: 101,
+        createdAt: expect.any(Number),
+      });
+      expect(mockDelete).toHaveBeenCalled();
+    });
+
+    test("should delete catalog foods by Fitbit food ID", async () => {
+      const deleteRef = jest.fn();
+      mockGetQuery.mockResolvedValueOnce({
+        docs: [{ id: "fp1", ref: { delete: deleteRef } }],
+      });
+
+      await deleteCatalogFoodsByFoodIds(fitbitUserId, [101, 102]);
+
+      expect(mockWhere).toHaveBeenCalledWith("foodId", "in", [101, 102]);
+      expect(deleteRef).toHaveBeenCalled();
+    });
+  });
+
+  describe("user preferences", () => {
+    test("should return the stored preferences", async () => {
+      mockGet.mockResolvedValueOnce({
+        exists: true,
+        data: () => ({ loggingStrategy: "quick" }),
+      });
+
+      const preferences = await getUserPreferences("testFirebaseUid");
+
+      expect(mockFirestore.collection).toHaveBeenCalledWith("user_preferences");
+      expect(mockDoc).toHaveBeenCalledWith("testFirebaseUid");
+      expect(preferences).toEqual({ loggingStrategy: "quick" });
+    });
+
+    test("should return an empty object if no preferences are stored", async () => {
+      mockGet.mockResolvedValueOnce({ exists: false });
+
+      expect(await getUserPreferences("testFirebaseUid")).toEqual({});
+    });
+
+    test("should merge updated preferences", async () => {
+      mockGet.mockResolvedValueOnce({
+        exists: true,
+        data: () => ({ loggingStrategy: "quick", updatedAt: 1 }),
+      });
+
+      const preferences = await updateUserPreferences("testFirebaseUid", {
+        loggingStrategy: "quick",
+      });
+
+      expect(mockSet).toHaveBeenCalledWith(
+        { loggingStrategy: "quick", updatedAt: expect.any(Number) },
+        { merge: true }
+      );
+      expect(preferences).toEqual({ loggingStrategy: "quick", updatedAt: 1 });
+    });
+  });
+
+  describe("meal templates", () => {
+    const foods = [
+      { foodName: "Toast", amount: 2, unit: "slice", calories: 320 },
+    ];
+    const template = { name: "My usual breakfast", foods, updatedAt: 1 };
+
+    test("should list the templates by name", async () => {
+      mockGetQuery.mockResolvedValueOnce({
+        docs: [{ data: () => template }],
+      });
+
+      const templates = await listMealTemplates("testFirebaseUid");
+
+      expect(mockFirestore.collection).toHaveBeenCalledWith("meal_templates");
+      expect(mockOrderBy).toHaveBeenCalledWith("name");
+      expect(templates).toEqual([template]);
+    });
+
+    test("should get a template by its normalized name", async () => {
+      mockGet.mockResolvedValueOnce({ exists: true, data: () => template });
+
+      expect(
+        await getMealTemplate("testFirebaseUid", "MY USUAL  breakfast")
+      ).toEqual(template);
+      expect(mockDoc).toHaveBeenCalledWith(
+        getTemplateKey("my usual breakfast")
+      );
+    });
+
+    test("should return null for a missing template", async () => {
+      mockGet.mockResolvedValueOnce({ exists: false });
+
+      expect(await getMealTemplate("testFirebaseUid", "Lunch")).toBeNull();
+    });
+
+    test("should save a template", async () => {
+      const saved = await saveMealTemplate(
+        "testFirebaseUid",
+        "My usual breakfast",
+        foods
+      );
+
+      expect(mockSet).toHaveBeenCalledWith({
+        name: "My usual breakfast",
+        foods,
+        updatedAt: expect.any(Number),
+      });
+      expect(saved.name).toBe("My usual breakfast");
+    });
+
+    test("should rename a template", async () => {
+      mockTransaction.get
+        .mockResolvedValueOnce({ exists: true, data: () => template })
+        .mockResolvedValueOnce({ exists: false });
+
+      const renamed = await renameMealTemplate(
+        "testFirebaseUid",
+        "My usual breakfast",
+        "Weekday breakfast"
+      );
+
+      expect(renamed).toEqual({
+        name: "Weekday breakfast",
+        foods,
+        updatedAt: expect.any(Number),
+      });
+      expect(mockTransaction.set).toHaveBeenCalledWith(
+        expect.anything(),
+        renamed
+      );
+      expect(mockTransaction.delete).toHaveBeenCalled();
+    });
+
+    test("should keep the document when only the case changes", async () => {
+      mockTransaction.get.mockResolvedValueOnce({
+        exists: true,
+        data: () => template,
+      });
+
+      await renameMealTemplate(
+        "testFirebaseUid",
+        "My usual breakfast",
+        "My Usual Breakfast"
+      );
+
+      expect(mockTransaction.get).toHaveBeenCalledTimes(1);
+      expect(mockTransaction.delete).not.toHaveBeenCalled();
+    });
+
+    test("should throw ConflictError if the new name is taken", async () => {
+      mockTransaction.get
+        .mockResolvedValueOnce({ exists: true, data: () => template })
+        .mockResolvedValueOnce({ exists: true, data: () => ({}) });
+
+      await expect(
+        renameMealTemplate("testFirebaseUid", "My usual breakfast", "Lunch")
+      ).rejects.toThrow(ConflictError);
+      expect(mockTransaction.set).not.toHaveBeenCalled();
+    });
+
+    test("should return null when renaming a missing template", async () => {
+      mockTransaction.get.mockResolvedValueOnce({ exists: false });
+
+      expect(
+        await renameMealTemplate("testFirebaseUid", "Brunch", "Lunch")
+      ).toBeNull();
+    });
+
+    test("should delete a template", async () => {
+      mockGet.mockResolvedValueOnce({ exists: true, data: () => template });
+
+      expect(
+        await deleteMealTemplate("testFirebaseUid", "My usual breakfast")
+      ).toBe(true);
+      expect(mockDelete).toHaveBeenCalled();
+    });
+
+    test("should return false when deleting a missing template", async () => {
+      mockGet.mockResolvedValueOnce({ exists: false });
+
+      expect(await deleteMealTemplate("testFirebaseUid", "Brunch")).toBe(false);
+      expect(mockDelete).not.toHaveBeenCalled();
+    });
+  });
 });
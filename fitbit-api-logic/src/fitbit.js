@@ -1,11 +1,81 @@
 import fetch from 'node-fetch';
 import { Buffer } from 'buffer';
 import { AuthenticationError, ValidationError, FitbitApiError } from './errors.js';
-import { getTokensFromFirestore, saveTokensToFirestore } from './firebase.js';
+import { getTokensFromFirestore, saveTokensToFirestore, getCatalogFood, saveCatalogFood, deleteCatalogFood } from './firebase.js';
+import { resolveMealType } from './mealTypes.js';
+import { nutritionMap, summarizeFoodLog, calculateNutritionBudget } from './nutrition.js';
+import { convertWaterToMilliliters, getWaterEntries } from './water.js';
+import { convertWeightToKilograms, validateBodyFat, toBodyLogTime } from './body.js';
+import { flattenActivityCatalog, findActivity, toDurationMillis, getDistanceUnit } from './activities.js';
+import { getFoodFingerprint } from './foodCatalog.js';
+import { findBestFoodMatch } from './foodMatching.js';
+import { resolveUnit } from './units.js';
+import { applyPortion } from './portions.js';
+import { normalizeNutrients } from './nutrients.js';
+import { composeRecipe } from './recipes.js';
+import { isRelativeDate, resolveLogDateTime } from './dates.js';
+import { foodSchema, foodLogUpdateSchema, waterEntrySchema, validateMealRequest, validateSchema, formatValidationDetails } from './validation.js';
+import { DEFAULT_LOGGING_STRATEGY, applyPreferredUnits, validateLoggingStrategy } from './preferences.js';
+import { getMessages } from './messages.js';
+import { createFitbitClient } from './fitbitClient.js';
+import { mapSettled, throwFirstError } from './concurrency.js';
 
 // OAuth flow redirect URI
 const REDIRECT_URI = process.env.FITBIT_REDIRECT_URI;
 
+const FITBIT_API_BASE_URL = 'https://api.fitbit.com';
+// Shared by every API call, so that each user's rate-limit quota is known across requests
+const fitbitClient = createFitbitClient({ fetch, baseUrl: FITBIT_API_BASE_URL });
+// Most create and log calls of a meal that run at the same time
+const FITBIT_CONCURRENCY = Number(process.env.FITBIT_CONCURRENCY) || 4;
+// Time the Fitbit calls of one function invocation may take, retries included. Cloud Functions
+// stop an invocation after 60 seconds by default; the rest is left for the rollback and Firestore.
+const FITBIT_TIME_BUDGET_MS = Number(process.env.FITBIT_TIME_BUDGET_MS) || 40000;
+// Time the rollback of a failed request may take after the request's own budget
+const FITBIT_ROLLBACK_BUDGET_MS = 10000;
+// API calls of getNutritionBudget (the day's food log and the food goals)
+const NUTRITION_BUDGET_REQUEST_COUNT = 2;
+
+// Fitbit chooses the unit system of weights and water volumes from Accept-Language; any locale
+// other than en_US and en_GB uses kilograms and milliliters.
+const METRIC_UNITS_HEADERS = { 'Accept-Language': 'ja_JP' };
+
+// The activity catalog is the same for every user and rarely changes
+const ACTIVITY_CATALOG_TTL_MS = 24 * 60 * 60 * 1000;
+let activityCatalogCache = { activities: null, fetchedAt: 0 };
+const FOOD_UNITS_TTL_MS = 24 * 60 * 60 * 1000;
+let foodUnitsCache = { units: null, fetchedAt: 0 };
+// The profile timezone only changes when the user moves it in the Fitbit app
+const TIMEZONE_TTL_MS = 6 * 60 * 60 * 1000;
+const timezoneCache = new Map();
+
+/**
+ * Sends an authenticated request to the Fitbit Web API through the rate-limit-aware client,
+ * which retries rate-limited and transient failures and refreshes tokens registered with
+ * registerTokenRefresh (see createFitbitClient).
+ * @param {string} accessToken The user's access token.
+ * @param {string} fitbitUserId The Fitbit user ID whose rate-limit quota the call counts against.
+ * @param {string} method The HTTP method.
+ * @param {string} path The API path, e.g. "/1/user/-/foods.json".
+ * @param {URLSearchParams|object} [params] Form parameters sent as the request body.
+ * @param {object} [headers] Additional request headers.
+ * @returns {Promise<{ok: boolean, status: number, data: object|null}>} The parsed response.
+ * @throws {RateLimitError} If the user's quota is exhausted.
+ * @throws {FitbitApiError} With status 503 if the time budget of runWithFitbitTimeBudget has run out.
+ */
+async function fitbitRequest(accessToken, fitbitUserId, method, path, params, headers = {}) {
+    return fitbitClient.request(accessToken, fitbitUserId, method, path, params, headers);
+}
+
+/**
+ * Extracts the first error message from a Fitbit error response.
+ * @param {object|null} data The parsed error response.
+ * @returns {string} The error message.
+ */
+function getFitbitErrorMessage(data) {
+    return data && data.errors && data.errors[0] ? data.errors[0].message : 'Unknown error';
+}
+
 /**
  * Exchanges an authorization code for an access token and refresh token.
  * @param {string} clientId Fitbit client ID.
@@ -77,136 +147,1068 @@ export async function refreshFitbitAccessToken(firebaseUid, clientId, clientSecr
 }
 
 /**
- * Creates and logs food data to Fitbit for a specific user.
+ * Runs the handling of one function invocation with a shared deadline for its Fitbit calls
+ * (FITBIT_TIME_BUDGET_MS, configurable with the FITBIT_TIME_BUDGET_MS environment variable),
+ * so that retries of many sequential calls cannot outlast the function's timeout.
+ * @param {Function} task Returns a promise.
+ * @returns {Promise<*>} The result of the task.
+ */
+export function runWithFitbitTimeBudget(task) {
+    return fitbitClient.runWithDeadline(Date.now() + FITBIT_TIME_BUDGET_MS, task);
+}
+
+/**
+ * Deletes the entries of a failed request with a time budget of its own, so that the entries
+ * are still deleted when the request failed because its budget ran out.
+ */
+function rollBackFoodEntries(accessToken, fitbitUserId, entries) {
+    return fitbitClient.runWithDeadline(Date.now() + FITBIT_ROLLBACK_BUDGET_MS, () => deleteFoodEntries(accessToken, fitbitUserId, entries));
+}
+
+/**
+ * Lets every API call with this access token refresh it once and replay the call when Fitbit
+ * rejects the token as expired or invalid, e.g. because it expired during a long request.
+ * @param {string} accessToken The user's access token.
+ * @param {string} firebaseUid The Firebase UID of the user.
+ * @param {string} clientId Fitbit client ID.
+ * @param {string} clientSecret Fitbit client secret.
+ */
+export function registerTokenRefresh(accessToken, firebaseUid, clientId, clientSecret) {
+    fitbitClient.setTokenRefresher(accessToken, () => refreshFitbitAccessToken(firebaseUid, clientId, clientSecret));
+}
+
+/**
+ * Deletes food log entries, water log entries and custom foods from Fitbit.
+ * Log entries are deleted before the foods they reference, each in reverse creation order.
+ * Failures are collected instead of thrown so that every entry gets a deletion attempt.
+ * @param {string} accessToken The user's access token.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @param {object} entries The entries to delete.
+ * @param {Array<string|number>} [entries.logIds] Food log IDs.
+ * @param {Array<string|number>} [entries.foodIds] Custom food IDs.
+ * @param {Array<string|number>} [entries.waterLogIds] Water log IDs.
+ * @returns {Promise<object>} The deleted IDs and the entries that could not be deleted.
+ */
+export async function deleteFoodEntries(accessToken, fitbitUserId, { logIds = [], foodIds = [], waterLogIds = [] }) {
+    const result = { deletedLogIds: [], deletedFoodIds: [], deletedWaterLogIds: [], failed: [] };
+    const deletedIds = { foodLog: result.deletedLogIds, food: result.deletedFoodIds, waterLog: result.deletedWaterLogIds };
+
+    const deleteEntry = async (type, id, path) => {
+        const { ok, data } = await fitbitRequest(accessToken, fitbitUserId, 'DELETE', path)
+            .catch((error) => ({ ok: false, data: { errors: [{ message: error.message }] } }));
+        if (ok) {
+            deletedIds[type].push(id);
+        } else {
+            console.error(`Failed to delete ${type} ${id}:`, data);
+            result.failed.push({ type: type, id: id, reason: getFitbitErrorMessage(data) });
+        }
+    };
+
+    for (const logId of [...logIds].reverse()) {
+        await deleteEntry('foodLog', logId, `/1/user/${fitbitUserId}/foods/log/${logId}.json`);
+    }
+    for (const waterLogId of [...waterLogIds].reverse()) {
+        await deleteEntry('waterLog', waterLogId, `/1/user/${fitbitUserId}/foods/log/water/${waterLogId}.json`);
+    }
+    for (const foodId of [...foodIds].reverse()) {
+        await deleteEntry('food', foodId, `/1/user/${fitbitUserId}/foods/${foodId}.json`);
+    }
+
+    return result;
+}
+
+/**
+ * Gets Fitbit's food units list, cached for FOOD_UNITS_TTL_MS.
+ * @param {string} accessToken The user's access token.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @returns {Promise<Array<{id: number, name: string, plural: string}>>} The units.
+ */
+export async function getFoodUnits(accessToken, fitbitUserId) {
+    if (foodUnitsCache.units && Date.now() - foodUnitsCache.fetchedAt < FOOD_UNITS_TTL_MS) {
+        return foodUnitsCache.units;
+    }
+    const { ok, data } = await fitbitRequest(accessToken, fitbitUserId, 'GET', '/1/foods/units.json');
+    if (!ok) {
+        console.error('Fitbit get food units error response:', data);
+        throw new FitbitApiError(`Failed to get food units: ${getFitbitErrorMessage(data)}`);
+    }
+    foodUnitsCache = { units: data, fetchedAt: Date.now() };
+    return foodUnitsCache.units;
+}
+
+/**
+ * Gets the timezone of the user's Fitbit profile, cached per user for TIMEZONE_TTL_MS.
+ * @param {string} accessToken The user's access token.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @returns {Promise<string>} The IANA timezone, e.g. "Asia/Tokyo".
+ */
+export async function getUserTimezone(accessToken, fitbitUserId) {
+    const cached = timezoneCache.get(fitbitUserId);
+    if (cached && Date.now() - cached.fetchedAt < TIMEZONE_TTL_MS) {
+        return cached.timezone;
+    }
+    const { ok, data } = await fitbitRequest(accessToken, fitbitUserId, 'GET', `/1/user/${fitbitUserId}/profile.json`);
+    if (!ok || !data || !data.user || !data.user.timezone) {
+        console.error('Fitbit get profile error response:', data);
+        throw new FitbitApiError(`Failed to get the timezone of the Fitbit profile: ${getFitbitErrorMessage(data)}`);
+    }
+    timezoneCache.set(fitbitUserId, { timezone: data.user.timezone, fetchedAt: Date.now() });
+    return data.user.timezone;
+}
+
+/**
+ * Resolves the log date and time of a request (see resolveLogDateTime) in the timezone of the
+ * user's preferences or, without one, of the Fitbit profile. The profile timezone is only
+ * fetched when the date or time is missing or the date is relative.
+ */
+async function resolveRequestDateTime(accessToken, fitbitUserId, logDate, logTime, preferences = {}) {
+    if (logDate && logTime && !isRelativeDate(logDate)) {
+        return { logDate, logTime };
+    }
+    const timezone = preferences.timezone || await getUserTimezone(accessToken, fitbitUserId);
+    return resolveLogDateTime(logDate, logTime, timezone);
+}
+
+/**
+ * Prepares a food item from the request for logging: normalizes its nutrients (see
+ * normalizeNutrients) or sums them from its ingredients (see composeRecipe), applies its
+ * portion (see applyPortion) and resolves its unit against Fitbit's units list. The default
+ * formType and the language of the default description come from the user's preferences.
+ * @param {object} food The food item from the request.
+ * @param {Array<object>} units Fitbit's food units list.
+ * @param {object} [preferences] The user's preferences (defaultFormType, language).
+ * @param {string} [path] The path of the food item in the request, e.g. "foods[0]".
+ * @returns {object} The food item with unitId and the nutrient and unit warnings in `warnings`.
+ * @throws {ValidationError} If a nutrient, the portion or the unit is invalid.
+ */
+function prepareFood(food, units, preferences = {}, path = '') {
+    const { food: normalizedFood, warnings } = food.ingredients ? composeRecipe(food, path) : normalizeNutrients(food, path);
+    if (!normalizedFood.formType && preferences.defaultFormType) {
+        normalizedFood.formType = preferences.defaultFormType;
+    }
+    if (!normalizedFood.description) {
+        normalizedFood.description = getMessages(preferences.language).foodDescription(normalizedFood.foodName);
+    }
+    const portion = applyPortion(normalizedFood);
+    const { unitId, warning } = resolveUnit(units, portion.unit, portion.foodName);
+    return { ...portion, unitId, warnings: warning ? [...warnings, warning] : warnings };
+}
+
+/**
+ * Appends the nutrients of a food item as Fitbit API parameters.
+ * @param {URLSearchParams} params The parameters of a create food or log food request.
+ * @param {object} food The food item from the request.
+ */
+function appendNutritionParams(params, food) {
+    for (const [foodKey, apiParam] of Object.entries(nutritionMap)) {
+        if (food[foodKey] !== undefined && food[foodKey] !== null) {
+            params.append(apiParam, food[foodKey]);
+        }
+    }
+}
+
+/**
+ * Creates a custom food on Fitbit.
+ * @returns {Promise<string|number>} The ID of the created food.
+ */
+async function createFood(accessToken, fitbitUserId, food, unitId) {
+    const createFoodParams = new URLSearchParams();
+    createFoodParams.append('name', food.foodName);
+    createFoodParams.append('defaultFoodMeasurementUnitId', unitId);
+    createFoodParams.append('defaultServingSize', food.amount);
+    createFoodParams.append('calories', Math.round(food.calories || 0));
+
+    createFoodParams.append('formType', food.formType || 'DRY');
+    createFoodParams.append('description', food.description);
+    appendNutritionParams(createFoodParams, food);
+
+    const { ok, data: createFoodResult } = await fitbitRequest(accessToken, fitbitUserId, 'POST', `/1/user/${fitbitUserId}/foods.json`, createFoodParams);
+
+    if (!ok) {
+        console.error('Fitbit create food error response:', createFoodResult);
+        throw new FitbitApiError(`Failed to create food "${food.foodName}": ${getFitbitErrorMessage(createFoodResult)}`);
+    }
+    const foodId = createFoodResult.food.foodId;
+    console.log(`Successfully created food: ${food.foodName} (Food ID: ${foodId})`);
+    return foodId;
+}
+
+/**
+ * Logs a previously created food to the user's food log.
+ * @returns {Promise<object>} The Fitbit log food response.
+ */
+async function logFood(accessToken, fitbitUserId, createdFood, mealTypeId, nutritionData) {
+    const logFoodParams = new URLSearchParams({
+        foodId: createdFood.foodId,
+        mealTypeId: mealTypeId,
+        unitId: createdFood.unitId,
+        amount: createdFood.amount,
+        date: nutritionData.log_date,
+        time: nutritionData.log_time,
+    });
+
+    const { ok, data: logResult } = await fitbitRequest(accessToken, fitbitUserId, 'POST', `/1/user/${fitbitUserId}/foods/log.json`, logFoodParams);
+
+    if (!ok) {
+        console.error('Fitbit log food error response:', logResult);
+        throw new FitbitApiError(`Failed to log food "${createdFood.foodName}": ${getFitbitErrorMessage(logResult)}`);
+    }
+
+    console.log(`Successfully logged food: ${createdFood.foodName} for user ${fitbitUserId}`);
+    return logResult;
+}
+
+/**
+ * Logs a food as a one-off entry with its name and nutrients, without creating a custom food.
+ * @returns {Promise<object>} The Fitbit log food response.
+ */
+async function quickLogFood(accessToken, fitbitUserId, food, unitId, mealTypeId, nutritionData) {
+    const logFoodParams = new URLSearchParams({
+        foodName: food.foodName,
+        calories: Math.round(food.calories || 0),
+        mealTypeId: mealTypeId,
+        unitId: unitId,
+        amount: food.amount,
+        date: nutritionData.log_date,
+        time: nutritionData.log_time,
+    });
+    appendNutritionParams(logFoodParams, food);
+
+    const { ok, data: logResult } = await fitbitRequest(accessToken, fitbitUserId, 'POST', `/1/user/${fitbitUserId}/foods/log.json`, logFoodParams);
+
+    if (!ok) {
+        console.error('Fitbit log food error response:', logResult);
+        throw new FitbitApiError(`Failed to log food "${food.foodName}": ${getFitbitErrorMessage(logResult)}`);
+    }
+
+    console.log(`Successfully quick-logged food: ${food.foodName} for user ${fitbitUserId}`);
+    return logResult;
+}
+
+/**
+ * Searches Fitbit's food database for a food item and returns the best match above the
+ * match threshold. Search errors are treated as "no match" so that the item falls back to
+ * the logging strategy's own path.
+ * @returns {Promise<object|null>} The food item resolved to the Fitbit database food, or null.
+ */
+async function searchFitbitFood(accessToken, fitbitUserId, food, unitId) {
+    const { ok, data } = await fitbitRequest(accessToken, fitbitUserId, 'GET', `/1/foods/search.json?query=${encodeURIComponent(food.foodName)}`)
+        .catch((error) => ({ ok: false, data: { errors: [{ message: error.message }] } }));
+    if (!ok) {
+        console.warn(`Food search failed for "${food.foodName}": ${getFitbitErrorMessage(data)}`);
+        return null;
+    }
+
+    const match = findBestFoodMatch(food, unitId, data.foods || []);
+    if (!match) {
+        return null;
+    }
+    console.log(`Matched food: ${food.foodName} -> ${match.food.name} (Food ID: ${match.food.foodId}, score ${match.score})`);
+    return {
+        ...food,
+        unitId,
+        foodId: match.food.foodId,
+        foodCreated: false,
+        source: 'fitbit_database',
+        matchedFood: { name: match.food.name, brand: match.food.brand || null, score: match.score },
+    };
+}
+
+/**
+ * Returns the Fitbit food for a food item, trying in order:
+ * a matching Fitbit database food (only with `searchFoods`), the custom food created earlier
+ * for the same fingerprint in the food catalog, and finally a newly created custom food.
+ * The catalog is best-effort; if Firestore cannot be read, a new food is created.
+ * @param {object} [options]
+ * @param {Map<string, object>} [options.resolvedFoods] Foods already resolved in this request by fingerprint.
+ * @param {boolean} [options.searchFoods] Whether to search Fitbit's food database first.
+ * @returns {Promise<object>} The food item with foodId, unitId, fingerprint, foodCreated and
+ *   source ("fitbit_database", "catalog" or "created").
+ */
+async function resolveFood(accessToken, fitbitUserId, food, { resolvedFoods = new Map(), searchFoods = false } = {}) {
+    const unitId = food.unitId;
+    if (searchFoods) {
+        const matchedFood = await searchFitbitFood(accessToken, fitbitUserId, food, unitId);
+        if (matchedFood) {
+            return matchedFood;
+        }
+    }
+    const fingerprint = getFoodFingerprint(food, unitId);
+
+    // 同じリクエスト内で同じ食品が複数回指定された場合は、最初に解決した食品を使う
+    const resolvedFood = resolvedFoods.get(fingerprint);
+    if (resolvedFood) {
+        return { ...food, unitId, fingerprint, foodId: resolvedFood.foodId, foodCreated: false, source: resolvedFood.source };
+    }
+
+    let catalogFood = null;
+    try {
+        catalogFood = await getCatalogFood(fitbitUserId, fingerprint);
+    } catch (error) {
+        console.warn(`Food catalog lookup failed for "${food.foodName}":`, error);
+    }
+    if (catalogFood) {
+        console.log(`Reusing food: ${food.foodName} (Food ID: ${catalogFood.foodId})`);
+        return { ...food, unitId, fingerprint, foodId: catalogFood.foodId, foodCreated: false, source: 'catalog' };
+    }
+
+    const foodId = await createFood(accessToken, fitbitUserId, food, unitId);
+    return { ...food, unitId, fingerprint, foodId, foodCreated: true, source: 'created' };
+}
+
+/**
+ * Logs a food item with the "quick" strategy: as the matching Fitbit database food if
+ * `searchFoods` finds one, otherwise as a one-off entry.
+ * @returns {Promise<{resolvedFood: object, logResult: object}>} The resolved food and the Fitbit log food response.
  */
-export async function processAndLogFoods(accessToken, nutritionData, fitbitUserId) {
-    const mealTypeMap = {
-        "Breakfast": 1, "Morning Snack": 2, "Lunch": 3, "Afternoon Snack": 4,
-        "Dinner": 5, "Anytime": 7
+async function logFoodWithoutCustomFood(accessToken, fitbitUserId, food, mealTypeId, nutritionData, searchFoods) {
+    const unitId = food.unitId;
+    const matchedFood = searchFoods ? await searchFitbitFood(accessToken, fitbitUserId, food, unitId) : null;
+    if (matchedFood) {
+        const logResult = await logFood(accessToken, fitbitUserId, matchedFood, mealTypeId, nutritionData);
+        return { resolvedFood: matchedFood, logResult };
+    }
+
+    const logResult = await quickLogFood(accessToken, fitbitUserId, food, unitId, mealTypeId, nutritionData);
+    return {
+        resolvedFood: { ...food, unitId, foodId: getLoggedFoodId(logResult), foodCreated: false, source: 'quick_log' },
+        logResult,
     };
-    const mealTypeId = mealTypeMap[nutritionData.meal_type] || 7;
-
-    const getUnitId = (unit) => {
-        const unitMap = {
-            'g': 1, 'gram': 1, 'grams': 1,
-            'ml': 147, 'milliliter': 147, 'milliliters': 147,
-            'oz': 13, 'fl oz': 19,
-            'serving': 86, '個': 86,
-        };
-        const lowerCaseUnit = unit ? unit.toLowerCase() : '';
-        if (unitMap[lowerCaseUnit]) return unitMap[lowerCaseUnit];
-        console.warn(`Unknown unit "${unit}". Defaulting to 'serving'(86).`);
-        return 86;
+}
+
+/**
+ * Builds the status entry of a logged food item.
+ * @param {number} index The index of the food in the request.
+ * @param {object} resolvedFood The resolved food.
+ * @param {object} logResult The Fitbit log food response.
+ * @returns {object} The item.
+ */
+function toLoggedItem(index, resolvedFood, logResult) {
+    const item = {
+        index: index,
+        foodName: resolvedFood.foodName,
+        status: 'logged',
+        amount: resolvedFood.amount,
+        unit: resolvedFood.unit,
+        foodId: resolvedFood.foodId,
+        foodCreated: resolvedFood.foodCreated,
+        source: resolvedFood.source,
+        logId: getLogId(logResult),
     };
+    if (resolvedFood.matchedFood) {
+        item.matchedFood = resolvedFood.matchedFood;
+    }
+    if (resolvedFood.warnings && resolvedFood.warnings.length > 0) {
+        item.warnings = resolvedFood.warnings;
+    }
+    return item;
+}
 
-    if (!nutritionData.foods || !Array.isArray(nutritionData.foods) || nutritionData.foods.length === 0) {
-        throw new ValidationError('Invalid input: "foods" array is missing or empty.');
-    }
-
-    // フェーズ1: 全ての食品をFitbitに「作成」する (直列実行)
-    const createdFoods = [];
-    for (const food of nutritionData.foods) {
-        if (!food.foodName || !food.amount || !food.unit) {
-            throw new ValidationError(`Missing required field for food log: ${food.foodName || 'Unknown Food'}.`);
-        }
-
-        const unitId = getUnitId(food.unit);
-
-        const createFoodParams = new URLSearchParams();
-        createFoodParams.append('name', food.foodName);
-        createFoodParams.append('defaultFoodMeasurementUnitId', unitId);
-        createFoodParams.append('defaultServingSize', food.amount);
-        createFoodParams.append('calories', Math.round(food.calories || 0));
-
-        createFoodParams.append('formType', food.formType || 'DRY');
-        createFoodParams.append('description', food.description || `Logged via Gemini: ${food.foodName}`);
-
-        const nutritionMap = {
-            caloriesFromFat: 'caloriesFromFat',
-            totalFat_g: 'totalFat',
-            transFat_g: 'transFat',
-            saturatedFat_g: 'saturatedFat',
-            cholesterol_mg: 'cholesterol',
-            sodium_mg: 'sodium',
-            potassium_mg: 'potassium',
-            totalCarbohydrate_g: 'totalCarbohydrate',
-            dietaryFiber_g: 'dietaryFiber',
-            sugars_g: 'sugars',
-            protein_g: 'protein',
-            vitaminA_iu: 'vitaminA',
-            vitaminB6: 'vitaminB6',
-            vitaminB12: 'vitaminB12',
-            vitaminC_mg: 'vitaminC',
-            vitaminD_iu: 'vitaminD',
-            vitaminE_iu: 'vitaminE',
-            biotin_mg: 'biotin',
-            folicAcid_mg: 'folicAcid',
-            niacin_mg: 'niacin',
-            pantothenicAcid_mg: 'pantothenicAcid',
-            riboflavin_mg: 'riboflavin',
-            thiamin_mg: 'thiamin',
-            calcium_g: 'calcium',
-            copper_g: 'copper',
-            iron_mg: 'iron',
-            magnesium_mg: 'magnesium',
-            phosphorus_g: 'phosphorus',
-            iodine_mcg: 'iodine',
-            zinc_mg: 'zinc'
-        };
-
-        for (const [foodKey, apiParam] of Object.entries(nutritionMap)) {
-            if (food[foodKey] !== undefined && food[foodKey] !== null) {
-                createFoodParams.append(apiParam, food[foodKey]);
-            }
+/**
+ * Logs a resolved food. If a food reused from the catalog cannot be logged because it no
+ * longer exists on Fitbit (e.g. the user deleted it in the app, and looking it up returns 404),
+ * its catalog entry is dropped and the food is created again. `resolvedFood` is updated in
+ * place with the new food. Any other failure of the lookup rethrows the original error.
+ * @returns {Promise<object>} The Fitbit log food response.
+ */
+async function logResolvedFood(accessToken, fitbitUserId, resolvedFood, mealTypeId, nutritionData) {
+    try {
+        return await logFood(accessToken, fitbitUserId, resolvedFood, mealTypeId, nutritionData);
+    } catch (error) {
+        if (resolvedFood.source !== 'catalog') {
+            throw error;
         }
+        const lookup = await fitbitRequest(accessToken, fitbitUserId, 'GET', `/1/foods/${resolvedFood.foodId}.json`)
+            .catch(() => null);
+        // 存在しないと確認できた場合のみ作り直す (レート制限や障害で重複した食品を作らない)
+        if (!lookup || lookup.status !== 404) {
+            throw error;
+        }
+
+        console.warn(`Catalog food ${resolvedFood.foodId} no longer exists. Creating "${resolvedFood.foodName}" again.`);
+        try {
+            await deleteCatalogFood(fitbitUserId, resolvedFood.fingerprint);
+        } catch (catalogError) {
+            console.warn('Failed to delete stale catalog food:', catalogError);
+        }
+        resolvedFood.foodId = await createFood(accessToken, fitbitUserId, resolvedFood, resolvedFood.unitId);
+        resolvedFood.foodCreated = true;
+        resolvedFood.source = 'created';
+        return logFood(accessToken, fitbitUserId, resolvedFood, mealTypeId, nutritionData);
+    }
+}
+
+/**
+ * Saves the custom foods created by a request to the food catalog so that later requests
+ * reuse them. Failures are only logged because the foods have already been logged.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @param {Array<object>} resolvedFoods Foods returned by resolveFood.
+ */
+async function addFoodsToCatalog(fitbitUserId, resolvedFoods) {
+    for (const resolvedFood of resolvedFoods.filter((candidate) => candidate.foodCreated)) {
+        try {
+            await saveCatalogFood(fitbitUserId, resolvedFood.fingerprint, {
+                foodId: resolvedFood.foodId,
+                foodName: resolvedFood.foodName,
+                unitId: resolvedFood.unitId,
+            });
+        } catch (error) {
+            console.warn(`Failed to add "${resolvedFood.foodName}" to the food catalog:`, error);
+        }
+    }
+}
+
+/**
+ * Logs an amount of water to the user's water log.
+ * @param {string} accessToken The user's access token.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @param {number} amountMl The amount in milliliters.
+ * @param {string} date The date in yyyy-MM-dd format.
+ * @returns {Promise<object>} The Fitbit log water response.
+ */
+async function logWaterEntry(accessToken, fitbitUserId, amountMl, date) {
+    const logWaterParams = new URLSearchParams({ amount: amountMl, date: date, unit: 'ml' });
+
+    const { ok, data: logResult } = await fitbitRequest(accessToken, fitbitUserId, 'POST', `/1/user/${fitbitUserId}/foods/log/water.json`, logWaterParams);
+
+    if (!ok) {
+        console.error('Fitbit log water error response:', logResult);
+        throw new FitbitApiError(`Failed to log water (${amountMl} ml): ${getFitbitErrorMessage(logResult)}`);
+    }
+
+    console.log(`Successfully logged ${amountMl} ml of water for user ${fitbitUserId}`);
+    return logResult;
+}
+
+/**
+ * Returns the water log ID from a Fitbit log water response.
+ * @param {object} logResult The Fitbit log water response.
+ * @returns {string|number|undefined} The log ID.
+ */
+function getWaterLogId(logResult) {
+    return logResult && logResult.waterLog ? logResult.waterLog.logId : undefined;
+}
+
+/**
+ * Returns the food log ID from a Fitbit log food response.
+ * @param {object} logResult The Fitbit log food response.
+ * @returns {string|number|undefined} The log ID.
+ */
+function getLogId(logResult) {
+    return logResult && logResult.foodLog ? logResult.foodLog.logId : undefined;
+}
 
-        const createFoodResponse = await fetch(`https://api.fitbit.com/1/user/${fitbitUserId}/foods.json`, {
-            method: 'POST',
-            headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/x-www-form-urlencoded' },
-            body: createFoodParams.toString(),
-        });
+/**
+ * Returns the food ID Fitbit assigned to a quick-logged entry.
+ * @param {object} logResult The Fitbit log food response.
+ * @returns {string|number|undefined} The food ID.
+ */
+function getLoggedFoodId(logResult) {
+    return logResult && logResult.foodLog && logResult.foodLog.loggedFood ? logResult.foodLog.loggedFood.foodId : undefined;
+}
 
-        const createFoodResult = await createFoodResponse.json(); // ここで一度だけjsonをパース
+/**
+ * Resolves the logging strategy of a request: the request's logging_strategy, then the
+ * user's default, then DEFAULT_LOGGING_STRATEGY.
+ * @param {object} nutritionData The request body.
+ * @param {object} preferences The user's preferences.
+ * @returns {string} The logging strategy.
+ */
+function getLoggingStrategy(nutritionData, preferences) {
+    return validateLoggingStrategy(nutritionData.logging_strategy || preferences.loggingStrategy || DEFAULT_LOGGING_STRATEGY);
+}
+
+/**
+ * Returns how many create or log calls of a meal may run at the same time: FITBIT_CONCURRENCY,
+ * reduced when the user's known rate-limit quota covers the meal only a few times over. With
+ * little quota to spare, the calls run one after another, so that a failure stops the meal
+ * before more of the quota is spent on calls that are rolled back.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @param {number} requestCount The most API calls the meal needs (see estimateRequestCount).
+ * @returns {number} The concurrency, at least 1.
+ */
+function getConcurrency(fitbitUserId, requestCount) {
+    const quota = fitbitClient.getQuota(fitbitUserId);
+    if (!quota) {
+        return FITBIT_CONCURRENCY;
+    }
+    return Math.max(1, Math.min(FITBIT_CONCURRENCY, Math.floor(quota.remaining / Math.max(1, requestCount))));
+}
 
-        if (!createFoodResponse.ok) {
-            console.error('Fitbit create food error response:', createFoodResult);
-            const errorMessage = createFoodResult.errors && createFoodResult.errors[0] ? createFoodResult.errors[0].message : 'Unknown error';
-            throw new FitbitApiError(`Failed to create food "${food.foodName}": ${errorMessage}`);
+/**
+ * Splits the indexes of prepared foods into the first food of each fingerprint and the later
+ * foods with the same fingerprint, so that the later ones reuse the food resolved for the
+ * first one instead of creating it a second time while the first is still being created.
+ * Missing foods (skipped items) are left out.
+ * @returns {[Array<number>, Array<number>]} The indexes of the first foods and of the duplicates.
+ */
+function splitDuplicateFoods(foods) {
+    const seen = new Set();
+    const firstIndexes = [];
+    const duplicateIndexes = [];
+    foods.forEach((food, index) => {
+        if (!food) {
+            return;
         }
-        const foodId = createFoodResult.food.foodId; // パース済みの結果を使用
-        console.log(`Successfully created food: ${food.foodName} (Food ID: ${foodId})`);
-        createdFoods.push({ ...food, foodId, unitId });
+        const fingerprint = getFoodFingerprint(food, food.unitId);
+        (seen.has(fingerprint) ? duplicateIndexes : firstIndexes).push(index);
+        seen.add(fingerprint);
+    });
+    return [firstIndexes, duplicateIndexes];
+}
+
+/**
+ * Estimates the most Fitbit API calls a meal log request can need: a custom food and a log
+ * entry per food (just the log entry with the quick strategy), a search per food with
+ * search_foods, and a log entry per water entry.
+ */
+function estimateRequestCount(nutritionData, loggingStrategy, searchFoods) {
+    const foodCalls = nutritionData.foods.reduce((count, food) => {
+        const isRecipe = Boolean(food && food.ingredients);
+        return count + (loggingStrategy === 'quick' && !isRecipe ? 1 : 2) + (searchFoods && !isRecipe ? 1 : 0);
+    }, 0);
+    return foodCalls + getWaterEntries(nutritionData.water).length;
+}
+
+/**
+ * Creates and logs food data to Fitbit for a specific user.
+ * The request is all-or-nothing: if any step fails, what was logged so far is deleted again
+ * and reported as `error.rollback`. With `partial_success`, each food is logged on its own
+ * instead (see logFoodsIndependently). Foods are resolved by resolveFood, and the water
+ * section is logged after the foods.
+ *
+ * @param {string} accessToken The user's access token.
+ * @param {object} requestData The request body with meal_type, log_date, log_time, foods and water.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @param {object} [preferences] The user's preferences (loggingStrategy, mealWindows, timezone,
+ *   preferredUnits, defaultFormType, language); see parsePreferencesUpdate.
+ * @returns {Promise<{items: Array<object>, fitbitResponses: Array<object>, mealTypeId: number, mealType: {id: number, name: string, inferred: boolean}, logDate: string, logTime: string, water: Array<object>, loggingStrategy: string}>}
+ *   A status entry per requested food, the raw Fitbit log responses, the meal type used,
+ *   the date and time logged, a status entry per water entry and the logging strategy used.
+ */
+export async function processAndLogFoods(accessToken, requestData, fitbitUserId, preferences = {}) {
+    // 単位が省略された食品・水分には、ユーザーの設定の単位を使う
+    const request = applyPreferredUnits(requestData, preferences);
+    // 水分はハンドラーで検証済みで、記録前に convertWaterToMilliliters でも確認する
+    validateMealRequest({ ...request, water: undefined });
+    const { logDate, logTime } = await resolveRequestDateTime(accessToken, fitbitUserId, request.log_date, request.log_time, preferences);
+    const nutritionData = { ...request, log_date: logDate, log_time: logTime };
+    const mealType = resolveMealType(nutritionData.meal_type, nutritionData.log_time, preferences.mealWindows);
+    const mealTypeId = mealType.id;
+    const loggingStrategy = getLoggingStrategy(nutritionData, preferences);
+    const searchFoods = nutritionData.search_foods === true;
+    // 残りのレート制限枠で足りないリクエストは、途中まで記録する前に拒否する
+    const requestCount = estimateRequestCount(nutritionData, loggingStrategy, searchFoods);
+    fitbitClient.ensureQuota(fitbitUserId, requestCount);
+    const concurrency = getConcurrency(fitbitUserId, requestCount);
+
+    if (nutritionData.partial_success) {
+        return logFoodsIndependently(accessToken, nutritionData, fitbitUserId, mealType, { loggingStrategy, searchFoods, preferences, concurrency });
     }
 
-    // フェーズ2: 作成した全ての食品を「ログ記録」する (直列実行)
+    // Fitbitに何かを作成する前に、全ての食品の単位と水分量を確認する
+    const waterAmounts = getWaterEntries(nutritionData.water).map((entry) => convertWaterToMilliliters(entry && entry.amount, entry && entry.unit));
+    const units = await getFoodUnits(accessToken, fitbitUserId);
+    const foods = nutritionData.foods.map((food, index) => prepareFood(food, units, preferences, `foods[${index}]`));
+
+    // ロールバック用 (完了した順)
+    const resolvedFoods = [];
     const logResults = [];
-    for (const createdFood of createdFoods) {
-        const logFoodParams = new URLSearchParams({
-            foodId: createdFood.foodId,
+    const waterLogIds = [];
+    // レスポンス用 (リクエストの食品の順)
+    const resolvedFoodsByIndex = new Array(foods.length);
+    const logResultsByIndex = new Array(foods.length);
+    try {
+        if (loggingStrategy === 'quick') {
+            // カスタム食品を作成せず、名前と栄養素を直接ログ記録する (最大 concurrency 件を並行実行)
+            throwFirstError(await mapSettled(foods, concurrency, async (food, index) => {
+                let resolvedFood;
+                let logResult;
+                if (food.ingredients) {
+                    // レシピは材料の内訳を説明に残すため、常にカスタム食品として作成する
+                    resolvedFood = await resolveFood(accessToken, fitbitUserId, food);
+                    resolvedFoods.push(resolvedFood);
+                    logResult = await logResolvedFood(accessToken, fitbitUserId, resolvedFood, mealTypeId, nutritionData);
+                } else {
+                    ({ resolvedFood, logResult } = await logFoodWithoutCustomFood(accessToken, fitbitUserId, food, mealTypeId, nutritionData, searchFoods));
+                    resolvedFoods.push(resolvedFood);
+                }
+                logResults.push(logResult);
+                resolvedFoodsByIndex[index] = resolvedFood;
+                logResultsByIndex[index] = logResult;
+            }, { stopOnError: true }));
+        } else {
+            // フェーズ1: 全ての食品をカタログから探すか、Fitbitに「作成」する (最大 concurrency 件を並行実行)
+            // 同じ食品は、最初の1件を解決してから残りに同じ食品を使う
+            const resolvedByFingerprint = new Map();
+            for (const indexes of splitDuplicateFoods(foods)) {
+                throwFirstError(await mapSettled(indexes, concurrency, async (index) => {
+                    const food = foods[index];
+                    const resolvedFood = await resolveFood(accessToken, fitbitUserId, food, {
+                        resolvedFoods: resolvedByFingerprint,
+                        searchFoods: searchFoods && !food.ingredients,
+                    });
+                    resolvedFoods.push(resolvedFood);
+                    resolvedFoodsByIndex[index] = resolvedFood;
+                    if (resolvedFood.fingerprint && !resolvedByFingerprint.has(resolvedFood.fingerprint)) {
+                        resolvedByFingerprint.set(resolvedFood.fingerprint, resolvedFood);
+                    }
+                }, { stopOnError: true }));
+            }
+
+            // フェーズ2: 全ての食品を「ログ記録」する (最大 concurrency 件を並行実行)
+            throwFirstError(await mapSettled(resolvedFoodsByIndex, concurrency, async (resolvedFood, index) => {
+                const logResult = await logResolvedFood(accessToken, fitbitUserId, resolvedFood, mealTypeId, nutritionData);
+                logResults.push(logResult);
+                logResultsByIndex[index] = logResult;
+            }, { stopOnError: true }));
+        }
+
+        // フェーズ3: 水分を記録する
+        for (const amountMl of waterAmounts) {
+            const waterResult = await logWaterEntry(accessToken, fitbitUserId, amountMl, nutritionData.log_date);
+            waterLogIds.push(getWaterLogId(waterResult));
+        }
+    } catch (error) {
+        // 途中で失敗した場合は、このリクエストで作成したログと食品を削除して元に戻す
+        // (カタログから再利用した食品は削除しない)
+        if (resolvedFoods.length > 0) {
+            const logIds = logResults.map(getLogId).filter((logId) => logId !== undefined);
+            const foodIds = resolvedFoods.filter((resolvedFood) => resolvedFood.foodCreated).map((resolvedFood) => resolvedFood.foodId);
+            console.log(`Rolling back ${logIds.length} food logs and ${foodIds.length} foods for user ${fitbitUserId}.`);
+            error.rollback = await rollBackFoodEntries(accessToken, fitbitUserId, {
+                logIds: logIds,
+                foodIds: foodIds,
+                waterLogIds: waterLogIds.filter((logId) => logId !== undefined),
+            });
+        }
+        throw error;
+    }
+
+    await addFoodsToCatalog(fitbitUserId, resolvedFoodsByIndex);
+
+    const items = resolvedFoodsByIndex.map((resolvedFood, index) => toLoggedItem(index, resolvedFood, logResultsByIndex[index]));
+    const water = waterAmounts.map((amountMl, index) => ({
+        index: index,
+        amount_ml: amountMl,
+        status: 'logged',
+        logId: waterLogIds[index],
+    }));
+    return { items, fitbitResponses: logResultsByIndex, mealTypeId, mealType, logDate, logTime, water, loggingStrategy };
+}
+
+/**
+ * Partial-success mode of processAndLogFoods: every food is validated, created and logged
+ * on its own, so one bad item does not prevent the others from being logged.
+ * Invalid items, including items with an invalid nutrient, unit or portion, are "skipped" without calling Fitbit,
+ * items Fitbit rejects are "failed".
+ * When logging fails after the food was created, the orphaned custom food is deleted again.
+ * Foods are resolved through the food catalog like in processAndLogFoods, and run with the
+ * same concurrency; a food that appears more than once is logged after its first item.
+ */
+async function logFoodsIndependently(accessToken, nutritionData, fitbitUserId, mealType, { loggingStrategy, searchFoods, preferences, concurrency }) {
+    const mealTypeId = mealType.id;
+    const units = await getFoodUnits(accessToken, fitbitUserId);
+
+    // 無効な食品は、Fitbitを呼ばずにスキップする
+    const items = [];
+    const foods = nutritionData.foods.map((requestedFood, index) => {
+        const item = { index: index, foodName: (requestedFood && requestedFood.foodName) || null };
+        items.push(item);
+
+        const details = validateSchema(requestedFood, foodSchema, `foods[${index}]`);
+        if (details.length > 0) {
+            Object.assign(item, { status: 'skipped', reason: formatValidationDetails(details), details: details });
+            return null;
+        }
+        try {
+            return prepareFood(requestedFood, units, preferences, `foods[${index}]`);
+        } catch (error) {
+            Object.assign(item, { status: 'skipped', reason: error.message });
+            return null;
+        }
+    });
+
+    const logResultsByIndex = new Array(foods.length);
+    const logItem = async (index) => {
+        const food = foods[index];
+        const item = items[index];
+        if (loggingStrategy === 'quick' && !food.ingredients) {
+            try {
+                const { resolvedFood, logResult } = await logFoodWithoutCustomFood(accessToken, fitbitUserId, food, mealTypeId, nutritionData, searchFoods);
+                logResultsByIndex[index] = logResult;
+                Object.assign(item, toLoggedItem(index, resolvedFood, logResult));
+            } catch (error) {
+                Object.assign(item, { status: 'failed', reason: error.message });
+            }
+            return;
+        }
+
+        let resolvedFood;
+        try {
+            resolvedFood = await resolveFood(accessToken, fitbitUserId, food, { searchFoods: searchFoods && !food.ingredients });
+            const logResult = await logResolvedFood(accessToken, fitbitUserId, resolvedFood, mealTypeId, nutritionData);
+            logResultsByIndex[index] = logResult;
+            Object.assign(item, toLoggedItem(index, resolvedFood, logResult));
+            await addFoodsToCatalog(fitbitUserId, [resolvedFood]);
+        } catch (error) {
+            Object.assign(item, { status: 'failed', reason: error.message });
+            if (resolvedFood && resolvedFood.foodCreated) {
+                const cleanup = await rollBackFoodEntries(accessToken, fitbitUserId, { foodIds: [resolvedFood.foodId] });
+                // 削除できなかった場合のみ、残ってしまった食品のIDを返す
+                if (cleanup.failed.length > 0) {
+                    item.foodId = resolvedFood.foodId;
+                }
+            }
+        }
+    };
+    // 最大 concurrency 件を並行実行する。同じ食品は、最初の1件がカタログに追加されてから記録する
+    for (const indexes of splitDuplicateFoods(foods)) {
+        await mapSettled(indexes, concurrency, logItem);
+    }
+    const logResults = logResultsByIndex.filter((logResult) => logResult !== undefined);
+
+    const water = [];
+    for (const [index, entry] of getWaterEntries(nutritionData.water).entries()) {
+        const waterItem = { index: index };
+        water.push(waterItem);
+
+        const details = validateSchema(entry, waterEntrySchema, `water[${index}]`);
+        if (details.length > 0) {
+            Object.assign(waterItem, { status: 'skipped', reason: formatValidationDetails(details), details: details });
+            continue;
+        }
+        waterItem.amount_ml = convertWaterToMilliliters(entry.amount, entry.unit);
+        try {
+            const waterResult = await logWaterEntry(accessToken, fitbitUserId, waterItem.amount_ml, nutritionData.log_date);
+            Object.assign(waterItem, { status: 'logged', logId: getWaterLogId(waterResult) });
+        } catch (error) {
+            Object.assign(waterItem, { status: 'failed', reason: error.message });
+        }
+    }
+
+    const loggedCount = items.filter((item) => item.status === 'logged').length;
+    console.log(`Partially logged ${loggedCount} of ${items.length} foods for user ${fitbitUserId}.`);
+    return { items, fitbitResponses: logResults, mealTypeId, mealType, logDate: nutritionData.log_date, logTime: nutritionData.log_time, water, loggingStrategy };
+}
+
+/**
+ * Changes an existing food log entry by logging the same food again with the corrected
+ * values and then deleting the original entry. Fitbit cannot move a log entry to another
+ * date or time, so the entry is re-issued instead of edited in place.
+ * Fields that are not part of `changes` keep the values of the existing entry; a relative
+ * log_date is resolved in the timezone of the user's preferences or Fitbit profile, and a
+ * changed meal_type is inferred with the user's meal windows.
+ *
+ * @param {string} accessToken The user's access token.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @param {object} existingLog The entry being changed: logId, foodId, foodName, amount, unit, mealTypeId, logDate, logTime.
+ * @param {object} changes The corrected fields: amount, unit, meal_type, log_date, log_time.
+ * @param {object} [preferences] The user's preferences (timezone, mealWindows).
+ * @returns {Promise<object>} The new entry (same shape as existingLog) and the Fitbit log response.
+ */
+export async function updateFoodLog(accessToken, fitbitUserId, existingLog, changes, preferences = {}) {
+    const changeDetails = validateSchema(changes, foodLogUpdateSchema);
+    if (changeDetails.length > 0) {
+        throw new ValidationError(`Invalid food log update for "${existingLog.foodName}": ${formatValidationDetails(changeDetails)}`, 400, changeDetails);
+    }
+    const requestedFood = {
+        foodName: existingLog.foodName,
+        foodId: existingLog.foodId,
+        amount: changes.amount !== undefined ? changes.amount : existingLog.amount,
+        unit: changes.unit !== undefined ? changes.unit : existingLog.unit,
+    };
+    const food = applyPortion(requestedFood);
+
+    const { unitId } = resolveUnit(await getFoodUnits(accessToken, fitbitUserId), food.unit, food.foodName);
+    const { logDate, logTime } = await resolveRequestDateTime(
+        accessToken,
+        fitbitUserId,
+        changes.log_date !== undefined ? changes.log_date : existingLog.logDate,
+        changes.log_time !== undefined ? changes.log_time : existingLog.logTime,
+        preferences,
+    );
+    const mealTypeId = changes.meal_type !== undefined ? resolveMealType(changes.meal_type, logTime, preferences.mealWindows).id : existingLog.mealTypeId;
+
+    // 先に新しいログを記録し、成功してから元のログを削除する
+    const logResult = await logFood(accessToken, fitbitUserId, { ...food, unitId }, mealTypeId, {
+        log_date: logDate,
+        log_time: logTime,
+    });
+    const newLogId = getLogId(logResult);
+
+    const deletion = await deleteFoodEntries(accessToken, fitbitUserId, { logIds: [existingLog.logId] });
+    if (deletion.failed.length > 0) {
+        // 元のログが残ると二重記録になるため、新しいログを取り消す
+        const error = new FitbitApiError(`Failed to replace food log ${existingLog.logId}: ${deletion.failed[0].reason}`);
+        error.rollback = await rollBackFoodEntries(accessToken, fitbitUserId, { logIds: [newLogId] });
+        throw error;
+    }
+
+    console.log(`Replaced food log ${existingLog.logId} with ${newLogId} for user ${fitbitUserId}`);
+    return {
+        entry: {
+            ...existingLog,
+            logId: newLogId,
+            amount: food.amount,
+            unit: food.unit,
             mealTypeId: mealTypeId,
-            unitId: createdFood.unitId,
-            amount: createdFood.amount,
-            date: nutritionData.log_date,
-            time: nutritionData.log_time,
-        }).toString();
+            logDate: logDate,
+            logTime: logTime,
+        },
+        fitbitResponse: logResult,
+    };
+}
+
+/**
+ * Fetches the user's food log for a date and calculates per-meal and daily nutrition totals.
+ * Fitbit only reports calories and the main macros per log entry, so the details of every
+ * logged food are fetched as well to cover the other nutrients in nutritionMap. The details
+ * are fetched FITBIT_CONCURRENCY at a time, and only for as many foods as the user's known
+ * rate-limit quota still allows; the other foods are summed from the logged macros and the
+ * summary is marked incomplete.
+ * @param {string} accessToken The user's access token.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @param {string} date The date (yyyy-MM-dd or "today").
+ * @returns {Promise<object>} The nutrition summary (see summarizeFoodLog).
+ */
+export async function getDailyNutritionSummary(accessToken, fitbitUserId, date) {
+    const { ok, data: dailyLog } = await fitbitRequest(accessToken, fitbitUserId, 'GET', `/1/user/${fitbitUserId}/foods/log/date/${date}.json`);
+    if (!ok) {
+        console.error('Fitbit get food log error response:', dailyLog);
+        throw new FitbitApiError(`Failed to get food log for ${date}: ${getFitbitErrorMessage(dailyLog)}`);
+    }
+
+    const foods = new Map();
+    const foodIds = [...new Set((dailyLog.foods || []).map((logEntry) => logEntry.loggedFood && logEntry.loggedFood.foodId))]
+        .filter((foodId) => foodId !== undefined);
+    // 残りのレート制限枠を使い切らないよう、枠が足りない分の食品は詳細を取得しない
+    const quota = fitbitClient.getQuota(fitbitUserId);
+    const lookupIds = quota ? foodIds.slice(0, quota.remaining) : foodIds;
+    if (lookupIds.length < foodIds.length) {
+        console.warn(`Only ${lookupIds.length} of ${foodIds.length} food details fit in the remaining quota of user ${fitbitUserId}.`);
+    }
+    await mapSettled(lookupIds, FITBIT_CONCURRENCY, async (foodId) => {
+        // 詳細が取得できない食品は、ログに含まれる主要栄養素のみで集計する
+        const { ok: foodOk, data } = await fitbitRequest(accessToken, fitbitUserId, 'GET', `/1/foods/${foodId}.json`)
+            .catch((error) => ({ ok: false, data: { errors: [{ message: error.message }] } }));
+        if (foodOk && data.food) {
+            foods.set(foodId, data.food);
+        } else {
+            console.warn(`Could not get details of food ${foodId}: ${getFitbitErrorMessage(data)}`);
+        }
+    });
+
+    return summarizeFoodLog(date, dailyLog, foods);
+}
+
+/**
+ * Gets the user's food goals and what has been consumed on the given date.
+ * @param {string} accessToken The Fitbit API access token.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @param {string} date The date in yyyy-MM-dd format, or "today".
+ * @returns {Promise<object>} The goals, consumed and remaining calories and macros.
+ * @throws {RateLimitError} Before calling Fitbit if the user's known quota is too small for both calls.
+ */
+export async function getNutritionBudget(accessToken, fitbitUserId, date) {
+    fitbitClient.ensureQuota(fitbitUserId, NUTRITION_BUDGET_REQUEST_COUNT);
+    const [logResponse, goalResponse] = await Promise.all([
+        fitbitRequest(accessToken, fitbitUserId, 'GET', `/1/user/${fitbitUserId}/foods/log/date/${date}.json`),
+        fitbitRequest(accessToken, fitbitUserId, 'GET', `/1/user/${fitbitUserId}/foods/log/goal.json`),
+    ]);
+    if (!logResponse.ok) {
+        console.error('Fitbit get food log error response:', logResponse.data);
+        throw new FitbitApiError(`Failed to get food log for ${date}: ${getFitbitErrorMessage(logResponse.data)}`);
+    }
+    if (!goalResponse.ok) {
+        console.error('Fitbit get food goals error response:', goalResponse.data);
+        throw new FitbitApiError(`Failed to get food goals: ${getFitbitErrorMessage(goalResponse.data)}`);
+    }
+
+    return calculateNutritionBudget(date, logResponse.data.summary || {}, goalResponse.data.goals || {});
+}
+
+/**
+ * Logs water to the user's water log.
+ * @param {string} accessToken The user's access token.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @param {object} waterData The request body with amount, unit and log_date.
+ * @returns {Promise<{amount_ml: number, logId: string|number, fitbitResponse: object}>} The logged amount and the Fitbit response.
+ */
+export async function logWater(accessToken, fitbitUserId, waterData) {
+    if (!waterData.log_date) {
+        throw new ValidationError('Missing required field for water log: log_date.');
+    }
+    const amountMl = convertWaterToMilliliters(waterData.amount, waterData.unit);
+    const fitbitResponse = await logWaterEntry(accessToken, fitbitUserId, amountMl, waterData.log_date);
+    return { amount_ml: amountMl, logId: getWaterLogId(fitbitResponse), fitbitResponse };
+}
+
+/**
+ * Gets the water logged on the given date.
+ * @param {string} accessToken The user's access token.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @param {string} date The date in yyyy-MM-dd format, or "today".
+ * @returns {Promise<{date: string, total_ml: number, entries: Array<object>}>} The daily total and the individual entries in milliliters.
+ */
+export async function getWaterSummary(accessToken, fitbitUserId, date) {
+    const { ok, data } = await fitbitRequest(accessToken, fitbitUserId, 'GET', `/1/user/${fitbitUserId}/foods/log/water/date/${date}.json`, undefined, METRIC_UNITS_HEADERS);
+    if (!ok) {
+        console.error('Fitbit get water log error response:', data);
+        throw new FitbitApiError(`Failed to get water log for ${date}: ${getFitbitErrorMessage(data)}`);
+    }
+
+    return {
+        date: date,
+        total_ml: (data.summary && data.summary.water) || 0,
+        entries: (data.water || []).map((entry) => ({ logId: entry.logId, amount_ml: entry.amount })),
+    };
+}
+
+/**
+ * Logs a body weight and/or body-fat entry through Fitbit's body log endpoints.
+ * Like food logging, the request is all-or-nothing: if the body-fat log fails after the
+ * weight was logged, the weight entry is deleted again.
+ * @param {string} accessToken The user's access token.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @param {object} bodyData The request body with weight, weight_unit, body_fat, log_date and log_time.
+ * @returns {Promise<object>} The logged weight (kg) and body fat (%) with their log IDs, and the Fitbit responses.
+ */
+export async function logBodyMetrics(accessToken, fitbitUserId, bodyData) {
+    if (!bodyData.log_date) {
+        throw new ValidationError('Missing required field for body log: log_date.');
+    }
+    if (bodyData.weight === undefined && bodyData.body_fat === undefined) {
+        throw new ValidationError('Invalid input: specify weight and/or body_fat.');
+    }
+    const weightKg = bodyData.weight !== undefined ? convertWeightToKilograms(bodyData.weight, bodyData.weight_unit) : undefined;
+    const bodyFat = bodyData.body_fat !== undefined ? validateBodyFat(bodyData.body_fat) : undefined;
+    const time = toBodyLogTime(bodyData.log_time);
+
+    const logBodyEntry = async (type, value) => {
+        const params = new URLSearchParams({ [type]: value, date: bodyData.log_date });
+        if (time) {
+            params.append('time', time);
+        }
+        const { ok, data } = await fitbitRequest(accessToken, fitbitUserId, 'POST', `/1/user/${fitbitUserId}/body/log/${type}.json`, params, METRIC_UNITS_HEADERS);
+        if (!ok) {
+            console.error(`Fitbit log ${type} error response:`, data);
+            throw new FitbitApiError(`Failed to log ${type === 'fat' ? 'body fat' : 'weight'}: ${getFitbitErrorMessage(data)}`);
+        }
+        return data;
+    };
+
+    const result = { fitbitResponses: [] };
+    if (weightKg !== undefined) {
+        const weightResult = await logBodyEntry('weight', weightKg);
+        result.fitbitResponses.push(weightResult);
+        result.weight = { kg: weightKg, logId: weightResult.weightLog ? weightResult.weightLog.logId : undefined };
+    }
+    if (bodyFat !== undefined) {
+        try {
+            const fatResult = await logBodyEntry('fat', bodyFat);
+            result.fitbitResponses.push(fatResult);
+            result.body_fat = { percent: bodyFat, logId: fatResult.fatLog ? fatResult.fatLog.logId : undefined };
+        } catch (error) {
+            if (result.weight && result.weight.logId !== undefined) {
+                // 体脂肪率を記録できなかった場合は、体重の記録も取り消す
+                const { ok, data } = await fitbitClient.runWithDeadline(Date.now() + FITBIT_ROLLBACK_BUDGET_MS,
+                    () => fitbitRequest(accessToken, fitbitUserId, 'DELETE', `/1/user/${fitbitUserId}/body/log/weight/${result.weight.logId}.json`))
+                    .catch((deleteError) => ({ ok: false, data: { errors: [{ message: deleteError.message }] } }));
+                error.rollback = ok
+                    ? { deletedWeightLogIds: [result.weight.logId], failed: [] }
+                    : { deletedWeightLogIds: [], failed: [{ type: 'weightLog', id: result.weight.logId, reason: getFitbitErrorMessage(data) }] };
+            }
+            throw error;
+        }
+    }
+
+    console.log(`Successfully logged body metrics for user ${fitbitUserId}`);
+    return result;
+}
 
-        const logFoodResponse = await fetch(`https://api.fitbit.com/1/user/${fitbitUserId}/foods/log.json`, {
-            method: 'POST',
-            headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/x-www-form-urlencoded' },
-            body: logFoodParams,
-        });
+/**
+ * Gets the flattened list of Fitbit's activity types, cached for ACTIVITY_CATALOG_TTL_MS.
+ * @param {string} accessToken The user's access token.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @returns {Promise<Array<{id: number, name: string}>>} The activities.
+ */
+async function getActivityCatalog(accessToken, fitbitUserId) {
+    if (activityCatalogCache.activities && Date.now() - activityCatalogCache.fetchedAt < ACTIVITY_CATALOG_TTL_MS) {
+        return activityCatalogCache.activities;
+    }
+    const { ok, data } = await fitbitRequest(accessToken, fitbitUserId, 'GET', '/1/activities.json');
+    if (!ok) {
+        console.error('Fitbit get activity types error response:', data);
+        throw new FitbitApiError(`Failed to get activity types: ${getFitbitErrorMessage(data)}`);
+    }
+    activityCatalogCache = { activities: flattenActivityCatalog(data), fetchedAt: Date.now() };
+    return activityCatalogCache.activities;
+}
+
+/**
+ * Logs an activity such as "30 minutes of jogging" or "walked 5 km".
+ * The activity name is resolved to a Fitbit activity ID through the activity catalog; names
+ * that cannot be resolved are logged as a custom activity, which requires `calories`.
+ * @param {string} accessToken The user's access token.
+ * @param {string} fitbitUserId The Fitbit user ID.
+ * @param {object} activityData The request body with activity_name or activity_id, duration_minutes,
+ *   distance, distance_unit, calories, log_date and log_time.
+ * @returns {Promise<object>} The activity that was logged, its log ID and the Fitbit response.
+ */
+export async function logActivity(accessToken, fitbitUserId, activityData) {
+    const missingFields = ['log_date', 'log_time', 'duration_minutes'].filter((field) => activityData[field] === undefined || activityData[field] === null || activityData[field] === '');
+    if (!activityData.activity_name && !activityData.activity_id) {
+        missingFields.unshift('activity_name');
+    }
+    if (missingFields.length > 0) {
+        throw new ValidationError(`Missing required field(s) for activity log: ${missingFields.join(', ')}.`);
+    }
+    const hasCalories = activityData.calories !== undefined;
+    if (hasCalories && (typeof activityData.calories !== 'number' || !(activityData.calories > 0))) {
+        throw new ValidationError('Invalid calories: must be a positive number.');
+    }
 
-        if (!logFoodResponse.ok) {
-            const errorData = await logFoodResponse.json();
-            console.error('Fitbit log food error response:', errorData);
-            const errorMessage = errorData.errors && errorData.errors[0] ? errorData.errors[0].message : 'Unknown error';
-            throw new FitbitApiError(`Failed to log food "${createdFood.foodName}": ${errorMessage}`);
+    const logActivityParams = new URLSearchParams({
+        startTime: activityData.log_time,
+        durationMillis: toDurationMillis(activityData.duration_minutes),
+        date: activityData.log_date,
+    });
+    if (activityData.distance !== undefined) {
+        if (typeof activityData.distance !== 'number' || !(activityData.distance > 0)) {
+            throw new ValidationError('Invalid distance: must be a positive number.');
         }
+        logActivityParams.append('distance', activityData.distance);
+        logActivityParams.append('distanceUnit', getDistanceUnit(activityData.distance_unit));
+    }
 
-        const logResult = await logFoodResponse.json();
-        console.log(`Successfully logged food: ${createdFood.foodName} for user ${fitbitUserId}`);
-        logResults.push(logResult);
+    let activity = activityData.activity_id ? { id: activityData.activity_id, name: activityData.activity_name } : null;
+    if (!activity) {
+        activity = findActivity(await getActivityCatalog(accessToken, fitbitUserId), activityData.activity_name);
+    }
+    if (activity) {
+        logActivityParams.append('activityId', activity.id);
+    } else if (hasCalories) {
+        logActivityParams.append('activityName', activityData.activity_name);
+    } else {
+        throw new ValidationError(`Unknown activity "${activityData.activity_name}": specify calories to log it as a custom activity.`);
+    }
+    if (hasCalories) {
+        logActivityParams.append('manualCalories', Math.round(activityData.calories));
+    }
+
+    const { ok, data: logResult } = await fitbitRequest(accessToken, fitbitUserId, 'POST', `/1/user/${fitbitUserId}/activities.json`, logActivityParams);
+    if (!ok) {
+        console.error('Fitbit log activity error response:', logResult);
+        throw new FitbitApiError(`Failed to log activity "${activityData.activity_name || activity.id}": ${getFitbitErrorMessage(logResult)}`);
     }
 
-    return logResults;
+    console.log(`Successfully logged activity: ${activityData.activity_name || activity.id} for user ${fitbitUserId}`);
+    return {
+        activityId: activity ? activity.id : null,
+        activityName: activity ? activity.name : activityData.activity_name,
+        custom: !activity,
+        logId: logResult.activityLog ? logResult.activityLog.logId : undefined,
+        fitbitResponse: logResult,
+    };
 }
@@ -0,0 +1,257 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { FitbitApiError, RateLimitError } from './errors.js';
+
+// Methods that can be sent again without creating a second entry on Fitbit
+const IDEMPOTENT_METHODS = ['GET', 'DELETE'];
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+// Error types of a 401 that a refreshed access token fixes
+const REFRESHABLE_ERROR_TYPES = ['expired_token', 'invalid_token'];
+// Access tokens expire after 8 hours; older token refreshers are no longer needed
+const TOKEN_REFRESHER_TTL_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * Reads a response header; the mocked responses of tests may have no headers at all.
+ */
+function getHeader(response, name) {
+    return response.headers && typeof response.headers.get === 'function' ? response.headers.get(name) : null;
+}
+
+/**
+ * Parses a header of whole seconds, e.g. Retry-After or fitbit-rate-limit-reset.
+ * @returns {number|null} The seconds, or null if the header is missing or not a number.
+ */
+function parseSeconds(value) {
+    const seconds = Number(value);
+    return value !== null && value !== undefined && value !== '' && Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+}
+
+/**
+ * Checks whether a 401 response says that the access token has expired or was revoked.
+ */
+function isRefreshableAuthError(status, data) {
+    return status === 401 && Boolean(data && Array.isArray(data.errors)
+        && data.errors.some((error) => error && REFRESHABLE_ERROR_TYPES.includes(error.errorType)));
+}
+
+/**
+ * Creates a client for the Fitbit Web API that keeps track of the hourly per-user quota.
+ *
+ * Every response's fitbit-rate-limit-limit, -remaining and -reset headers are stored per user,
+ * so ensureQuota can refuse a request before its first call when the remaining quota is too
+ * small for it. Failed calls are retried with exponential backoff and full jitter:
+ * - 429 responses after Retry-After (or fitbit-rate-limit-reset), since Fitbit did not process them
+ * - 5xx responses and network errors of GET and DELETE only, since a POST may already have
+ *   created a food or log entry
+ * Retries stop after maxRetries or when the next attempt would exceed timeBudgetMs from the
+ * first call, so the caller gets a response while the function still has time to answer.
+ * Calls made inside runWithDeadline also share that deadline: a request that makes many calls
+ * one after another stops retrying once the deadline of the whole request would be exceeded,
+ * and calls started after the deadline are rejected without calling Fitbit.
+ *
+ * An access token registered with setTokenRefresher is refreshed once when Fitbit answers a
+ * call with a 401 expired_token or invalid_token, and the call is sent again with the new
+ * token. Later calls with the old token use the new one directly, and calls that fail at the
+ * same time share a single refresh.
+ *
+ * @param {object} options
+ * @param {Function} options.fetch The fetch implementation.
+ * @param {string} [options.baseUrl] The API base URL.
+ * @param {number} [options.maxRetries] Retries after the first call.
+ * @param {number} [options.baseDelayMs] The delay cap of the first retry, doubled for each further retry.
+ * @param {number} [options.maxDelayMs] The largest delay cap.
+ * @param {number} [options.timeBudgetMs] The time a call may take, retries included.
+ * @param {Function} [options.sleep] Waits the given milliseconds.
+ * @param {Function} [options.random] Returns a number in [0, 1) for the jitter.
+ * @param {Function} [options.now] Returns the current time in milliseconds.
+ * @returns {{request: Function, getQuota: Function, ensureQuota: Function, setTokenRefresher: Function, runWithDeadline: Function}} The client.
+ */
+export function createFitbitClient({
+    fetch,
+    baseUrl = 'https://api.fitbit.com',
+    maxRetries = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    timeBudgetMs = 20000,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    random = Math.random,
+    now = () => Date.now(),
+}) {
+    const quotas = new Map();
+    // アクセストークンごとの { refresh, registeredAt, refreshed: 新しいトークンの Promise }
+    const tokens = new Map();
+    // runWithDeadline で実行中の処理の期限
+    const deadlines = new AsyncLocalStorage();
+
+    const updateQuota = (key, response) => {
+        const limit = parseSeconds(getHeader(response, 'fitbit-rate-limit-limit'));
+        const remaining = parseSeconds(getHeader(response, 'fitbit-rate-limit-remaining'));
+        const reset = parseSeconds(getHeader(response, 'fitbit-rate-limit-reset'));
+        if (remaining !== null && reset !== null) {
+            quotas.set(key, { limit, remaining, resetAt: now() + reset * 1000 });
+        } else if (response.status === 429) {
+            const retryAfter = parseSeconds(getHeader(response, 'retry-after'));
+            const previous = quotas.get(key);
+            quotas.set(key, { limit: previous ? previous.limit : null, remaining: 0, resetAt: now() + (retryAfter || 0) * 1000 });
+        }
+    };
+
+    /**
+     * Returns the last known quota of a user.
+     * @param {string} key The Fitbit user ID.
+     * @returns {{limit: number|null, remaining: number, resetAt: number}|null} The quota, or
+     *   null if it is unknown or has been reset since.
+     */
+    const getQuota = (key) => {
+        const quota = quotas.get(key);
+        if (!quota || now() >= quota.resetAt) {
+            quotas.delete(key);
+            return null;
+        }
+        return { ...quota };
+    };
+
+    /**
+     * Refuses a request that needs more calls than the user's remaining quota.
+     * @param {string} key The Fitbit user ID.
+     * @param {number} requestCount The number of API calls the request needs at most.
+     * @throws {RateLimitError} If the known remaining quota is smaller than requestCount.
+     */
+    const ensureQuota = (key, requestCount) => {
+        const quota = getQuota(key);
+        if (quota && quota.remaining < requestCount) {
+            const retryAfter = Math.ceil((quota.resetAt - now()) / 1000);
+            throw new RateLimitError(`Fitbit rate limit: this request needs up to ${requestCount} API calls, but only ${quota.remaining} remain until the quota is reset in ${retryAfter} seconds.`, 429, retryAfter);
+        }
+    };
+
+    /**
+     * Runs a task whose API calls must all finish by the deadline, e.g. the handling of one
+     * HTTP request. A nested call replaces the deadline for its own task.
+     * @param {number} deadline The time in milliseconds by which the calls must be done.
+     * @param {Function} task Returns a promise.
+     * @returns {Promise<*>} The result of the task.
+     */
+    const runWithDeadline = (deadline, task) => deadlines.run(deadline, task);
+
+    /**
+     * Registers how to refresh an access token when Fitbit rejects it.
+     * @param {string} accessToken The access token.
+     * @param {Function} refresh Returns a promise of the new access token.
+     */
+    const setTokenRefresher = (accessToken, refresh) => {
+        for (const [token, entry] of tokens) {
+            if (now() - entry.registeredAt > TOKEN_REFRESHER_TTL_MS) {
+                tokens.delete(token);
+            }
+        }
+        const entry = tokens.get(accessToken);
+        if (!entry || !entry.refreshed) {
+            tokens.set(accessToken, { refresh, registeredAt: now(), refreshed: null });
+        }
+    };
+
+    /**
+     * Refreshes an access token, or returns the refresh already started for it.
+     */
+    const refreshToken = (accessToken) => {
+        const entry = tokens.get(accessToken);
+        if (!entry.refreshed) {
+            entry.refreshed = Promise.resolve().then(() => entry.refresh()).catch((error) => {
+                // 失敗したリフレッシュは次の呼び出しで再試行できるようにする
+                entry.refreshed = null;
+                throw error;
+            });
+        }
+        return entry.refreshed;
+    };
+
+    /**
+     * Sends an authenticated request once, retrying rate-limited and transient failures.
+     */
+    const send = async (accessToken, fitbitUserId, method, path, params, headers) => {
+        const options = {
+            method: method,
+            headers: { 'Authorization': `Bearer ${accessToken}`, ...headers },
+        };
+        if (params) {
+            options.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+            options.body = new URLSearchParams(params).toString();
+        }
+        const idempotent = IDEMPOTENT_METHODS.includes(method);
+        const requestDeadline = deadlines.getStore();
+        if (requestDeadline !== undefined && now() >= requestDeadline) {
+            throw new FitbitApiError(`Fitbit did not respond in time; ${method} ${path} was not sent. Please try again later.`, 503);
+        }
+        const deadline = Math.min(now() + timeBudgetMs, requestDeadline !== undefined ? requestDeadline : Infinity);
+
+        for (let attempt = 0; ; attempt++) {
+            const backoff = random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            let response;
+            try {
+                response = await fetch(`${baseUrl}${path}`, options);
+            } catch (error) {
+                if (!idempotent || attempt >= maxRetries || now() + backoff > deadline) {
+                    throw error;
+                }
+                console.warn(`Fitbit ${method} ${path} failed (${error.message}); retrying in ${Math.round(backoff)} ms.`);
+                await sleep(backoff);
+                continue;
+            }
+            updateQuota(fitbitUserId, response);
+
+            if (response.status === 429) {
+                const retryAfterHeader = parseSeconds(getHeader(response, 'retry-after'));
+                const retryAfter = retryAfterHeader !== null ? retryAfterHeader : parseSeconds(getHeader(response, 'fitbit-rate-limit-reset'));
+                const delay = (retryAfter || 0) * 1000 + backoff;
+                if (attempt >= maxRetries || now() + delay > deadline) {
+                    throw new RateLimitError(`Fitbit rate limit exceeded${retryAfter !== null ? `; try again in ${retryAfter} seconds` : ''}.`, 429, retryAfter);
+                }
+                console.warn(`Fitbit ${method} ${path} was rate limited; retrying in ${Math.round(delay)} ms.`);
+                await sleep(delay);
+                continue;
+            }
+            if (RETRYABLE_STATUSES.includes(response.status) && idempotent && attempt < maxRetries && now() + backoff <= deadline) {
+                console.warn(`Fitbit ${method} ${path} returned ${response.status}; retrying in ${Math.round(backoff)} ms.`);
+                await sleep(backoff);
+                continue;
+            }
+
+            // DELETEエンドポイントは 204 No Content を返す
+            const data = response.status === 204 ? null : await response.json();
+            return { ok: response.ok, status: response.status, data: data };
+        }
+    };
+
+    /**
+     * Sends an authenticated request, retrying and refreshing the token as described above.
+     * @param {string} accessToken The user's access token.
+     * @param {string} fitbitUserId The Fitbit user ID whose quota the call counts against, also
+     *   for paths without a user (e.g. the units list).
+     * @param {string} method The HTTP method.
+     * @param {string} path The API path, e.g. "/1/user/-/foods.json".
+     * @param {URLSearchParams|object} [params] Form parameters sent as the request body.
+     * @param {object} [headers] Additional request headers.
+     * @returns {Promise<{ok: boolean, status: number, data: object|null}>} The parsed response.
+     * @throws {RateLimitError} If the quota is still exhausted after the retries.
+     * @throws {FitbitApiError} With status 503 if the call is started after the deadline of runWithDeadline.
+     * @throws {Error} The network error of the last attempt, or the error of the token refresh.
+     */
+    const request = async (accessToken, fitbitUserId, method, path, params, headers = {}) => {
+        const entry = tokens.get(accessToken);
+        // 既にリフレッシュしたトークンは、新しいトークンで送る
+        const token = entry && entry.refreshed ? await entry.refreshed : accessToken;
+        const result = await send(token, fitbitUserId, method, path, params, headers);
+        if (!entry || !isRefreshableAuthError(result.status, result.data)) {
+            return result;
+        }
+        const refreshedToken = await refreshToken(accessToken);
+        if (refreshedToken === token) {
+            // このトークンでも拒否された場合は、リフレッシュを繰り返さない
+            return result;
+        }
+        console.log(`Fitbit rejected the access token (${result.data.errors[0].errorType}); retrying ${method} ${path} with a refreshed token.`);
+        return send(refreshedToken, fitbitUserId, method, path, params, headers);
+    };
+
+    return { request, getQuota, ensureQuota, setTokenRefresher, runWithDeadline };
+}
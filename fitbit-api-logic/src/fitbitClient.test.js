@@ -0,0 +1,316 @@
+import { createFitbitClient } from './fitbitClient';
+import { FitbitApiError, RateLimitError } from './errors';
+
+// fetch のレスポンス (ヘッダー名は大文字・小文字を区別しない)
+const mockResponse = (status, data, headers = {}) => {
+    const lowerCaseHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: (name) => (lowerCaseHeaders[name.toLowerCase()] !== undefined ? lowerCaseHeaders[name.toLowerCase()] : null) },
+        json: () => Promise.resolve(data),
+    };
+};
+
+const rateLimitHeaders = (remaining, reset = 600) => ({
+    'Fitbit-Rate-Limit-Limit': 150,
+    'Fitbit-Rate-Limit-Remaining': remaining,
+    'Fitbit-Rate-Limit-Reset': reset,
+});
+
+describe('createFitbitClient', () => {
+    let fetch;
+    let sleep;
+    let currentTime;
+    let client;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        fetch = jest.fn();
+        currentTime = 1_000_000;
+        // sleep は時間だけ進める
+        sleep = jest.fn((ms) => {
+            currentTime += ms;
+            return Promise.resolve();
+        });
+        client = createFitbitClient({ fetch, sleep, random: () => 0.5, now: () => currentTime });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('request', () => {
+        test('should send an authenticated form request and parse the response', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(201, { foodLog: { logId: 1 } }));
+
+            const result = await client.request('token', 'user1', 'POST', '/1/user/user1/foods/log.json', { foodId: '1', amount: '2' });
+
+            expect(fetch).toHaveBeenCalledWith('https://api.fitbit.com/1/user/user1/foods/log.json', {
+                method: 'POST',
+                headers: { 'Authorization': 'Bearer token', 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: 'foodId=1&amount=2',
+            });
+            expect(result).toEqual({ ok: true, status: 201, data: { foodLog: { logId: 1 } } });
+        });
+
+        test('should return null data for 204 No Content', async () => {
+            fetch.mockResolvedValueOnce({ ok: true, status: 204 });
+
+            const result = await client.request('token', 'user1', 'DELETE', '/1/user/user1/foods/log/1.json');
+
+            expect(result).toEqual({ ok: true, status: 204, data: null });
+        });
+
+        test('should retry a 429 after Retry-After with jitter', async () => {
+            fetch
+                .mockResolvedValueOnce(mockResponse(429, {}, { 'Retry-After': 2 }))
+                .mockResolvedValueOnce(mockResponse(201, { foodLog: { logId: 1 } }));
+
+            const result = await client.request('token', 'user1', 'POST', '/1/user/user1/foods/log.json', { foodId: '1' });
+
+            // 2秒 + 500ms * 0.5 のジッター
+            expect(sleep).toHaveBeenCalledWith(2250);
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(result.ok).toBe(true);
+        });
+
+        test('should throw RateLimitError without waiting if Retry-After exceeds the time budget', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(429, {}, { 'Retry-After': 1800 }));
+
+            const error = await client.request('token', 'user1', 'GET', '/1/user/user1/profile.json').catch((e) => e);
+
+            expect(error).toBeInstanceOf(RateLimitError);
+            expect(error.message).toBe('Fitbit rate limit exceeded; try again in 1800 seconds.');
+            expect(error.retryAfter).toBe(1800);
+            expect(sleep).not.toHaveBeenCalled();
+        });
+
+        test('should retry 5xx responses of GET with exponential backoff and return the last response', async () => {
+            fetch.mockResolvedValue(mockResponse(503, { errors: [{ message: 'Unavailable' }] }));
+
+            const result = await client.request('token', 'user1', 'GET', '/1/foods/units.json');
+
+            expect(fetch).toHaveBeenCalledTimes(4);
+            expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([250, 500, 1000]);
+            expect(result).toEqual({ ok: false, status: 503, data: { errors: [{ message: 'Unavailable' }] } });
+        });
+
+        test('should retry network errors of GET and DELETE', async () => {
+            fetch
+                .mockRejectedValueOnce(new Error('socket hang up'))
+                .mockResolvedValueOnce(mockResponse(200, { user: { timezone: 'Asia/Tokyo' } }));
+
+            const result = await client.request('token', 'user1', 'GET', '/1/user/user1/profile.json');
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(result.data).toEqual({ user: { timezone: 'Asia/Tokyo' } });
+        });
+
+        test('should not retry 5xx responses and network errors of POST', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(500, { errors: [{ message: 'Internal error' }] }));
+            const result = await client.request('token', 'user1', 'POST', '/1/user/user1/foods.json', { name: 'Rice' });
+            expect(result.status).toBe(500);
+
+            fetch.mockRejectedValueOnce(new Error('socket hang up'));
+            await expect(client.request('token', 'user1', 'POST', '/1/user/user1/foods.json', { name: 'Rice' }))
+                .rejects.toThrow('socket hang up');
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(sleep).not.toHaveBeenCalled();
+        });
+
+        test('should stop retrying when the next attempt would exceed the time budget', async () => {
+            client = createFitbitClient({ fetch, sleep, random: () => 1, now: () => currentTime, baseDelayMs: 1000, timeBudgetMs: 2500 });
+            fetch.mockRejectedValue(new Error('ECONNRESET'));
+
+            await expect(client.request('token', 'user1', 'GET', '/1/foods/units.json')).rejects.toThrow('ECONNRESET');
+
+            // 1000ms 待った後、次の 2000ms は予算 (2500ms) を超える
+            expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([1000]);
+            expect(fetch).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('deadline', () => {
+        test('should share the deadline of runWithDeadline between the calls of a request', async () => {
+            fetch.mockResolvedValue(mockResponse(429, {}, { 'Retry-After': 2 }));
+            fetch.mockResolvedValueOnce(mockResponse(200, {}));
+
+            const error = await client.runWithDeadline(currentTime + 3000, async () => {
+                // 1回目は成功し、2回目は 2250ms 待って再試行すると、残り 750ms では次の再試行を待てない
+                await client.request('token', 'user1', 'GET', '/1/user/user1/profile.json');
+                return client.request('token', 'user1', 'POST', '/1/user/user1/foods/log.json', { foodId: '1' }).catch((e) => e);
+            });
+
+            expect(error).toBeInstanceOf(RateLimitError);
+            expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([2250]);
+            expect(fetch).toHaveBeenCalledTimes(3);
+        });
+
+        test('should reject calls started after the deadline without calling Fitbit', async () => {
+            const error = await client.runWithDeadline(currentTime, () => client.request('token', 'user1', 'GET', '/1/user/user1/profile.json'))
+                .catch((e) => e);
+
+            expect(error).toBeInstanceOf(FitbitApiError);
+            expect(error.statusCode).toBe(503);
+            expect(error.message).toBe('Fitbit did not respond in time; GET /1/user/user1/profile.json was not sent. Please try again later.');
+            expect(fetch).not.toHaveBeenCalled();
+        });
+
+        test('should stop retrying 5xx responses at the deadline of the request', async () => {
+            fetch.mockResolvedValue(mockResponse(503, {}));
+
+            const result = await client.runWithDeadline(currentTime + 500, () => client.request('token', 'user1', 'GET', '/1/foods/units.json'));
+
+            // 250ms 待った後、次の 500ms は期限を超える
+            expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([250]);
+            expect(result.status).toBe(503);
+        });
+    });
+
+    describe('quota', () => {
+        test('should store the quota of the rate-limit headers per user', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(200, {}, rateLimitHeaders(42, 600)));
+
+            await client.request('token', 'user1', 'GET', '/1/user/user1/profile.json');
+
+            expect(client.getQuota('user1')).toEqual({ limit: 150, remaining: 42, resetAt: currentTime + 600_000 });
+            expect(client.getQuota('user2')).toBeNull();
+        });
+
+        test('should store the quota of requests without a user under the given user', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(200, [], rateLimitHeaders(10)));
+
+            await client.request('token', 'user1', 'GET', '/1/foods/units.json');
+
+            expect(client.getQuota('user1')).toEqual(expect.objectContaining({ remaining: 10 }));
+            expect(client.getQuota('token')).toBeNull();
+        });
+
+        test('should forget the quota after it is reset', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(200, {}, rateLimitHeaders(0, 60)));
+            await client.request('token', 'user1', 'GET', '/1/user/user1/profile.json');
+
+            currentTime += 60_000;
+
+            expect(client.getQuota('user1')).toBeNull();
+            expect(() => client.ensureQuota('user1', 10)).not.toThrow();
+        });
+
+        test('should refuse a request that needs more calls than remain', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(200, {}, rateLimitHeaders(3, 900)));
+            await client.request('token', 'user1', 'GET', '/1/user/user1/profile.json');
+
+            expect(() => client.ensureQuota('user1', 3)).not.toThrow();
+            expect(() => client.ensureQuota('user1', 4)).toThrow(RateLimitError);
+            expect(() => client.ensureQuota('user1', 4))
+                .toThrow('Fitbit rate limit: this request needs up to 4 API calls, but only 3 remain until the quota is reset in 900 seconds.');
+        });
+
+        test('should treat a 429 without rate-limit headers as an exhausted quota', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(429, {}, { 'Retry-After': 1800 }));
+            await client.request('token', 'user1', 'GET', '/1/user/user1/profile.json').catch(() => {});
+
+            expect(client.getQuota('user1')).toEqual({ limit: null, remaining: 0, resetAt: currentTime + 1_800_000 });
+            expect(() => client.ensureQuota('user1', 1)).toThrow(RateLimitError);
+        });
+
+        test('should allow any request while the quota is unknown', () => {
+            expect(() => client.ensureQuota('user1', 1000)).not.toThrow();
+        });
+    });
+
+    describe('token refresh', () => {
+        const expiredTokenResponse = () => mockResponse(401, { errors: [{ errorType: 'expired_token', message: 'Access token expired' }] });
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        test('should refresh an expired token once and replay the request with the new token', async () => {
+            const refresh = jest.fn().mockResolvedValue('newToken');
+            client.setTokenRefresher('oldToken', refresh);
+            fetch
+                .mockResolvedValueOnce(expiredTokenResponse())
+                .mockResolvedValueOnce(mockResponse(201, { foodLog: { logId: 1 } }));
+
+            const result = await client.request('oldToken', 'user1', 'POST', '/1/user/user1/foods/log.json', { foodId: '1' });
+
+            expect(refresh).toHaveBeenCalledTimes(1);
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer newToken');
+            expect(fetch.mock.calls[1][1].body).toBe('foodId=1');
+            expect(result).toEqual({ ok: true, status: 201, data: { foodLog: { logId: 1 } } });
+        });
+
+        test('should send later requests with the old token using the refreshed token', async () => {
+            client.setTokenRefresher('oldToken', jest.fn().mockResolvedValue('newToken'));
+            fetch
+                .mockResolvedValueOnce(expiredTokenResponse())
+                .mockResolvedValue(mockResponse(200, {}));
+
+            await client.request('oldToken', 'user1', 'GET', '/1/user/user1/profile.json');
+            await client.request('oldToken', 'user1', 'GET', '/1/user/user1/profile.json');
+
+            expect(fetch).toHaveBeenCalledTimes(3);
+            expect(fetch.mock.calls[2][1].headers.Authorization).toBe('Bearer newToken');
+        });
+
+        test('should share one refresh between requests rejected at the same time', async () => {
+            const refresh = jest.fn().mockResolvedValue('newToken');
+            client.setTokenRefresher('oldToken', refresh);
+            fetch.mockImplementation((url, options) => Promise.resolve(options.headers.Authorization === 'Bearer oldToken'
+                ? mockResponse(401, { errors: [{ errorType: 'invalid_token' }] })
+                : mockResponse(200, {})));
+
+            const results = await Promise.all([1, 2, 3].map(() => client.request('oldToken', 'user1', 'GET', '/1/user/user1/profile.json')));
+
+            expect(refresh).toHaveBeenCalledTimes(1);
+            expect(results.map((result) => result.status)).toEqual([200, 200, 200]);
+        });
+
+        test('should return the 401 if the refreshed token is rejected too', async () => {
+            const refresh = jest.fn().mockResolvedValue('newToken');
+            client.setTokenRefresher('oldToken', refresh);
+            fetch.mockResolvedValue(expiredTokenResponse());
+
+            const result = await client.request('oldToken', 'user1', 'GET', '/1/user/user1/profile.json');
+
+            expect(refresh).toHaveBeenCalledTimes(1);
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(result.status).toBe(401);
+        });
+
+        test('should not refresh for other 401 errors or unregistered tokens', async () => {
+            const refresh = jest.fn().mockResolvedValue('newToken');
+            client.setTokenRefresher('oldToken', refresh);
+            fetch.mockResolvedValueOnce(mockResponse(401, { errors: [{ errorType: 'insufficient_scope' }] }));
+            const result = await client.request('oldToken', 'user1', 'GET', '/1/user/user1/profile.json');
+            expect(result.status).toBe(401);
+
+            fetch.mockResolvedValueOnce(expiredTokenResponse());
+            await client.request('otherToken', 'user1', 'GET', '/1/user/user1/profile.json');
+
+            expect(refresh).not.toHaveBeenCalled();
+            expect(fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should throw the refresh error and try to refresh again on the next request', async () => {
+            const refresh = jest.fn()
+                .mockRejectedValueOnce(new Error('invalid_grant'))
+                .mockResolvedValueOnce('newToken');
+            client.setTokenRefresher('oldToken', refresh);
+            fetch
+                .mockResolvedValueOnce(expiredTokenResponse())
+                .mockResolvedValueOnce(expiredTokenResponse())
+                .mockResolvedValueOnce(mockResponse(200, {}));
+
+            await expect(client.request('oldToken', 'user1', 'GET', '/1/user/user1/profile.json')).rejects.toThrow('invalid_grant');
+            const result = await client.request('oldToken', 'user1', 'GET', '/1/user/user1/profile.json');
+
+            expect(refresh).toHaveBeenCalledTimes(2);
+            expect(result.status).toBe(200);
+        });
+    });
+});
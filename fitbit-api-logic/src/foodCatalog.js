@@ -0,0 +1,39 @@
+import { createHash } from 'crypto';
+import { nutritionMap } from './nutrition.js';
+
+// Significant digits of the per-unit nutrients; absorbs rounding differences between estimates
+const FINGERPRINT_PRECISION = 4;
+
+/**
+ * Normalizes a food name so that differences in case, width and spacing do not matter.
+ * @param {string} name The food name.
+ * @returns {string} The normalized name.
+ */
+export function normalizeFoodName(name) {
+    return String(name).normalize('NFKC').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Calculates the catalog key of a food: a hash of its normalized name, unit, form type and
+ * nutrients per unit. Nutrients are compared per unit because a custom food can be logged in
+ * any amount of its unit, so "150 g of rice" and "200 g of rice" with proportional nutrients
+ * share one Fitbit food.
+ * @param {object} food The food item from the request.
+ * @param {number} unitId The Fitbit unit ID of the food.
+ * @returns {string} The fingerprint.
+ */
+export function getFoodFingerprint(food, unitId) {
+    const nutrients = { calories: Math.round(food.calories || 0) };
+    for (const foodKey of Object.keys(nutritionMap)) {
+        if (food[foodKey] !== undefined && food[foodKey] !== null) {
+            nutrients[foodKey] = food[foodKey];
+        }
+    }
+    const perUnit = Object.keys(nutrients).sort().map((key) => {
+        const value = Number(nutrients[key]) / food.amount;
+        return `${key}=${Number(value.toPrecision(FINGERPRINT_PRECISION))}`;
+    });
+
+    const key = [normalizeFoodName(food.foodName), unitId, food.formType || 'DRY', ...perUnit].join('|');
+    return createHash('sha256').update(key).digest('hex');
+}
@@ -0,0 +1,28 @@
+import { normalizeFoodName, getFoodFingerprint } from './foodCatalog';
+
+describe('normalizeFoodName', () => {
+    test('should ignore case, width and extra spaces', () => {
+        expect(normalizeFoodName('  Brown   Rice ')).toBe('brown rice');
+        expect(normalizeFoodName('ＲＩＣＥ')).toBe('rice');
+    });
+});
+
+describe('getFoodFingerprint', () => {
+    const rice = { foodName: 'Rice', amount: 150, unit: 'g', calories: 234, protein_g: 3.75 };
+
+    test('should match the same food logged in a proportional amount', () => {
+        const larger = { ...rice, foodName: ' rice', amount: 300, calories: 468, protein_g: 7.5 };
+
+        expect(getFoodFingerprint(larger, 1)).toBe(getFoodFingerprint(rice, 1));
+    });
+
+    test('should differ by name, unit, form type and nutrients', () => {
+        const fingerprint = getFoodFingerprint(rice, 1);
+
+        expect(getFoodFingerprint({ ...rice, foodName: 'Brown Rice' }, 1)).not.toBe(fingerprint);
+        expect(getFoodFingerprint(rice, 147)).not.toBe(fingerprint);
+        expect(getFoodFingerprint({ ...rice, formType: 'LIQUID' }, 1)).not.toBe(fingerprint);
+        expect(getFoodFingerprint({ ...rice, protein_g: 5 }, 1)).not.toBe(fingerprint);
+        expect(getFoodFingerprint({ ...rice, sodium_mg: 1 }, 1)).not.toBe(fingerprint);
+    });
+});
@@ -0,0 +1,107 @@
+import { normalizeFoodName } from './foodCatalog.js';
+
+// Minimum score for a Fitbit database food to be used instead of a custom food
+export const MATCH_THRESHOLD = 0.75;
+
+const NAME_WEIGHT = 0.7;
+const CALORIE_WEIGHT = 0.3;
+// Calorie score when the calories cannot be compared (no calories given, or logged in another unit)
+const NEUTRAL_CALORIE_SCORE = 0.5;
+
+/**
+ * Returns the character bigrams of a normalized name, ignoring spaces and punctuation.
+ * Bigrams work for both space-separated and Japanese names.
+ */
+function getBigrams(name) {
+    const compact = normalizeFoodName(name).replace(/[\s,.'"()・、。-]/g, '');
+    if (compact.length < 2) {
+        return [compact];
+    }
+    const bigrams = [];
+    for (let i = 0; i < compact.length - 1; i++) {
+        bigrams.push(compact.slice(i, i + 2));
+    }
+    return bigrams;
+}
+
+/**
+ * Scores the similarity of two food names (Dice coefficient of their character bigrams).
+ * @param {string} a A food name.
+ * @param {string} b Another food name.
+ * @returns {number} The similarity between 0 and 1.
+ */
+export function getNameSimilarity(a, b) {
+    if (normalizeFoodName(a) === normalizeFoodName(b)) {
+        return 1;
+    }
+    const bigramsA = getBigrams(a);
+    const remaining = getBigrams(b);
+    const total = bigramsA.length + remaining.length;
+    let shared = 0;
+    for (const bigram of bigramsA) {
+        const index = remaining.indexOf(bigram);
+        if (index !== -1) {
+            shared++;
+            remaining.splice(index, 1);
+        }
+    }
+    return total > 0 ? (2 * shared) / total : 0;
+}
+
+/**
+ * Scores how plausible the candidate's calories are for the requested food. The score is 1 for
+ * equal calories and drops to 0 when they differ by a factor of 2 or more.
+ * @param {object} food The food item from the request.
+ * @param {number} unitId The Fitbit unit ID of the food.
+ * @param {object} candidate A food from Fitbit's food search API.
+ * @returns {number} The calorie score between 0 and 1.
+ */
+export function getCalorieScore(food, unitId, candidate) {
+    const canCompare = food.calories > 0
+        && typeof candidate.calories === 'number'
+        && candidate.defaultServingSize > 0
+        && candidate.defaultUnit && candidate.defaultUnit.id === unitId;
+    if (!canCompare) {
+        return NEUTRAL_CALORIE_SCORE;
+    }
+    const expectedCalories = candidate.calories * (food.amount / candidate.defaultServingSize);
+    if (expectedCalories <= 0) {
+        return 0;
+    }
+    const deviation = Math.abs(Math.log(food.calories / expectedCalories)) / Math.log(2);
+    return Math.max(0, 1 - deviation);
+}
+
+/**
+ * Checks whether a candidate can be logged in the requested unit.
+ */
+function supportsUnit(candidate, unitId) {
+    return (candidate.defaultUnit && candidate.defaultUnit.id === unitId) || (candidate.units || []).includes(unitId);
+}
+
+/**
+ * Picks the best Fitbit database food for a food item. Candidates that cannot be logged in
+ * the requested unit are ignored; the others are scored on name similarity and calorie
+ * plausibility.
+ * @param {object} food The food item from the request.
+ * @param {number} unitId The Fitbit unit ID of the food.
+ * @param {Array<object>} candidates Foods from Fitbit's food search API.
+ * @param {number} [threshold=MATCH_THRESHOLD] The minimum score.
+ * @returns {{food: object, score: number}|null} The best match, or null if no candidate reaches the threshold.
+ */
+export function findBestFoodMatch(food, unitId, candidates, threshold = MATCH_THRESHOLD) {
+    let best = null;
+    let bestScore = threshold;
+    for (const candidate of candidates) {
+        if (!supportsUnit(candidate, unitId)) {
+            continue;
+        }
+        const score = NAME_WEIGHT * getNameSimilarity(food.foodName, candidate.name)
+            + CALORIE_WEIGHT * getCalorieScore(food, unitId, candidate);
+        if (score > bestScore || (!best && score === bestScore)) {
+            best = candidate;
+            bestScore = score;
+        }
+    }
+    return best ? { food: best, score: Math.round(bestScore * 100) / 100 } : null;
+}
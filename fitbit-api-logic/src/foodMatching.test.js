@@ -0,0 +1,56 @@
+import { getNameSimilarity, getCalorieScore, findBestFoodMatch, MATCH_THRESHOLD } from './foodMatching';
+
+describe('getNameSimilarity', () => {
+    test('should return 1 for names that differ only in case, width and spacing', () => {
+        expect(getNameSimilarity(' Banana ', 'banana')).toBe(1);
+        expect(getNameSimilarity('ＡＢＣ', 'abc')).toBe(1);
+    });
+
+    test('should score similar names higher than unrelated names', () => {
+        expect(getNameSimilarity('White Rice', 'Rice, white')).toBeGreaterThan(0.6);
+        expect(getNameSimilarity('White Rice', 'Orange Juice')).toBeLessThan(0.3);
+    });
+
+    test('should compare Japanese names by characters', () => {
+        expect(getNameSimilarity('味噌汁', '味噌汁 (豆腐)')).toBeGreaterThan(0.6);
+        expect(getNameSimilarity('味噌汁', '焼き魚')).toBe(0);
+    });
+});
+
+describe('getCalorieScore', () => {
+    const candidate = { calories: 130, defaultServingSize: 100, defaultUnit: { id: 147 } };
+
+    test('should return 1 for the calories of the candidate scaled to the amount', () => {
+        expect(getCalorieScore({ amount: 200, calories: 260 }, 147, candidate)).toBe(1);
+    });
+
+    test('should return 0 when the calories differ by a factor of 2 or more', () => {
+        expect(getCalorieScore({ amount: 100, calories: 260 }, 147, candidate)).toBe(0);
+        expect(getCalorieScore({ amount: 100, calories: 50 }, 147, candidate)).toBe(0);
+    });
+
+    test('should return a neutral score when the calories cannot be compared', () => {
+        expect(getCalorieScore({ amount: 1, calories: 130 }, 304, candidate)).toBe(0.5);
+        expect(getCalorieScore({ amount: 100 }, 147, candidate)).toBe(0.5);
+    });
+});
+
+describe('findBestFoodMatch', () => {
+    const food = { foodName: 'White Rice', amount: 150, calories: 195 };
+    const rice = { foodId: 1, name: 'White Rice', calories: 130, defaultServingSize: 100, defaultUnit: { id: 147 }, units: [147, 304] };
+    const riceCake = { foodId: 2, name: 'Rice Cake', calories: 35, defaultServingSize: 1, defaultUnit: { id: 226 }, units: [226] };
+
+    test('should return the best candidate above the threshold', () => {
+        expect(findBestFoodMatch(food, 147, [riceCake, rice])).toEqual({ food: rice, score: 1 });
+    });
+
+    test('should ignore candidates that cannot be logged in the unit', () => {
+        expect(findBestFoodMatch(food, 226, [rice])).toBeNull();
+    });
+
+    test('should return null if no candidate reaches the threshold', () => {
+        const match = findBestFoodMatch({ ...food, foodName: 'Fried Rice' }, 147, [{ ...rice, calories: 400 }]);
+        expect(match).toBeNull();
+        expect(MATCH_THRESHOLD).toBe(0.75);
+    });
+});
@@ -3,17 +3,559 @@ import {
   AuthenticationError,
   ValidationError,
   FitbitApiError,
+  NotFoundError,
   MethodNotAllowedError,
 } from "./errors.js";
 import { accessSecretVersion } from "./secrets.js";
-import { verifyFirebaseIdToken, getTokensFromFirestore } from "./firebase.js";
+import {
+  verifyFirebaseIdToken,
+  getTokensFromFirestore,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+  saveMealRecord,
+  getMealRecord,
+  getLatestMealRecord,
+  findMealRecordsByLogIds,
+  findMealRecordsByFoodIds,
+  updateMealRecordEntries,
+  deleteCatalogFoodsByFoodIds,
+  getUserPreferences,
+  updateUserPreferences,
+  listMealTemplates,
+  getMealTemplate,
+  saveMealTemplate,
+  renameMealTemplate,
+  deleteMealTemplate,
+} from "./firebase.js";
 import {
   exchangeCodeForTokens,
   refreshFitbitAccessToken,
+  registerTokenRefresh,
+  runWithFitbitTimeBudget,
   processAndLogFoods,
+  deleteFoodEntries,
+  updateFoodLog,
+  getDailyNutritionSummary,
+  getNutritionBudget,
+  logWater,
+  getWaterSummary,
+  logBodyMetrics,
+  logActivity,
 } from "./fitbit.js";
+import {
+  applyPreferredUnits,
+  parsePreferencesUpdate,
+  toPreferencesResponse,
+} from "./preferences.js";
+import { getMessages } from "./messages.js";
+import { validateMealRequest } from "./validation.js";
+import { validateTemplateName, toTemplateMealRequest } from "./templates.js";
+
+// 認証が必要なGETルート (パスの最初のセグメント)
+const AUTHENTICATED_GET_RESOURCES = new Set([
+  "summary",
+  "budget",
+  "water",
+  "preferences",
+  "templates",
+]);
+
+/**
+ * AuthorizationヘッダーのFirebase IDトークンを検証し、Firebase UIDを返します。
+ * @param {object} req HTTPリクエスト。
+ * @returns {Promise<string>} ユーザーのFirebase UID。
+ */
+async function authenticateRequest(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    throw new AuthenticationError(
+      "Unauthorized: Authorization header is missing or invalid."
+    );
+  }
+  const idToken = authHeader.split("Bearer ")[1];
+
+  // IDトークンを検証してFirebase UIDを取得
+  const decodedToken = await verifyFirebaseIdToken(idToken);
+  return decodedToken.uid;
+}
+
+// 有効期限までの残り時間がこれより短いトークンは、使う前にリフレッシュする (デフォルト5分)
+const DEFAULT_TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * トークンを事前にリフレッシュする、有効期限までの残り時間を返します。
+ * 環境変数 FITBIT_TOKEN_REFRESH_MARGIN_MS で変更できます (0 で期限切れ後のみ)。
+ * @returns {number} ミリ秒。
+ */
+function getTokenRefreshMarginMs() {
+  const margin = Number(process.env.FITBIT_TOKEN_REFRESH_MARGIN_MS);
+  return process.env.FITBIT_TOKEN_REFRESH_MARGIN_MS && margin >= 0
+    ? margin
+    : DEFAULT_TOKEN_REFRESH_MARGIN_MS;
+}
+
+/**
+ * ユーザーのFitbitアクセストークンを取得します。有効期限が近い、または切れている場合はリフレッシュします。
+ * リクエスト中にFitbitがトークンを期限切れとして拒否した場合も、一度だけリフレッシュして再送します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} clientId Fitbit client ID。
+ * @param {string} clientSecret Fitbit client secret。
+ * @returns {Promise<{accessToken: string, fitbitUserId: string}>} アクセストークンとFitbitユーザーID。
+ */
+async function getFitbitCredentials(firebaseUid, clientId, clientSecret) {
+  const tokens = await getTokensFromFirestore(firebaseUid);
+  if (!tokens) {
+    throw new AuthenticationError(
+      `No tokens found for user ${firebaseUid}. Please complete the OAuth flow.`
+    );
+  }
+
+  let accessToken;
+  // トークンの有効期限が切れている、またはまもなく切れるかチェックし、必要であればリフレッシュ
+  if (new Date().getTime() >= tokens.expiresAt - getTokenRefreshMarginMs()) {
+    console.log(
+      `Token for user ${firebaseUid} has expired or expires soon. Refreshing...`
+    );
+    accessToken = await refreshFitbitAccessToken(
+      firebaseUid,
+      clientId,
+      clientSecret
+    );
+  } else {
+    accessToken = tokens.accessToken;
+  }
+
+  // FirestoreからFitbitユーザーIDを使用
+  const fitbitUserId = tokens.fitbitUserId;
+  if (!fitbitUserId) {
+    throw new FitbitApiError("Fitbit user ID not found in the database.", 500);
+  }
+
+  registerTokenRefresh(accessToken, firebaseUid, clientId, clientSecret);
+  return { accessToken, fitbitUserId };
+}
+
+/**
+ * 食事ログリクエストの結果を、取り消し用の食事記録としてFirestoreに保存します。
+ * 記録に失敗してもFitbitへのログは完了しているため、エラーにはしません。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} fitbitUserId FitbitユーザーID。
+ * @param {object} nutritionData リクエストボディの食事データ。
+ * @param {Array<object>} items processAndLogFoods が返した食品ごとの結果。
+ * @param {number} mealTypeId 使用した食事タイプID。
+ * @param {Array<object>} [water] processAndLogFoods が返した水分ごとの結果。
+ * @returns {Promise<string|null>} 食事記録のID。記録するログがない場合や保存に失敗した場合はnull。
+ */
+async function recordMeal(
+  firebaseUid,
+  fitbitUserId,
+  nutritionData,
+  items,
+  mealTypeId,
+  water = []
+) {
+  const entries = items
+    .filter((item) => item.status === "logged" && item.logId !== undefined)
+    .map((item) => ({
+      logId: item.logId,
+      foodId: item.foodId,
+      foodName: item.foodName,
+      amount: item.amount,
+      unit: item.unit,
+      foodCreated: item.foodCreated,
+    }));
+  // 同じリクエストで記録した水分も、食事と一緒に取り消せるようにする
+  const waterLogIds = water
+    .filter((entry) => entry.status === "logged" && entry.logId !== undefined)
+    .map((entry) => entry.logId);
+  if (entries.length === 0 && waterLogIds.length === 0) {
+    return null;
+  }
+
+  try {
+    return await saveMealRecord(firebaseUid, {
+      fitbitUserId: fitbitUserId,
+      logDate: nutritionData.log_date || null,
+      logTime: nutritionData.log_time || null,
+      mealTypeId: mealTypeId,
+      entries: entries,
+      waterLogIds: waterLogIds,
+    });
+  } catch (error) {
+    console.error("Failed to save meal record:", error);
+    return null;
+  }
+}
+
+/**
+ * ユーザーの設定を読み込みます。読み込みに失敗した場合はデフォルト設定で処理を続けます。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @returns {Promise<object>} ユーザーの設定。
+ */
+async function loadUserPreferences(firebaseUid) {
+  try {
+    return (await getUserPreferences(firebaseUid)) || {};
+  } catch (error) {
+    console.error("Failed to load user preferences:", error);
+    return {};
+  }
+}
+
+/**
+ * ユーザーの設定の言語で、レスポンスのメッセージを返します。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @returns {Promise<object>} メッセージの関数 (messages.js)。
+ */
+async function loadMessages(firebaseUid) {
+  return getMessages((await loadUserPreferences(firebaseUid)).language);
+}
+
+/**
+ * URLのログIDを、Fitbitが返す数値のログIDに揃えます。
+ * @param {string} logId URLまたはクエリで指定されたログID。
+ * @returns {number|string} ログID。
+ */
+function parseLogId(logId) {
+  return /^\d+$/.test(logId) ? Number(logId) : logId;
+}
+
+/**
+ * 日付のクエリパラメータを検証します。省略された場合は "today" を返します。
+ * @param {string} [date] yyyy-MM-dd 形式の日付、または "today"。
+ * @returns {string} Fitbit APIに渡す日付。
+ */
+function parseDateQuery(date) {
+  if (date === undefined || date === "") {
+    return "today";
+  }
+  if (date !== "today" && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new ValidationError(
+      'Invalid date: use the yyyy-MM-dd format or "today".'
+    );
+  }
+  return date;
+}
+
+/**
+ * リクエストボディで template が指定されている場合、保存された食事テンプレートの食品で
+ * 食事ログリクエストを組み立てます。scale で量を、meal_type, log_date, log_time で日時などを変更できます。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {object} body リクエストボディ。
+ * @returns {Promise<object>} 食事ログリクエスト。template の指定がない場合はボディそのもの。
+ */
+async function resolveMealTemplate(firebaseUid, body) {
+  if (!body || typeof body !== "object" || body.template === undefined) {
+    return body;
+  }
+  const name = validateTemplateName(body.template, "template");
+  const template = await getMealTemplate(firebaseUid, name);
+  if (!template) {
+    throw new NotFoundError(`Meal template "${name}" not found.`);
+  }
+  return toTemplateMealRequest(template, { ...body, template: name });
+}
+
+/**
+ * 記録できた食品を食事テンプレートとして保存します (save_as_template)。
+ * 記録は完了しているため、保存に失敗してもエラーにはしません。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} name テンプレート名。
+ * @param {object} nutritionData 食事ログリクエスト。
+ * @param {Array<object>} items processAndLogFoods が返した食品ごとの結果。
+ * @returns {Promise<string|null>} 保存したテンプレート名。保存する食品がない場合や保存に失敗した場合はnull。
+ */
+async function saveFoodsAsTemplate(firebaseUid, name, nutritionData, items) {
+  const foods = nutritionData.foods.filter(
+    (food, index) => items[index] && items[index].status === "logged"
+  );
+  if (foods.length === 0) {
+    return null;
+  }
+  try {
+    return (await saveMealTemplate(firebaseUid, name, foods)).name;
+  } catch (error) {
+    console.error("Failed to save meal template:", error);
+    return null;
+  }
+}
+
+/**
+ * URLパスからテンプレート名を取り出します (/templates/{name})。
+ * @param {object} req HTTPリクエスト。
+ * @returns {string} テンプレート名。
+ */
+function getTemplateNameFromPath(req) {
+  const [, encodedName] = (req.path || "/").split("/").filter(Boolean);
+  let name;
+  try {
+    name = decodeURIComponent(encodedName || "");
+  } catch (e) {
+    throw new ValidationError(`Invalid template name in path: ${e.message}`);
+  }
+  return validateTemplateName(name);
+}
+
+/**
+ * 取り消し後も食事記録のログから使われているカスタム食品のIDを返します。
+ * 作成した食品はカタログを通じて他の食事でも再利用されるため、その食事のログが残っている食品は削除しません。
+ * 食事記録を検索できなかった場合は、すべての食品を使用中として扱います。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {Array<object>} records 取り消す食事記録。
+ * @param {Set<string|number>} deletedLogIds 削除できたフードログのID。
+ * @param {Array<string|number>} foodIds 削除の候補の食品ID。
+ * @returns {Promise<Set<string|number>>} 使用中の食品ID。
+ */
+async function findFoodIdsInUse(firebaseUid, records, deletedLogIds, foodIds) {
+  if (foodIds.length === 0) {
+    return new Set();
+  }
+  const undoneMealIds = new Set(records.map((record) => record.mealId));
+  let otherRecords;
+  try {
+    otherRecords = (
+      await findMealRecordsByFoodIds(firebaseUid, foodIds)
+    ).filter((record) => !undoneMealIds.has(record.mealId));
+  } catch (error) {
+    console.error("Failed to find meal records using the foods:", error);
+    return new Set(foodIds);
+  }
+  const remainingEntries = [
+    ...records.flatMap((record) =>
+      record.entries.filter((entry) => !deletedLogIds.has(entry.logId))
+    ),
+    ...otherRecords.flatMap((record) => record.entries),
+  ];
+  return new Set(remainingEntries.map((entry) => entry.foodId));
+}
+
+/**
+ * 以前の食事ログリクエストで記録したログを取り消します。
+ * - DELETE /meals/last: 直近の食事を取り消す (同じリクエストで記録した水分も含む)
+ * - DELETE /meals/{mealId}: 指定した食事を取り消す (同じリクエストで記録した水分も含む)
+ * - DELETE /food-logs/{logId} または /food-logs?log_ids=1,2: 指定したログを取り消す
+ * クエリに delete_foods=true を指定すると、そのリクエストで作成したカスタム食品も削除します
+ * (他の食事のログで使われている食品は keptFoodIds として残します)。
+ * @param {object} req HTTPリクエスト。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} clientId Fitbit client ID。
+ * @param {string} clientSecret Fitbit client secret。
+ * @returns {Promise<object>} クライアントに返すレスポンスボディ。
+ */
+async function undoMealLogs(req, firebaseUid, clientId, clientSecret) {
+  const query = req.query || {};
+  const [resource, id] = (req.path || "/").split("/").filter(Boolean);
+
+  let records;
+  let logIds;
+  let waterLogIds = [];
+  if (resource === "meals" && id) {
+    const record =
+      id === "last"
+        ? await getLatestMealRecord(firebaseUid)
+        : await getMealRecord(firebaseUid, id);
+    if (!record) {
+      throw new NotFoundError(
+        id === "last"
+          ? "No logged meal found to undo."
+          : `Meal ${id} not found.`
+      );
+    }
+    records = [record];
+    logIds = record.entries.map((entry) => entry.logId);
+    waterLogIds = record.waterLogIds || [];
+  } else if (resource === "food-logs") {
+    const rawLogIds = id ? [id] : String(query.log_ids || "").split(",");
+    logIds = rawLogIds.map((logId) => logId.trim()).filter(Boolean);
+    if (logIds.length === 0) {
+      throw new ValidationError(
+        "Invalid request: specify log IDs in the path or the log_ids query parameter."
+      );
+    }
+    logIds = logIds.map(parseLogId);
+    records = await findMealRecordsByLogIds(firebaseUid, logIds);
+  } else {
+    throw new NotFoundError(`Not Found: DELETE ${req.path}`);
+  }
+
+  const { accessToken, fitbitUserId } = await getFitbitCredentials(
+    firebaseUid,
+    clientId,
+    clientSecret
+  );
+
+  const logDeletion = await deleteFoodEntries(accessToken, fitbitUserId, {
+    logIds,
+    waterLogIds,
+  });
+  const deletedLogIds = new Set(logDeletion.deletedLogIds);
+  const deletedWaterLogIds = new Set(logDeletion.deletedWaterLogIds);
+
+  // ログを削除できた食品のうち、このサービスが作成し、他の食事で使われていないものだけを削除する
+  let foodDeletion = { deletedFoodIds: [], failed: [] };
+  let keptFoodIds = [];
+  if (query.delete_foods === "true") {
+    const foodIds = [
+      ...new Set(
+        records
+          .flatMap((record) => record.entries)
+          .filter(
+            (entry) => entry.foodCreated && deletedLogIds.has(entry.logId)
+          )
+          .map((entry) => entry.foodId)
+      ),
+    ];
+    const foodIdsInUse = await findFoodIdsInUse(
+      firebaseUid,
+      records,
+      deletedLogIds,
+      foodIds
+    );
+    keptFoodIds = foodIds.filter((foodId) => foodIdsInUse.has(foodId));
+    const unusedFoodIds = foodIds.filter((foodId) => !foodIdsInUse.has(foodId));
+    if (unusedFoodIds.length > 0) {
+      foodDeletion = await deleteFoodEntries(accessToken, fitbitUserId, {
+        foodIds: unusedFoodIds,
+      });
+    }
+    // 削除した食品が今後のリクエストで再利用されないよう、カタログからも削除する
+    if (foodDeletion.deletedFoodIds.length > 0) {
+      await deleteCatalogFoodsByFoodIds(
+        fitbitUserId,
+        foodDeletion.deletedFoodIds
+      ).catch((catalogError) =>
+        console.error("Failed to update food catalog:", catalogError)
+      );
+    }
+  }
+
+  for (const record of records) {
+    const remainingEntries = record.entries.filter(
+      (entry) => !deletedLogIds.has(entry.logId)
+    );
+    const recordWaterLogIds = record.waterLogIds || [];
+    const remainingWaterLogIds = recordWaterLogIds.filter(
+      (waterLogId) => !deletedWaterLogIds.has(waterLogId)
+    );
+    if (
+      remainingEntries.length !== record.entries.length ||
+      remainingWaterLogIds.length !== recordWaterLogIds.length
+    ) {
+      await updateMealRecordEntries(
+        firebaseUid,
+        record.mealId,
+        remainingEntries,
+        remainingWaterLogIds
+      );
+    }
+  }
+
+  const messages = await loadMessages(firebaseUid);
+  return {
+    message: messages.mealLogsDeleted(
+      deletedLogIds.size,
+      logIds.length,
+      deletedWaterLogIds.size,
+      waterLogIds.length
+    ),
+    mealIds: records.map((record) => record.mealId),
+    deletedLogIds: logDeletion.deletedLogIds,
+    deletedWaterLogIds: logDeletion.deletedWaterLogIds,
+    deletedFoodIds: foodDeletion.deletedFoodIds,
+    keptFoodIds: keptFoodIds,
+    failed: [...logDeletion.failed, ...foodDeletion.failed],
+  };
+}
+
+/**
+ * 記録済みのフードログを修正します (PATCH /food-logs/{logId})。
+ * ボディで amount, unit, meal_type, log_date, log_time のうち変更するものを指定します。
+ * @param {object} req HTTPリクエスト。
+ * @param {string} firebaseUid ユーザーのFirebase UID。
+ * @param {string} clientId Fitbit client ID。
+ * @param {string} clientSecret Fitbit client secret。
+ * @returns {Promise<object>} クライアントに返すレスポンスボディ。
+ */
+async function editFoodLog(req, firebaseUid, clientId, clientSecret) {
+  const [resource, id] = (req.path || "/").split("/").filter(Boolean);
+  if (resource !== "food-logs" || !id) {
+    throw new NotFoundError(`Not Found: PATCH ${req.path}`);
+  }
+
+  const editableFields = [
+    "amount",
+    "unit",
+    "meal_type",
+    "log_date",
+    "log_time",
+  ];
+  const changes = {};
+  for (const field of editableFields) {
+    if (req.body && req.body[field] !== undefined) {
+      changes[field] = req.body[field];
+    }
+  }
+  if (Object.keys(changes).length === 0) {
+    throw new ValidationError(
+      `Invalid JSON body. Specify at least one of: ${editableFields.join(", ")}.`
+    );
+  }
+
+  const logId = parseLogId(id);
+  const [record] = await findMealRecordsByLogIds(firebaseUid, [logId]);
+  const entry =
+    record && record.entries.find((mealEntry) => mealEntry.logId === logId);
+  if (!entry) {
+    throw new NotFoundError(`Food log ${id} was not logged by this service.`);
+  }
+
+  const { accessToken, fitbitUserId } = await getFitbitCredentials(
+    firebaseUid,
+    clientId,
+    clientSecret
+  );
+
+  // 日時と食事タイプは、個別に修正されていなければ食事記録の値を使う
+  const existingLog = {
+    mealTypeId: record.mealTypeId,
+    logDate: record.logDate,
+    logTime: record.logTime,
+    ...entry,
+  };
+  const preferences = await loadUserPreferences(firebaseUid);
+  const { entry: updatedEntry, fitbitResponse } = await updateFoodLog(
+    accessToken,
+    fitbitUserId,
+    existingLog,
+    changes,
+    preferences
+  );
 
-export const fitbitWebhookHandler = async (req, res) => {
+  await updateMealRecordEntries(
+    firebaseUid,
+    record.mealId,
+    record.entries.map((mealEntry) =>
+      mealEntry === entry ? updatedEntry : mealEntry
+    ),
+    record.waterLogIds || []
+  );
+
+  return {
+    message: getMessages(preferences.language).foodLogUpdated(),
+    mealId: record.mealId,
+    previousLogId: logId,
+    logId: updatedEntry.logId,
+    updatedEntry: updatedEntry,
+    fitbitResponse: fitbitResponse,
+  };
+}
+
+// Fitbit API の呼び出しは、関数の呼び出しごとに1つの時間予算を共有する
+// (多数の食品の再試行が関数のタイムアウトを超えないようにする)
+export const fitbitWebhookHandler = (req, res) =>
+  runWithFitbitTimeBudget(() => handleRequest(req, res));
+
+async function handleRequest(req, res) {
   // 必要な環境変数のチェック
   if (!process.env.GCP_PROJECT) {
     throw new Error(
@@ -33,15 +575,27 @@ export const fitbitWebhookHandler = async (req, res) => {
   const FITBIT_CLIENT_SECRET_NAME = `projects/${PROJECT_ID}/locations/${FUNCTION_REGION}/secrets/FITBIT_CLIENT_SECRET/versions/latest`;
 
   res.set("Access-Control-Allow-Origin", "*");
-  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.set(
+    "Access-Control-Allow-Methods",
+    "GET, POST, PUT, PATCH, DELETE, OPTIONS"
+  );
+  res.set(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, Idempotency-Key"
+  );
 
   if (req.method === "OPTIONS") {
     return res.status(204).send("");
   }
 
+  const [resource] = (req.path || "/").split("/").filter(Boolean);
+
   // Health Check: codeパラメータがない単純なGETリクエスト
-  if (req.method === "GET" && !req.query.code) {
+  if (
+    req.method === "GET" &&
+    !req.query.code &&
+    !AUTHENTICATED_GET_RESOURCES.has(resource)
+  ) {
     return res
       .status(200)
       .json({ status: "OK", message: "Health check passed" });
@@ -53,6 +607,67 @@ export const fitbitWebhookHandler = async (req, res) => {
       accessSecretVersion(FITBIT_CLIENT_SECRET_NAME),
     ]);
 
+    // 1日の栄養サマリー (認証が必要)
+    if (req.method === "GET" && resource === "summary") {
+      const firebaseUid = await authenticateRequest(req);
+      const date = parseDateQuery(req.query.date);
+      const { accessToken, fitbitUserId } = await getFitbitCredentials(
+        firebaseUid,
+        clientId,
+        clientSecret
+      );
+      const summary = await getDailyNutritionSummary(
+        accessToken,
+        fitbitUserId,
+        date
+      );
+      return res.status(200).json(summary);
+    }
+
+    // 目標に対する残りのカロリー・栄養素 (認証が必要)
+    if (req.method === "GET" && resource === "budget") {
+      const firebaseUid = await authenticateRequest(req);
+      const date = parseDateQuery(req.query.date);
+      const { accessToken, fitbitUserId } = await getFitbitCredentials(
+        firebaseUid,
+        clientId,
+        clientSecret
+      );
+      const budget = await getNutritionBudget(accessToken, fitbitUserId, date);
+      return res.status(200).json(budget);
+    }
+
+    // ユーザー設定の取得 (認証が必要)
+    if (req.method === "GET" && resource === "preferences") {
+      const firebaseUid = await authenticateRequest(req);
+      const preferences = await getUserPreferences(firebaseUid);
+      return res.status(200).json(toPreferencesResponse(preferences));
+    }
+
+    // 食事テンプレートの一覧 (認証が必要)
+    if (req.method === "GET" && resource === "templates") {
+      const firebaseUid = await authenticateRequest(req);
+      const templates = await listMealTemplates(firebaseUid);
+      return res.status(200).json({ templates: templates });
+    }
+
+    // 1日の水分量 (認証が必要)
+    if (req.method === "GET" && resource === "water") {
+      const firebaseUid = await authenticateRequest(req);
+      const date = parseDateQuery(req.query.date);
+      const { accessToken, fitbitUserId } = await getFitbitCredentials(
+        firebaseUid,
+        clientId,
+        clientSecret
+      );
+      const waterSummary = await getWaterSummary(
+        accessToken,
+        fitbitUserId,
+        date
+      );
+      return res.status(200).json(waterSummary);
+    }
+
     // OAuthコールバック: 認証コードをトークンと交換
     if (req.method === "GET" && req.query.code) {
       const state = req.query.state;
@@ -100,87 +715,320 @@ export const fitbitWebhookHandler = async (req, res) => {
         );
     }
 
-    // メインロジック: 食事ログのリクエストを処理 (認証が必要)
-    if (req.method === "POST") {
-      const authHeader = req.headers.authorization;
-      if (!authHeader || !authHeader.startsWith("Bearer ")) {
-        throw new AuthenticationError(
-          "Unauthorized: Authorization header is missing or invalid."
+    // 水分の記録 (認証が必要)
+    if (req.method === "POST" && resource === "water") {
+      const firebaseUid = await authenticateRequest(req);
+      if (!req.body || typeof req.body !== "object") {
+        throw new ValidationError(
+          "Invalid JSON body. Required: amount and log_date."
         );
       }
-      const idToken = authHeader.split("Bearer ")[1];
-
-      // IDトークンを検証してFirebase UIDを取得
-      const decodedToken = await verifyFirebaseIdToken(idToken);
-      const firebaseUid = decodedToken.uid;
+      const { accessToken, fitbitUserId } = await getFitbitCredentials(
+        firebaseUid,
+        clientId,
+        clientSecret
+      );
+      const result = await logWater(accessToken, fitbitUserId, req.body);
+      const messages = await loadMessages(firebaseUid);
+      return res.status(200).json({
+        message: messages.waterLogged(),
+        ...result,
+      });
+    }
 
-      const nutritionData = req.body;
+    // 体重・体脂肪率の記録 (認証が必要)
+    if (req.method === "POST" && resource === "body") {
+      const firebaseUid = await authenticateRequest(req);
+      if (!req.body || typeof req.body !== "object") {
+        throw new ValidationError(
+          "Invalid JSON body. Required: log_date and weight and/or body_fat."
+        );
+      }
+      const { accessToken, fitbitUserId } = await getFitbitCredentials(
+        firebaseUid,
+        clientId,
+        clientSecret
+      );
+      const result = await logBodyMetrics(accessToken, fitbitUserId, req.body);
+      const messages = await loadMessages(firebaseUid);
+      return res.status(200).json({
+        message: messages.bodyMetricsLogged(),
+        ...result,
+      });
+    }
 
-      if (
-        !nutritionData ||
-        !nutritionData.foods ||
-        !Array.isArray(nutritionData.foods)
-      ) {
+    // 運動・アクティビティの記録 (認証が必要)
+    if (req.method === "POST" && resource === "activities") {
+      const firebaseUid = await authenticateRequest(req);
+      if (!req.body || typeof req.body !== "object") {
         throw new ValidationError(
-          'Invalid JSON body. Required: meal_type, log_date, log_time, and a non-empty "foods" array.'
+          "Invalid JSON body. Required: activity_name, duration_minutes, log_date and log_time."
         );
       }
+      const { accessToken, fitbitUserId } = await getFitbitCredentials(
+        firebaseUid,
+        clientId,
+        clientSecret
+      );
+      const result = await logActivity(accessToken, fitbitUserId, req.body);
+      const messages = await loadMessages(firebaseUid);
+      return res.status(200).json({
+        message: messages.activityLogged(),
+        ...result,
+      });
+    }
+
+    // メインロジック: 食事ログのリクエストを処理 (認証が必要)
+    if (req.method === "POST" && resource === undefined) {
+      const firebaseUid = await authenticateRequest(req);
+
+      // template が指定された場合は、保存された食品に展開する
+      const nutritionData = await resolveMealTemplate(firebaseUid, req.body);
 
-      let tokens = await getTokensFromFirestore(firebaseUid);
-      if (!tokens) {
-        throw new AuthenticationError(
-          `No tokens found for user ${firebaseUid}. Please complete the OAuth flow.`
+      // 単位の省略やメッセージの言語などはユーザーの設定に従う
+      const preferences = await loadUserPreferences(firebaseUid);
+      const messages = getMessages(preferences.language);
+
+      // 日付・時刻・数値・水分などを、冪等性キーの登録やFitbitの呼び出しの前にまとめて検証する
+      const mealRequest = applyPreferredUnits(nutritionData, preferences);
+      validateMealRequest(mealRequest);
+      const templateName =
+        nutritionData.save_as_template !== undefined
+          ? validateTemplateName(
+              nutritionData.save_as_template,
+              "save_as_template"
+            )
+          : null;
+
+      // 冪等性キー: ヘッダーまたはボディで指定可能
+      const idempotencyKey =
+        req.headers["idempotency-key"] || nutritionData.idempotency_key;
+      if (idempotencyKey !== undefined) {
+        if (
+          typeof idempotencyKey !== "string" ||
+          idempotencyKey.length === 0 ||
+          idempotencyKey.length > 255
+        ) {
+          throw new ValidationError(
+            "Invalid idempotency key: must be a non-empty string of at most 255 characters."
+          );
+        }
+        const storedResponse = await beginIdempotentRequest(
+          firebaseUid,
+          idempotencyKey,
+          req.body
         );
+        if (storedResponse) {
+          res.set("Idempotent-Replayed", "true");
+          return res
+            .status(storedResponse.statusCode)
+            .json(storedResponse.body);
+        }
       }
 
-      let accessToken;
-      // トークンの有効期限が切れているかチェックし、必要であればリフレッシュ
-      if (new Date().getTime() >= tokens.expiresAt) {
-        console.log(`Token for user ${firebaseUid} has expired. Refreshing...`);
-        accessToken = await refreshFitbitAccessToken(
+      let responseBody;
+      // Fitbitに記録した後は、再試行で二重に記録しないようキーを解放しない
+      let mealLogged = false;
+      try {
+        const { accessToken, fitbitUserId } = await getFitbitCredentials(
           firebaseUid,
           clientId,
           clientSecret
         );
-      } else {
-        accessToken = tokens.accessToken;
-      }
 
-      // FirestoreからFitbitユーザーIDを使用
-      const fitbitUserId = tokens.fitbitUserId;
-      if (!fitbitUserId) {
-        throw new FitbitApiError(
-          "Fitbit user ID not found in the database.",
-          500
+        const {
+          items,
+          fitbitResponses,
+          mealTypeId,
+          mealType,
+          logDate,
+          logTime,
+          water,
+          loggingStrategy,
+        } = await processAndLogFoods(
+          accessToken,
+          nutritionData,
+          fitbitUserId,
+          preferences
         );
+        mealLogged = true;
+        // 日時が省略・相対指定された場合は、ユーザーのタイムゾーンで解決した日時を使う
+        const loggedData = {
+          ...nutritionData,
+          log_date: logDate,
+          log_time: logTime,
+        };
+
+        // 後から取り消せるように、このリクエストで作成したログを記録する
+        const mealId = await recordMeal(
+          firebaseUid,
+          fitbitUserId,
+          loggedData,
+          items,
+          mealTypeId,
+          water
+        );
+
+        // 記録は完了しているため、目標の取得に失敗してもエラーにはしない (レート制限の残りが足りない場合は取得しない)
+        const budget = await getNutritionBudget(
+          accessToken,
+          fitbitUserId,
+          logDate
+        ).catch((budgetError) => {
+          console.error("Failed to get nutrition budget:", budgetError);
+          return null;
+        });
+
+        // partial_success モードでは一部の食品だけが記録される場合がある
+        const loggedCount = items.filter(
+          (item) => item.status === "logged"
+        ).length;
+        responseBody = {
+          message:
+            loggedCount === items.length
+              ? messages.allFoodsLogged()
+              : messages.someFoodsLogged(loggedCount, items.length),
+          loggedData: loggedData,
+          fitbitResponses: fitbitResponses,
+          items: items,
+          mealId: mealId,
+          // meal_type が省略・不明な場合は log_time から推定した食事タイプ
+          mealType: mealType,
+          water: water,
+          loggingStrategy: loggingStrategy,
+          budget: budget,
+        };
+        if (templateName) {
+          // 設定の単位を補った食品を保存し、設定が変わってもテンプレートの単位は変えない
+          responseBody.savedTemplate = await saveFoodsAsTemplate(
+            firebaseUid,
+            templateName,
+            mealRequest,
+            items
+          );
+        }
+      } catch (error) {
+        // 記録前に失敗したリクエストは保存せず、同じキーで再試行できるようにする
+        if (idempotencyKey && !mealLogged) {
+          await releaseIdempotentRequest(firebaseUid, idempotencyKey).catch(
+            (releaseError) =>
+              console.error("Failed to release idempotency key:", releaseError)
+          );
+        }
+        throw error;
       }
 
-      const fitbitResponses = await processAndLogFoods(
-        accessToken,
-        nutritionData,
-        fitbitUserId
+      if (idempotencyKey) {
+        // 記録は完了しているため、結果の保存に失敗してもエラーにはしない。
+        // 保存できなかったキーは処理中のまま残し、ロックが切れるまでの再試行は 409 にする
+        const idempotentResponse = { statusCode: 200, body: responseBody };
+        await completeIdempotentRequest(
+          firebaseUid,
+          idempotencyKey,
+          idempotentResponse
+        )
+          .catch(() =>
+            completeIdempotentRequest(
+              firebaseUid,
+              idempotencyKey,
+              idempotentResponse
+            )
+          )
+          .catch((saveError) =>
+            console.error("Failed to store idempotent response:", saveError)
+          );
+      }
+      return res.status(200).json(responseBody);
+    }
+
+    // 食事の記録はルートのパスのみ (未知のパスで食事を記録しない)
+    if (req.method === "POST") {
+      throw new NotFoundError(`Unknown POST resource: ${req.path}`);
+    }
+
+    // 食事テンプレートの名前の変更 (認証が必要)
+    if (req.method === "PATCH" && resource === "templates") {
+      const firebaseUid = await authenticateRequest(req);
+      const name = getTemplateNameFromPath(req);
+      const newName = validateTemplateName(req.body && req.body.name);
+      const template = await renameMealTemplate(firebaseUid, name, newName);
+      if (!template) {
+        throw new NotFoundError(`Meal template "${name}" not found.`);
+      }
+      return res.status(200).json(template);
+    }
+
+    // 記録済みのフードログの修正 (認証が必要)
+    if (req.method === "PATCH") {
+      const firebaseUid = await authenticateRequest(req);
+      const responseBody = await editFoodLog(
+        req,
+        firebaseUid,
+        clientId,
+        clientSecret
       );
+      return res.status(200).json(responseBody);
+    }
 
-      return res.status(200).json({
-        message: "All foods logged successfully to Fitbit.",
-        loggedData: nutritionData,
-        fitbitResponses: fitbitResponses,
-      });
+    // ユーザー設定の更新 (認証が必要)
+    if (req.method === "PUT" && resource === "preferences") {
+      const firebaseUid = await authenticateRequest(req);
+      const preferences = await updateUserPreferences(
+        firebaseUid,
+        parsePreferencesUpdate(req.body)
+      );
+      return res.status(200).json(toPreferencesResponse(preferences));
+    }
+
+    // 食事テンプレートの削除 (認証が必要)
+    if (req.method === "DELETE" && resource === "templates") {
+      const firebaseUid = await authenticateRequest(req);
+      const name = getTemplateNameFromPath(req);
+      if (!(await deleteMealTemplate(firebaseUid, name))) {
+        throw new NotFoundError(`Meal template "${name}" not found.`);
+      }
+      const messages = await loadMessages(firebaseUid);
+      return res.status(200).json({ message: messages.templateDeleted(name) });
+    }
+
+    // 食事ログの取り消し (認証が必要)
+    if (req.method === "DELETE") {
+      const firebaseUid = await authenticateRequest(req);
+      const responseBody = await undoMealLogs(
+        req,
+        firebaseUid,
+        clientId,
+        clientSecret
+      );
+      return res.status(200).json(responseBody);
     }
 
     throw new MethodNotAllowedError("Method Not Allowed");
   } catch (error) {
     console.error("Unhandled error in fitbitWebhookHandler:", error);
+    const errorBody = {
+      error: error.message || "An internal server error occurred.",
+    };
+    // 入力エラーの項目ごとの詳細
+    if (error.details && error.details.length > 0) {
+      errorBody.details = error.details;
+    }
+    // 途中で失敗した食事ログのロールバック結果
+    if (error.rollback) {
+      errorBody.rollback = error.rollback;
+    }
+    // レート制限: クライアントがいつ再試行できるかを伝える
+    if (error.retryAfter) {
+      res.set("Retry-After", String(error.retryAfter));
+    }
     if (error.statusCode) {
-      return res.status(error.statusCode).json({ error: error.message });
+      return res.status(error.statusCode).json(errorBody);
     } else if (
       error.message.includes("ID token") ||
       error.message.includes("Unauthorized")
     ) {
-      return res.status(401).json({ error: error.message });
+      return res.status(401).json(errorBody);
     }
-    return res
-      .status(500)
-      .json({ error: error.message || "An internal server error occurred." });
+    return res.status(500).json(errorBody);
   }
-};
+}
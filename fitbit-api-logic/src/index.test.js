@@ -4,14 +4,47 @@ import {
   ValidationError,
   FitbitApiError,
   MethodNotAllowedError,
+  ConflictError,
+  RateLimitError,
 } from "./errors.js";
 import { accessSecretVersion } from "./secrets.js";
-import { verifyFirebaseIdToken, getTokensFromFirestore } from "./firebase.js";
+import {
+  verifyFirebaseIdToken,
+  getTokensFromFirestore,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+  saveMealRecord,
+  getMealRecord,
+  getLatestMealRecord,
+  findMealRecordsByLogIds,
+  findMealRecordsByFoodIds,
+  updateMealRecordEntries,
+  deleteCatalogFoodsByFoodIds,
+  getUserPreferences,
+  updateUserPreferences,
+  listMealTemplates,
+  getMealTemplate,
+  saveMealTemplate,
+  renameMealTemplate,
+  deleteMealTemplate,
+} from "./firebase.js";
 import {
   exchangeCodeForTokens,
   refreshFitbitAccessToken,
+  registerTokenRefresh,
+  runWithFitbitTimeBudget,
   processAndLogFoods,
+  deleteFoodEntries,
+  updateFoodLog,
+  getDailyNutritionSummary,
+  getNutritionBudget,
+  logWater,
+  getWaterSummary,
+  logBodyMetrics,
+  logActivity,
 } from "./fitbit.js";
+import { DEFAULT_MEAL_WINDOWS } from "./mealTypes.js";
 import { Buffer } from "buffer";
 
 // 外部依存のモック化
@@ -30,6 +63,23 @@ jest.mock("./firebase.js", () => ({
   verifyFirebaseIdToken: jest.fn(),
   getTokensFromFirestore: jest.fn(),
   saveTokensToFirestore: jest.fn(),
+  beginIdempotentRequest: jest.fn(),
+  completeIdempotentRequest: jest.fn(),
+  releaseIdempotentRequest: jest.fn(),
+  saveMealRecord: jest.fn(),
+  getMealRecord: jest.fn(),
+  getLatestMealRecord: jest.fn(),
+  findMealRecordsByLogIds: jest.fn(),
+  findMealRecordsByFoodIds: jest.fn(),
+  updateMealRecordEntries: jest.fn(),
+  deleteCatalogFoodsByFoodIds: jest.fn(),
+  getUserPreferences: jest.fn(),
+  updateUserPreferences: jest.fn(),
+  listMealTemplates: jest.fn(),
+  getMealTemplate: jest.fn(),
+  saveMealTemplate: jest.fn(),
+  renameMealTemplate: jest.fn(),
+  deleteMealTemplate: jest.fn(),
 }));
 jest.mock("./fitbit.js");
 jest.mock("buffer", () => {
@@ -99,6 +149,9 @@ describe("fitbitWebhookHandler", () => {
 
     jest.clearAllMocks();
 
+    // Fitbit API の時間予算はそのまま処理を実行する
+    runWithFitbitTimeBudget.mockImplementation((task) => task());
+
     jest.spyOn(console, "error").mockImplementation(() => {}); // console.errorをモック
 
     jest.spyOn(console, "log").mockImplementation(() => {}); // console.logもモック
@@ -141,6 +194,13 @@ describe("fitbitWebhookHandler", () => {
     );
   });
 
+  test("should handle each request within one Fitbit time budget", async () => {
+    mockReq = { method: "GET", query: {} };
+    await fitbitWebhookHandler(mockReq, mockRes);
+    expect(runWithFitbitTimeBudget).toHaveBeenCalledTimes(1);
+    expect(mockRes.status).toHaveBeenCalledWith(200);
+  });
+
   // --- OPTIONSリクエストのテスト ---
   test("should handle OPTIONS request", async () => {
     mockReq = { method: "OPTIONS" };
@@ -151,11 +211,11 @@ describe("fitbitWebhookHandler", () => {
     );
     expect(mockRes.set).toHaveBeenCalledWith(
       "Access-Control-Allow-Methods",
-      "GET, POST, OPTIONS"
+      "GET, POST, PUT, PATCH, DELETE, OPTIONS"
     );
     expect(mockRes.set).toHaveBeenCalledWith(
       "Access-Control-Allow-Headers",
-      "Content-Type, Authorization"
+      "Content-Type, Authorization, Idempotency-Key"
     );
     expect(mockRes.status).toHaveBeenCalledWith(204);
     expect(mockRes.send).toHaveBeenCalledWith("");
@@ -180,362 +240,2189 @@ describe("fitbitWebhookHandler", () => {
     });
   });
 
-  // --- GETリクエスト (OAuthコールバック) のテスト ---
-  describe("GET request (OAuth callback)", () => {
-    // 正常系
-    test("should exchange code for tokens and redirect if state is valid and includes redirectUri", async () => {
+  // --- GETリクエスト (栄養サマリー) のテスト ---
+  describe("GET request (nutrition summary)", () => {
+    const mockSummary = { date: "2023-01-01", totals: {}, meals: [] };
+
+    beforeEach(() => {
       mockReq = {
         method: "GET",
-        query: {
-          code: "testCode",
-          state: "validStateBase64", // firebaseUidとredirectUriを含む
-        },
+        path: "/summary",
+        query: { date: "2023-01-01" },
+        headers: { authorization: "Bearer mockIdToken" },
       };
+      verifyFirebaseIdToken.mockResolvedValue({ uid: "testFirebaseUid" });
+      getTokensFromFirestore.mockResolvedValue({
+        accessToken: "accessToken",
+        expiresAt: new Date().getTime() + 3600 * 1000,
+        fitbitUserId: "testFitbitUserId",
+      });
+      getDailyNutritionSummary.mockResolvedValue(mockSummary);
+    });
 
-      exchangeCodeForTokens.mockResolvedValueOnce();
-
+    test("should return the nutrition summary for the date", async () => {
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(accessSecretVersion).toHaveBeenCalledTimes(2);
-      expect(exchangeCodeForTokens).toHaveBeenCalledWith(
-        "testClientId",
-        "testClientSecret",
-        "testCode",
-        "testFirebaseUid"
+      expect(verifyFirebaseIdToken).toHaveBeenCalledWith("mockIdToken");
+      expect(getDailyNutritionSummary).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        "2023-01-01"
       );
-      expect(mockRes.redirect).toHaveBeenCalledWith(
-        302,
-        "http://example.com/redirect?uid=testFirebaseUid"
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(mockSummary);
+    });
+
+    test("should default to today", async () => {
+      mockReq.query = {};
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(getDailyNutritionSummary).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        "today"
       );
     });
 
-    test("should exchange code for tokens and send success message if state is valid but no redirectUri", async () => {
+    test("should return 400 for an invalid date", async () => {
+      mockReq.query = { date: "2023/01/01" };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(getDailyNutritionSummary).not.toHaveBeenCalled();
+    });
+
+    test("should return 401 without an Authorization header", async () => {
+      mockReq.headers = {};
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(getDailyNutritionSummary).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- GETリクエスト (残りの栄養予算) のテスト ---
+  describe("GET request (nutrition budget)", () => {
+    const mockBudget = {
+      date: "2023-01-01",
+      goals: { calories: 2000 },
+      consumed: { calories: 500 },
+      remaining: { calories: 1500 },
+    };
+
+    beforeEach(() => {
       mockReq = {
         method: "GET",
-        query: {
-          code: "testCode",
-          state: "stateWithoutRedirectUriBase64", // firebaseUidのみ
-        },
+        path: "/budget",
+        query: { date: "2023-01-01" },
+        headers: { authorization: "Bearer mockIdToken" },
       };
+      verifyFirebaseIdToken.mockResolvedValue({ uid: "testFirebaseUid" });
+      getTokensFromFirestore.mockResolvedValue({
+        accessToken: "accessToken",
+        expiresAt: new Date().getTime() + 3600 * 1000,
+        fitbitUserId: "testFitbitUserId",
+      });
+      getNutritionBudget.mockResolvedValue(mockBudget);
+    });
 
-      exchangeCodeForTokens.mockResolvedValueOnce();
-
+    test("should return the remaining budget for the date", async () => {
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(accessSecretVersion).toHaveBeenCalledTimes(2);
-      expect(exchangeCodeForTokens).toHaveBeenCalledWith(
-        "testClientId",
-        "testClientSecret",
-        "testCode",
-        "testFirebaseUid"
+      expect(getNutritionBudget).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        "2023-01-01"
       );
       expect(mockRes.status).toHaveBeenCalledWith(200);
-      expect(mockRes.send).toHaveBeenCalledWith(
-        "Authorization successful! User UID: testFirebaseUid. You can close this page."
-      );
+      expect(mockRes.json).toHaveBeenCalledWith(mockBudget);
     });
 
-    // 異常系
-    test("should return 400 if state parameter is missing", async () => {
-      mockReq = {
-        method: "GET",
-        query: {
-          code: "testCode",
-        },
-      };
+    test("should return 400 for an invalid date", async () => {
+      mockReq.query = { date: "yesterday" };
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
       expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: "Invalid request: state parameter is missing.",
+      expect(getNutritionBudget).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- 水分の記録と取得のテスト ---
+  describe("water routes", () => {
+    beforeEach(() => {
+      verifyFirebaseIdToken.mockResolvedValue({ uid: "testFirebaseUid" });
+      getTokensFromFirestore.mockResolvedValue({
+        accessToken: "accessToken",
+        expiresAt: new Date().getTime() + 3600 * 1000,
+        fitbitUserId: "testFitbitUserId",
       });
     });
 
-    test("should return 400 if state parameter cannot be decoded", async () => {
+    test("POST /water should log water", async () => {
+      const body = { amount: 1, unit: "杯", log_date: "2023-01-01" };
       mockReq = {
-        method: "GET",
-        query: {
-          code: "testCode",
-          state: "invalidBase64", // 無効なBase64
-        },
+        method: "POST",
+        path: "/water",
+        headers: { authorization: "Bearer mockIdToken" },
+        body,
       };
-      Buffer.from.mockImplementationOnce(() => {
-        throw new Error("Invalid base64");
+      logWater.mockResolvedValue({
+        amount_ml: 200,
+        logId: 21,
+        fitbitResponse: { waterLog: { logId: 21 } },
       });
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(logWater).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        body
+      );
+      expect(processAndLogFoods).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
-        error: expect.stringContaining(
-          "Invalid state: could not decode state parameter."
-        ),
+        message: "Water logged successfully to Fitbit.",
+        amount_ml: 200,
+        logId: 21,
+        fitbitResponse: { waterLog: { logId: 21 } },
       });
     });
 
-    test("should return 400 if decoded state is not valid JSON", async () => {
+    test("POST /water should answer in the user's language", async () => {
       mockReq = {
-        method: "GET",
-        query: {
-          code: "testCode",
-          state: "invalidJsonStateBase64", // 有効なBase64だがJSONではない
-        },
+        method: "POST",
+        path: "/water",
+        headers: { authorization: "Bearer mockIdToken" },
+        body: { amount: 200, log_date: "2023-01-01" },
       };
-      // Buffer.from のモックは beforeEach で設定されているので、ここでは特定のケースを上書き
-      Buffer.from.mockImplementationOnce((str, encoding) => ({
-        toString: jest.fn((enc) => "this is not json"),
-      }));
+      getUserPreferences.mockResolvedValueOnce({ language: "ja" });
+      logWater.mockResolvedValue({ amount_ml: 200, logId: 21 });
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: expect.stringContaining(
-          "Invalid state: could not decode state parameter."
-        ),
-      });
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "水分をFitbitに記録しました。" })
+      );
     });
 
-    test("should return 400 if firebaseUid is missing from decoded state", async () => {
+    test("POST /water should return 400 for an invalid unit", async () => {
       mockReq = {
-        method: "GET",
-        query: {
-          code: "testCode",
-          state: "stateWithoutFirebaseUidBase64", // firebaseUidがない
-        },
+        method: "POST",
+        path: "/water",
+        headers: { authorization: "Bearer mockIdToken" },
+        body: { amount: 1, unit: "bucket", log_date: "2023-01-01" },
       };
+      logWater.mockRejectedValue(
+        new ValidationError('Invalid water unit "bucket": use ml, cups or 杯.')
+      );
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
       expect(mockRes.status).toHaveBeenCalledWith(400);
       expect(mockRes.json).toHaveBeenCalledWith({
-        error: "Invalid state: Firebase UID is missing.",
+        error: 'Invalid water unit "bucket": use ml, cups or 杯.',
       });
     });
 
-    test("should handle error during exchangeCodeForTokens", async () => {
+    test("GET /water should return today's water total", async () => {
+      const waterSummary = { date: "today", total_ml: 700, entries: [] };
       mockReq = {
         method: "GET",
-        query: {
-          code: "testCode",
-          state: "validStateBase64",
-        },
+        path: "/water",
+        query: {},
+        headers: { authorization: "Bearer mockIdToken" },
       };
-      exchangeCodeForTokens.mockRejectedValueOnce(
-        new Error("Fitbit API error")
-      );
+      getWaterSummary.mockResolvedValue(waterSummary);
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(500);
-      expect(mockRes.json).toHaveBeenCalledWith({ error: "Fitbit API error" });
+      expect(getWaterSummary).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        "today"
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(waterSummary);
     });
   });
 
-  // --- POSTリクエスト (食事ログ) のテスト ---
-  describe("POST request (food logging)", () => {
-    const mockIdToken = "mockIdToken";
-    const mockFirebaseUid = "testFirebaseUid";
-    const mockNutritionData = {
-      meal_type: "breakfast",
-      log_date: "2023-01-01",
-      log_time: "08:00",
-      foods: [{ foodName: "apple", calories: 95 }],
-    };
-    const mockTokens = {
-      accessToken: "oldAccessToken",
-      refreshToken: "testRefreshToken",
-      expiresAt: new Date().getTime() + 3600 * 1000, // 1時間後
-      fitbitUserId: "testFitbitUserId",
-    };
-    const mockExpiredTokens = {
-      accessToken: "expiredAccessToken",
-      refreshToken: "testRefreshToken",
-      expiresAt: new Date().getTime() - 3600 * 1000, // 1時間前
-      fitbitUserId: "testFitbitUserId",
-    };
-
+  // --- 体重・体脂肪率の記録のテスト ---
+  describe("POST request (body metrics)", () => {
     beforeEach(() => {
       mockReq = {
         method: "POST",
-        headers: {
-          authorization: `Bearer ${mockIdToken}`,
-        },
-        body: mockNutritionData,
+        path: "/body",
+        headers: { authorization: "Bearer mockIdToken" },
+        body: { weight: 65.4, body_fat: 21.5, log_date: "2023-01-01" },
       };
-      verifyFirebaseIdToken.mockResolvedValue({ uid: mockFirebaseUid });
-      getTokensFromFirestore.mockResolvedValue(mockTokens);
-      processAndLogFoods.mockResolvedValue([{ success: true }]);
+      verifyFirebaseIdToken.mockResolvedValue({ uid: "testFirebaseUid" });
+      getTokensFromFirestore.mockResolvedValue({
+        accessToken: "accessToken",
+        expiresAt: new Date().getTime() + 3600 * 1000,
+        fitbitUserId: "testFitbitUserId",
+      });
     });
 
-    // 正常系
-    test("should log foods successfully with valid token", async () => {
+    test("should log body metrics", async () => {
+      const result = {
+        fitbitResponses: [],
+        weight: { kg: 65.4, logId: 31 },
+        body_fat: { percent: 21.5, logId: 32 },
+      };
+      logBodyMetrics.mockResolvedValue(result);
+
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(verifyFirebaseIdToken).toHaveBeenCalledWith(mockIdToken);
-      expect(getTokensFromFirestore).toHaveBeenCalledWith(mockFirebaseUid);
-      expect(refreshFitbitAccessToken).not.toHaveBeenCalled(); // トークンは期限内
-      expect(processAndLogFoods).toHaveBeenCalledWith(
-        mockTokens.accessToken,
-        mockNutritionData,
-        mockTokens.fitbitUserId
+      expect(logBodyMetrics).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        mockReq.body
       );
+      expect(processAndLogFoods).not.toHaveBeenCalled();
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
-        message: "All foods logged successfully to Fitbit.",
-        loggedData: mockNutritionData,
-        fitbitResponses: [{ success: true }],
+        message: "Body metrics logged successfully to Fitbit.",
+        ...result,
       });
     });
 
-    test("should refresh token and log foods successfully if token is expired", async () => {
-      getTokensFromFirestore.mockResolvedValue(mockExpiredTokens);
-      refreshFitbitAccessToken.mockResolvedValue("newAccessToken");
+    test("should include the rollback report if logging fails", async () => {
+      const rollback = { deletedWeightLogIds: [31], failed: [] };
+      logBodyMetrics.mockRejectedValue(
+        Object.assign(new FitbitApiError("Failed to log body fat: Invalid"), {
+          rollback,
+        })
+      );
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(verifyFirebaseIdToken).toHaveBeenCalledWith(mockIdToken);
-      expect(getTokensFromFirestore).toHaveBeenCalledWith(mockFirebaseUid);
-      expect(refreshFitbitAccessToken).toHaveBeenCalledWith(
-        mockFirebaseUid,
-        "testClientId",
-        "testClientSecret"
-      );
-      expect(processAndLogFoods).toHaveBeenCalledWith(
-        "newAccessToken",
-        mockNutritionData,
-        mockExpiredTokens.fitbitUserId
-      );
-      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.status).toHaveBeenCalledWith(500);
       expect(mockRes.json).toHaveBeenCalledWith({
-        message: "All foods logged successfully to Fitbit.",
-        loggedData: mockNutritionData,
-        fitbitResponses: [{ success: true }],
+        error: "Failed to log body fat: Invalid",
+        rollback,
       });
     });
 
-    // 異常系
-    test("should return 401 if Authorization header is missing", async () => {
-      mockReq.headers.authorization = undefined;
+    test("should return 401 without an Authorization header", async () => {
+      mockReq.headers = {};
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
       expect(mockRes.status).toHaveBeenCalledWith(401);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: "Unauthorized: Authorization header is missing or invalid.",
+      expect(logBodyMetrics).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- 運動・アクティビティの記録のテスト ---
+  describe("POST request (activities)", () => {
+    beforeEach(() => {
+      mockReq = {
+        method: "POST",
+        path: "/activities",
+        headers: { authorization: "Bearer mockIdToken" },
+        body: {
+          activity_name: "Jogging",
+          duration_minutes: 30,
+          log_date: "2023-01-01",
+          log_time: "07:00",
+        },
+      };
+      verifyFirebaseIdToken.mockResolvedValue({ uid: "testFirebaseUid" });
+      getTokensFromFirestore.mockResolvedValue({
+        accessToken: "accessToken",
+        expiresAt: new Date().getTime() + 3600 * 1000,
+        fitbitUserId: "testFitbitUserId",
       });
     });
 
-    test("should return 401 if Authorization header is invalid", async () => {
-      mockReq.headers.authorization = "InvalidToken";
+    test("should log the activity", async () => {
+      const result = {
+        activityId: 17151,
+        activityName: "Jogging",
+        custom: false,
+        logId: 41,
+        fitbitResponse: {},
+      };
+      logActivity.mockResolvedValue(result);
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(logActivity).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        mockReq.body
+      );
+      expect(processAndLogFoods).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
-        error: "Unauthorized: Authorization header is missing or invalid.",
+        message: "Activity logged successfully to Fitbit.",
+        ...result,
       });
     });
 
-    test("should return 401 if verifyFirebaseIdToken fails", async () => {
-      verifyFirebaseIdToken.mockRejectedValueOnce(
-        new AuthenticationError("Firebase auth error")
+    test("should return 400 for an unknown activity without calories", async () => {
+      logActivity.mockRejectedValue(
+        new ValidationError(
+          'Unknown activity "Kendo": specify calories to log it as a custom activity.'
+        )
       );
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(401);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: "Firebase auth error",
-      });
+      expect(mockRes.status).toHaveBeenCalledWith(400);
     });
+  });
 
-    test("should return 400 if nutritionData is missing", async () => {
-      mockReq.body = undefined;
+  // --- ユーザー設定のテスト ---
+  describe("preferences routes", () => {
+    const defaultPreferences = {
+      logging_strategy: "create",
+      meal_windows: DEFAULT_MEAL_WINDOWS,
+      timezone: null,
+      preferred_units: { food: null, water: "ml" },
+      language: "en",
+      default_form_type: "DRY",
+    };
+
+    beforeEach(() => {
+      verifyFirebaseIdToken.mockResolvedValue({ uid: "testFirebaseUid" });
+    });
+
+    test("GET /preferences should return the preferences with defaults", async () => {
+      mockReq = {
+        method: "GET",
+        path: "/preferences",
+        query: {},
+        headers: { authorization: "Bearer mockIdToken" },
+      };
+      getUserPreferences.mockResolvedValueOnce({});
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error:
-          'Invalid JSON body. Required: meal_type, log_date, log_time, and a non-empty "foods" array.',
-      });
+      expect(getUserPreferences).toHaveBeenCalledWith("testFirebaseUid");
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(defaultPreferences);
     });
 
-    test("should return 400 if nutritionData.foods is missing", async () => {
-      mockReq.body = { meal_type: "breakfast" };
+    test("PUT /preferences should update the logging strategy", async () => {
+      mockReq = {
+        method: "PUT",
+        path: "/preferences",
+        headers: { authorization: "Bearer mockIdToken" },
+        body: { logging_strategy: "quick" },
+      };
+      updateUserPreferences.mockResolvedValueOnce({
+        loggingStrategy: "quick",
+        updatedAt: 1,
+      });
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(updateUserPreferences).toHaveBeenCalledWith("testFirebaseUid", {
+        loggingStrategy: "quick",
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
-        error:
-          'Invalid JSON body. Required: meal_type, log_date, log_time, and a non-empty "foods" array.',
+        ...defaultPreferences,
+        logging_strategy: "quick",
       });
     });
 
-    test("should return 400 if nutritionData.foods is not an array", async () => {
-      mockReq.body = { foods: "not an array" };
+    test("PUT /preferences should update the meal windows", async () => {
+      const breakfast = { start: "06:00", end: "09:00" };
+      mockReq = {
+        method: "PUT",
+        path: "/preferences",
+        headers: { authorization: "Bearer mockIdToken" },
+        body: { meal_windows: { Breakfast: breakfast } },
+      };
+      updateUserPreferences.mockResolvedValueOnce({
+        mealWindows: { Breakfast: breakfast },
+      });
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(updateUserPreferences).toHaveBeenCalledWith("testFirebaseUid", {
+        mealWindows: { Breakfast: breakfast },
+      });
       expect(mockRes.json).toHaveBeenCalledWith({
-        error:
-          'Invalid JSON body. Required: meal_type, log_date, log_time, and a non-empty "foods" array.',
+        ...defaultPreferences,
+        meal_windows: { ...DEFAULT_MEAL_WINDOWS, Breakfast: breakfast },
       });
     });
 
-    test("should return 401 if no tokens found for user", async () => {
-      getTokensFromFirestore.mockResolvedValueOnce(null);
-
+    test("PUT /preferences should update the timezone, units, language and form type", async () => {
+      const body = {
+        timezone: "Asia/Tokyo",
+        preferred_units: { food: "g", water: "杯" },
+        language: "ja",
+        default_form_type: "LIQUID",
+      };
+      const stored = {
+        timezone: "Asia/Tokyo",
+        preferredUnits: { food: "g", water: "杯" },
+        language: "ja",
+        defaultFormType: "LIQUID",
+      };
+      mockReq = {
+        method: "PUT",
+        path: "/preferences",
+        headers: { authorization: "Bearer mockIdToken" },
+        body,
+      };
+      updateUserPreferences.mockResolvedValueOnce({ ...stored, updatedAt: 1 });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(updateUserPreferences).toHaveBeenCalledWith(
+        "testFirebaseUid",
+        stored
+      );
+      expect(mockRes.json).toHaveBeenCalledWith({
+        ...defaultPreferences,
+        ...body,
+      });
+    });
+
+    test("PUT /preferences should return 400 for an invalid strategy", async () => {
+      mockReq = {
+        method: "PUT",
+        path: "/preferences",
+        headers: { authorization: "Bearer mockIdToken" },
+        body: { logging_strategy: "fast" },
+      };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(updateUserPreferences).not.toHaveBeenCalled();
+    });
+
+    test("PUT should return 405 for other paths", async () => {
+      mockReq = {
+        method: "PUT",
+        path: "/meals",
+        headers: { authorization: "Bearer mockIdToken" },
+        body: {},
+      };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(405);
+    });
+  });
+
+  // --- GETリクエスト (OAuthコールバック) のテスト ---
+  describe("meal templates", () => {
+    const headers = { authorization: "Bearer mockIdToken" };
+    const toast = {
+      foodName: "toast",
+      amount: 2,
+      unit: "slice",
+      calories: 320,
+    };
+    const template = {
+      name: "My usual breakfast",
+      foods: [toast],
+      updatedAt: 1,
+    };
+    const loggedItem = { index: 0, foodName: "toast", status: "logged" };
+
+    beforeEach(() => {
+      verifyFirebaseIdToken.mockResolvedValue({ uid: "testFirebaseUid" });
+      getTokensFromFirestore.mockResolvedValue({
+        accessToken: "accessToken",
+        expiresAt: new Date().getTime() + 3600 * 1000,
+        fitbitUserId: "testFitbitUserId",
+      });
+      processAndLogFoods.mockResolvedValue({
+        items: [loggedItem],
+        fitbitResponses: [],
+        mealTypeId: 1,
+        logDate: "2023-01-01",
+        logTime: "08:00",
+        water: [],
+        loggingStrategy: "create",
+      });
+    });
+
+    test("GET /templates should list the templates", async () => {
+      mockReq = { method: "GET", path: "/templates", query: {}, headers };
+      listMealTemplates.mockResolvedValueOnce([template]);
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(listMealTemplates).toHaveBeenCalledWith("testFirebaseUid");
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({ templates: [template] });
+    });
+
+    test("POST should log a template with scaling and overrides", async () => {
+      mockReq = {
+        method: "POST",
+        path: "/",
+        headers,
+        body: {
+          template: "my usual breakfast",
+          scale: 1.5,
+          log_date: "yesterday",
+        },
+      };
+      getMealTemplate.mockResolvedValueOnce(template);
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(getMealTemplate).toHaveBeenCalledWith(
+        "testFirebaseUid",
+        "my usual breakfast"
+      );
+      expect(processAndLogFoods).toHaveBeenCalledWith(
+        "accessToken",
+        {
+          template: "my usual breakfast",
+          log_date: "yesterday",
+          foods: [{ ...toast, amount: 3, per: { amount: 2, unit: "slice" } }],
+        },
+        "testFitbitUserId",
+        {}
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("POST should log a scaled template with a food saved without a unit", async () => {
+      const rice = { foodName: "rice", amount: 150, calories: 234 };
+      mockReq = {
+        method: "POST",
+        path: "/",
+        headers,
+        body: { template: "Rice", scale: 1.5 },
+      };
+      getMealTemplate.mockResolvedValueOnce({ name: "Rice", foods: [rice] });
+      getUserPreferences.mockResolvedValueOnce({
+        preferredUnits: { food: "g" },
+      });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(processAndLogFoods).toHaveBeenCalledWith(
+        "accessToken",
+        {
+          template: "Rice",
+          foods: [{ ...rice, amount: 225, per: { amount: 150 } }],
+        },
+        "testFitbitUserId",
+        { preferredUnits: { food: "g" } }
+      );
+    });
+
+    test("POST should save the foods of a template with the preferred units", async () => {
+      const rice = { foodName: "rice", amount: 150, calories: 234 };
+      mockReq = {
+        method: "POST",
+        path: "/",
+        headers,
+        body: { foods: [rice], save_as_template: "Rice" },
+      };
+      getUserPreferences.mockResolvedValueOnce({
+        preferredUnits: { food: "g" },
+      });
+      saveMealTemplate.mockResolvedValueOnce({ name: "Rice" });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(saveMealTemplate).toHaveBeenCalledWith("testFirebaseUid", "Rice", [
+        { ...rice, unit: "g" },
+      ]);
+    });
+
+    test("POST should return 404 for an unknown template", async () => {
+      mockReq = {
+        method: "POST",
+        path: "/",
+        headers,
+        body: { template: "Brunch" },
+      };
+      getMealTemplate.mockResolvedValueOnce(null);
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'Meal template "Brunch" not found.',
+      });
+      expect(processAndLogFoods).not.toHaveBeenCalled();
+    });
+
+    test("POST should save the logged foods as a template", async () => {
+      const natto = {
+        foodName: "natto",
+        amount: 1,
+        unit: "pack",
+        calories: 90,
+      };
+      mockReq = {
+        method: "POST",
+        path: "/",
+        headers,
+        body: {
+          log_date: "2023-01-01",
+          log_time: "08:00",
+          foods: [toast, natto],
+          partial_success: true,
+          save_as_template: " My usual breakfast ",
+        },
+      };
+      processAndLogFoods.mockResolvedValueOnce({
+        items: [loggedItem, { index: 1, foodName: "natto", status: "failed" }],
+        fitbitResponses: [],
+        water: [],
+      });
+      saveMealTemplate.mockResolvedValueOnce(template);
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(saveMealTemplate).toHaveBeenCalledWith(
+        "testFirebaseUid",
+        "My usual breakfast",
+        [toast]
+      );
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ savedTemplate: "My usual breakfast" })
+      );
+    });
+
+    test("POST should still succeed if the template cannot be saved", async () => {
+      mockReq = {
+        method: "POST",
+        path: "/",
+        headers,
+        body: { foods: [toast], save_as_template: "My usual breakfast" },
+      };
+      saveMealTemplate.mockRejectedValueOnce(
+        new Error("Firestore unavailable")
+      );
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ savedTemplate: null })
+      );
+    });
+
+    test("PATCH /templates/{name} should rename a template", async () => {
+      mockReq = {
+        method: "PATCH",
+        path: "/templates/My%20usual%20breakfast",
+        headers,
+        body: { name: "Weekday breakfast" },
+      };
+      renameMealTemplate.mockResolvedValueOnce({
+        ...template,
+        name: "Weekday breakfast",
+      });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(renameMealTemplate).toHaveBeenCalledWith(
+        "testFirebaseUid",
+        "My usual breakfast",
+        "Weekday breakfast"
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("PATCH /templates/{name} should return 400 without a new name", async () => {
+      mockReq = {
+        method: "PATCH",
+        path: "/templates/Lunch",
+        headers,
+        body: {},
+      };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(renameMealTemplate).not.toHaveBeenCalled();
+    });
+
+    test("DELETE /templates/{name} should delete a template", async () => {
+      mockReq = {
+        method: "DELETE",
+        path: "/templates/Lunch",
+        query: {},
+        headers,
+      };
+      deleteMealTemplate.mockResolvedValueOnce(true);
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(deleteMealTemplate).toHaveBeenCalledWith(
+        "testFirebaseUid",
+        "Lunch"
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: 'Meal template "Lunch" deleted.',
+      });
+    });
+
+    test("DELETE /templates/{name} should return 404 for an unknown template", async () => {
+      mockReq = {
+        method: "DELETE",
+        path: "/templates/Brunch",
+        query: {},
+        headers,
+      };
+      deleteMealTemplate.mockResolvedValueOnce(false);
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+
+    test("POST /templates should return 404 instead of logging a meal", async () => {
+      mockReq = {
+        method: "POST",
+        path: "/templates",
+        query: {},
+        headers,
+        body: { template: "Lunch", foods: [toast] },
+      };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "Unknown POST resource: /templates",
+      });
+      expect(processAndLogFoods).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET request (OAuth callback)", () => {
+    // 正常系
+    test("should exchange code for tokens and redirect if state is valid and includes redirectUri", async () => {
+      mockReq = {
+        method: "GET",
+        query: {
+          code: "testCode",
+          state: "validStateBase64", // firebaseUidとredirectUriを含む
+        },
+      };
+
+      exchangeCodeForTokens.mockResolvedValueOnce();
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(accessSecretVersion).toHaveBeenCalledTimes(2);
+      expect(exchangeCodeForTokens).toHaveBeenCalledWith(
+        "testClientId",
+        "testClientSecret",
+        "testCode",
+        "testFirebaseUid"
+      );
+      expect(mockRes.redirect).toHaveBeenCalledWith(
+        302,
+        "http://example.com/redirect?uid=testFirebaseUid"
+      );
+    });
+
+    test("should exchange code for tokens and send success message if state is valid but no redirectUri", async () => {
+      mockReq = {
+        method: "GET",
+        query: {
+          code: "testCode",
+          state: "stateWithoutRedirectUriBase64", // firebaseUidのみ
+        },
+      };
+
+      exchangeCodeForTokens.mockResolvedValueOnce();
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(accessSecretVersion).toHaveBeenCalledTimes(2);
+      expect(exchangeCodeForTokens).toHaveBeenCalledWith(
+        "testClientId",
+        "testClientSecret",
+        "testCode",
+        "testFirebaseUid"
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.send).toHaveBeenCalledWith(
+        "Authorization successful! User UID: testFirebaseUid. You can close this page."
+      );
+    });
+
+    // 異常系
+    test("should return 400 if state parameter is missing", async () => {
+      mockReq = {
+        method: "GET",
+        query: {
+          code: "testCode",
+        },
+      };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "Invalid request: state parameter is missing.",
+      });
+    });
+
+    test("should return 400 if state parameter cannot be decoded", async () => {
+      mockReq = {
+        method: "GET",
+        query: {
+          code: "testCode",
+          state: "invalidBase64", // 無効なBase64
+        },
+      };
+      Buffer.from.mockImplementationOnce(() => {
+        throw new Error("Invalid base64");
+      });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: expect.stringContaining(
+          "Invalid state: could not decode state parameter."
+        ),
+      });
+    });
+
+    test("should return 400 if decoded state is not valid JSON", async () => {
+      mockReq = {
+        method: "GET",
+        query: {
+          code: "testCode",
+          state: "invalidJsonStateBase64", // 有効なBase64だがJSONではない
+        },
+      };
+      // Buffer.from のモックは beforeEach で設定されているので、ここでは特定のケースを上書き
+      Buffer.from.mockImplementationOnce((str, encoding) => ({
+        toString: jest.fn((enc) => "this is not json"),
+      }));
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: expect.stringContaining(
+          "Invalid state: could not decode state parameter."
+        ),
+      });
+    });
+
+    test("should return 400 if firebaseUid is missing from decoded state", async () => {
+      mockReq = {
+        method: "GET",
+        query: {
+          code: "testCode",
+          state: "stateWithoutFirebaseUidBase64", // firebaseUidがない
+        },
+      };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "Invalid state: Firebase UID is missing.",
+      });
+    });
+
+    test("should handle error during exchangeCodeForTokens", async () => {
+      mockReq = {
+        method: "GET",
+        query: {
+          code: "testCode",
+          state: "validStateBase64",
+        },
+      };
+      exchangeCodeForTokens.mockRejectedValueOnce(
+        new Error("Fitbit API error")
+      );
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: "Fitbit API error" });
+    });
+  });
+
+  // --- POSTリクエスト (食事ログ) のテスト ---
+  describe("POST request (food logging)", () => {
+    const mockBudget = {
+      date: "2023-01-01",
+      goals: { calories: 2000 },
+      consumed: { calories: 500 },
+      remaining: { calories: 1500 },
+    };
+    const mockIdToken = "mockIdToken";
+    const mockFirebaseUid = "testFirebaseUid";
+    const mockNutritionData = {
+      meal_type: "Breakfast",
+      log_date: "2023-01-01",
+      log_time: "08:00",
+      foods: [{ foodName: "apple", amount: 1, unit: "serving", calories: 95 }],
+    };
+    const mockTokens = {
+      accessToken: "oldAccessToken",
+      refreshToken: "testRefreshToken",
+      expiresAt: new Date().getTime() + 3600 * 1000, // 1時間後
+      fitbitUserId: "testFitbitUserId",
+    };
+    const mockLoggedItem = {
+      index: 0,
+      foodName: "apple",
+      status: "logged",
+      amount: 1,
+      unit: "serving",
+      foodId: "foodId1",
+      foodCreated: true,
+      logId: 1,
+    };
+    const mockExpiredTokens = {
+      accessToken: "expiredAccessToken",
+      refreshToken: "testRefreshToken",
+      expiresAt: new Date().getTime() - 3600 * 1000, // 1時間前
+      fitbitUserId: "testFitbitUserId",
+    };
+
+    beforeEach(() => {
+      mockReq = {
+        method: "POST",
+        headers: {
+          authorization: `Bearer ${mockIdToken}`,
+        },
+        body: mockNutritionData,
+      };
+      verifyFirebaseIdToken.mockResolvedValue({ uid: mockFirebaseUid });
+      getTokensFromFirestore.mockResolvedValue(mockTokens);
+      processAndLogFoods.mockResolvedValue({
+        items: [mockLoggedItem],
+        fitbitResponses: [{ success: true }],
+        logDate: "2023-01-01",
+        logTime: "08:00",
+        mealTypeId: 1,
+        mealType: { id: 1, name: "Breakfast", inferred: false },
+        water: [],
+        loggingStrategy: "create",
+      });
+      saveMealRecord.mockResolvedValue("meal1");
+      getNutritionBudget.mockResolvedValue(mockBudget);
+    });
+
+    // 正常系
+    test("should log foods successfully with valid token", async () => {
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(verifyFirebaseIdToken).toHaveBeenCalledWith(mockIdToken);
+      expect(getTokensFromFirestore).toHaveBeenCalledWith(mockFirebaseUid);
+      expect(refreshFitbitAccessToken).not.toHaveBeenCalled(); // トークンは期限内
+      expect(processAndLogFoods).toHaveBeenCalledWith(
+        mockTokens.accessToken,
+        mockNutritionData,
+        mockTokens.fitbitUserId,
+        {}
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: "All foods logged successfully to Fitbit.",
+        loggedData: mockNutritionData,
+        fitbitResponses: [{ success: true }],
+        items: [mockLoggedItem],
+        mealId: "meal1",
+        mealType: { id: 1, name: "Breakfast", inferred: false },
+        water: [],
+        loggingStrategy: "create",
+        budget: mockBudget,
+      });
+    });
+
+    test("should refresh token and log foods successfully if token is expired", async () => {
+      getTokensFromFirestore.mockResolvedValue(mockExpiredTokens);
+      refreshFitbitAccessToken.mockResolvedValue("newAccessToken");
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(verifyFirebaseIdToken).toHaveBeenCalledWith(mockIdToken);
+      expect(getTokensFromFirestore).toHaveBeenCalledWith(mockFirebaseUid);
+      expect(refreshFitbitAccessToken).toHaveBeenCalledWith(
+        mockFirebaseUid,
+        "testClientId",
+        "testClientSecret"
+      );
+      expect(processAndLogFoods).toHaveBeenCalledWith(
+        "newAccessToken",
+        mockNutritionData,
+        mockExpiredTokens.fitbitUserId,
+        {}
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: "All foods logged successfully to Fitbit.",
+        loggedData: mockNutritionData,
+        fitbitResponses: [{ success: true }],
+        items: [mockLoggedItem],
+        mealId: "meal1",
+        mealType: { id: 1, name: "Breakfast", inferred: false },
+        water: [],
+        loggingStrategy: "create",
+        budget: mockBudget,
+      });
+    });
+
+    test("should refresh a token that expires within the refresh margin", async () => {
+      getTokensFromFirestore.mockResolvedValue({
+        ...mockTokens,
+        expiresAt: new Date().getTime() + 60 * 1000, // 1分後
+      });
+      refreshFitbitAccessToken.mockResolvedValue("newAccessToken");
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(refreshFitbitAccessToken).toHaveBeenCalledWith(
+        mockFirebaseUid,
+        "testClientId",
+        "testClientSecret"
+      );
+      expect(processAndLogFoods).toHaveBeenCalledWith(
+        "newAccessToken",
+        mockNutritionData,
+        mockTokens.fitbitUserId,
+        {}
+      );
+    });
+
+    test("should use the refresh margin of FITBIT_TOKEN_REFRESH_MARGIN_MS", async () => {
+      process.env.FITBIT_TOKEN_REFRESH_MARGIN_MS = "0";
+      getTokensFromFirestore.mockResolvedValue({
+        ...mockTokens,
+        expiresAt: new Date().getTime() + 60 * 1000, // 1分後
+      });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(refreshFitbitAccessToken).not.toHaveBeenCalled();
+      expect(processAndLogFoods).toHaveBeenCalledWith(
+        mockTokens.accessToken,
+        mockNutritionData,
+        mockTokens.fitbitUserId,
+        {}
+      );
+    });
+
+    test("should register the token for a refresh when Fitbit rejects it", async () => {
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(registerTokenRefresh).toHaveBeenCalledWith(
+        mockTokens.accessToken,
+        mockFirebaseUid,
+        "testClientId",
+        "testClientSecret"
+      );
+    });
+
+    test("should request the budget for the logged date", async () => {
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(getNutritionBudget).toHaveBeenCalledWith(
+        mockTokens.accessToken,
+        mockTokens.fitbitUserId,
+        mockNutritionData.log_date
+      );
+    });
+
+    test("should use the resolved date and time when they are omitted", async () => {
+      mockReq.body = {
+        ...mockNutritionData,
+        log_date: "yesterday",
+        log_time: undefined,
+      };
+      processAndLogFoods.mockResolvedValueOnce({
+        items: [mockLoggedItem],
+        fitbitResponses: [{ success: true }],
+        mealTypeId: 1,
+        logDate: "2022-12-31",
+        logTime: "21:00",
+        water: [],
+        loggingStrategy: "create",
+      });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(getNutritionBudget).toHaveBeenCalledWith(
+        mockTokens.accessToken,
+        mockTokens.fitbitUserId,
+        "2022-12-31"
+      );
+      expect(saveMealRecord).toHaveBeenCalledWith(
+        mockFirebaseUid,
+        expect.objectContaining({ logDate: "2022-12-31", logTime: "21:00" })
+      );
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          loggedData: expect.objectContaining({
+            log_date: "2022-12-31",
+            log_time: "21:00",
+          }),
+        })
+      );
+    });
+
+    test("should still succeed with a null budget if the goals cannot be fetched", async () => {
+      getNutritionBudget.mockRejectedValueOnce(
+        new FitbitApiError("Failed to get food goals: Unavailable")
+      );
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ mealId: "meal1", budget: null })
+      );
+    });
+
+    // 異常系
+    test("should return 401 if Authorization header is missing", async () => {
+      mockReq.headers.authorization = undefined;
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "Unauthorized: Authorization header is missing or invalid.",
+      });
+    });
+
+    test("should return 401 if Authorization header is invalid", async () => {
+      mockReq.headers.authorization = "InvalidToken";
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "Unauthorized: Authorization header is missing or invalid.",
+      });
+    });
+
+    test("should return 401 if verifyFirebaseIdToken fails", async () => {
+      verifyFirebaseIdToken.mockRejectedValueOnce(
+        new AuthenticationError("Firebase auth error")
+      );
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "Firebase auth error",
+      });
+    });
+
+    test("should return 400 if nutritionData is missing", async () => {
+      mockReq.body = undefined;
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "Invalid request: The request body must be an object.",
+        details: [
+          {
+            path: "",
+            code: "invalid_type",
+            message: "The request body must be an object.",
+          },
+        ],
+      });
+    });
+
+    test("should return 400 if nutritionData.foods is missing", async () => {
+      mockReq.body = { ...mockNutritionData, foods: undefined };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "Invalid request: foods is required.",
+        details: [
+          { path: "foods", code: "required", message: "foods is required." },
+        ],
+      });
+    });
+
+    test("should return 400 if nutritionData.foods is not an array", async () => {
+      mockReq.body = { ...mockNutritionData, foods: "not an array" };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "Invalid request: foods must be an array.",
+        details: [
+          {
+            path: "foods",
+            code: "invalid_type",
+            message: "foods must be an array.",
+          },
+        ],
+      });
+    });
+
+    test("should return a detail for every invalid field", async () => {
+      mockReq.body = {
+        meal_type: 1,
+        log_date: "2023-02-30",
+        foods: [
+          { foodName: "apple", amount: -1, unit: "serving", calories: NaN },
+        ],
+      };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      const { details } = mockRes.json.mock.calls[0][0];
+      expect(details.map((detail) => [detail.path, detail.code])).toEqual([
+        ["meal_type", "invalid_type"],
+        ["log_date", "invalid_format"],
+        ["foods[0].amount", "too_small"],
+        ["foods[0].calories", "invalid_type"],
+      ]);
+      expect(processAndLogFoods).not.toHaveBeenCalled();
+    });
+
+    test("should return a detail for invalid water entries", async () => {
+      mockReq.body = {
+        ...mockReq.body,
+        water: [{ amount: 200 }, { amount: 1, unit: "bucket" }],
+      };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].details).toEqual([
+        {
+          path: "water[1].unit",
+          code: "invalid_format",
+          message:
+            "water[1].unit must be one of the water units ml, l, cups or 杯.",
+        },
+      ]);
+      expect(processAndLogFoods).not.toHaveBeenCalled();
+    });
+
+    test("should return 401 if no tokens found for user", async () => {
+      getTokensFromFirestore.mockResolvedValueOnce(null);
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: `No tokens found for user ${mockFirebaseUid}. Please complete the OAuth flow.`,
+      });
+    });
+
+    test("should return 500 if refreshFitbitAccessToken fails", async () => {
+      getTokensFromFirestore.mockResolvedValue(mockExpiredTokens);
+      refreshFitbitAccessToken.mockRejectedValueOnce(
+        new Error("Refresh failed")
+      );
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: "Refresh failed" });
+    });
+
+    test("should return 500 if fitbitUserId is missing from tokens", async () => {
+      getTokensFromFirestore.mockResolvedValueOnce({
+        ...mockTokens,
+        fitbitUserId: undefined,
+      });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "Fitbit user ID not found in the database.",
+      });
+    });
+
+    test("should return 500 if processAndLogFoods fails", async () => {
+      processAndLogFoods.mockRejectedValueOnce(
+        new Error("Fitbit logging error")
+      );
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "Fitbit logging error",
+      });
+    });
+
+    test("should record the logged entries for undo", async () => {
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(saveMealRecord).toHaveBeenCalledWith(mockFirebaseUid, {
+        fitbitUserId: mockTokens.fitbitUserId,
+        logDate: "2023-01-01",
+        logTime: "08:00",
+        mealTypeId: 1,
+        entries: [
+          {
+            logId: 1,
+            foodId: "foodId1",
+            foodName: "apple",
+            amount: 1,
+            unit: "serving",
+            foodCreated: true,
+          },
+        ],
+        waterLogIds: [],
+      });
+    });
+
+    test("should record the water logged with the meal for undo", async () => {
+      processAndLogFoods.mockResolvedValueOnce({
+        items: [mockLoggedItem],
+        fitbitResponses: [{ success: true }],
+        logDate: "2023-01-01",
+        logTime: "08:00",
+        mealTypeId: 1,
+        water: [
+          { index: 0, amount_ml: 300, status: "logged", logId: 555 },
+          { index: 1, status: "skipped", reason: "Invalid water amount" },
+        ],
+        loggingStrategy: "create",
+      });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(saveMealRecord).toHaveBeenCalledWith(
+        mockFirebaseUid,
+        expect.objectContaining({ waterLogIds: [555] })
+      );
+    });
+
+    test("should pass the user's preferences to processAndLogFoods", async () => {
+      getUserPreferences.mockResolvedValueOnce({ loggingStrategy: "quick" });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(getUserPreferences).toHaveBeenCalledWith(mockFirebaseUid);
+      expect(processAndLogFoods).toHaveBeenCalledWith(
+        mockTokens.accessToken,
+        mockNutritionData,
+        mockTokens.fitbitUserId,
+        { loggingStrategy: "quick" }
+      );
+    });
+
+    test("should use the default preferences if they cannot be loaded", async () => {
+      getUserPreferences.mockRejectedValueOnce(
+        new Error("Firestore unavailable")
+      );
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(processAndLogFoods).toHaveBeenCalledWith(
+        mockTokens.accessToken,
+        mockNutritionData,
+        mockTokens.fitbitUserId,
+        {}
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should respond in the language of the user's preferences", async () => {
+      getUserPreferences.mockResolvedValueOnce({ language: "ja" });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: "すべての食品をFitbitに記録しました。",
+        })
+      );
+    });
+
+    test("should accept foods without a unit if a preferred unit is set", async () => {
+      const preferences = { preferredUnits: { food: "g" } };
+      getUserPreferences.mockResolvedValueOnce(preferences);
+      mockReq.body = {
+        ...mockNutritionData,
+        foods: [{ foodName: "apple", amount: 150, calories: 95 }],
+      };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(processAndLogFoods).toHaveBeenCalledWith(
+        mockTokens.accessToken,
+        mockReq.body,
+        mockTokens.fitbitUserId,
+        preferences
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should record reused catalog foods as not created", async () => {
+      processAndLogFoods.mockResolvedValueOnce({
+        items: [{ ...mockLoggedItem, foodCreated: false }],
+        fitbitResponses: [{ success: true }],
+        logDate: "2023-01-01",
+        logTime: "08:00",
+        mealTypeId: 1,
+        water: [],
+        loggingStrategy: "create",
+      });
+
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(saveMealRecord).toHaveBeenCalledWith(
+        mockFirebaseUid,
+        expect.objectContaining({
+          entries: [expect.objectContaining({ foodCreated: false })],
+        })
+      );
+    });
+
+    test("should still succeed without mealId if saving the meal record fails", async () => {
+      saveMealRecord.mockRejectedValueOnce(new Error("Firestore unavailable"));
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ mealId: null })
+      );
+    });
+
+    test("should report how many foods were logged in partial success mode", async () => {
+      mockReq.body = { ...mockNutritionData, partial_success: true };
+      const items = [
+        mockLoggedItem,
+        {
+          index: 1,
+          foodName: "natto",
+          status: "failed",
+          reason: 'Failed to create food "natto": Invalid name',
+        },
+      ];
+      processAndLogFoods.mockResolvedValueOnce({
+        items,
+        fitbitResponses: [{ success: true }],
+        logDate: "2023-01-01",
+        logTime: "08:00",
+        water: [],
+        loggingStrategy: "create",
+      });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
-        error: `No tokens found for user ${mockFirebaseUid}. Please complete the OAuth flow.`,
+        message: "1 of 2 foods logged to Fitbit.",
+        loggedData: mockReq.body,
+        fitbitResponses: [{ success: true }],
+        items,
+        mealId: "meal1",
+        water: [],
+        loggingStrategy: "create",
+        budget: mockBudget,
       });
     });
 
-    test("should return 500 if refreshFitbitAccessToken fails", async () => {
-      getTokensFromFirestore.mockResolvedValue(mockExpiredTokens);
-      refreshFitbitAccessToken.mockRejectedValueOnce(
-        new Error("Refresh failed")
+    test("should include the rollback report when processAndLogFoods fails partway", async () => {
+      const rollback = {
+        deletedLogIds: [111],
+        deletedFoodIds: ["foodB", "foodA"],
+        failed: [],
+      };
+      processAndLogFoods.mockRejectedValueOnce(
+        Object.assign(
+          new FitbitApiError('Failed to log food "Orange Juice": Log failed'),
+          { rollback }
+        )
       );
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
       expect(mockRes.status).toHaveBeenCalledWith(500);
-      expect(mockRes.json).toHaveBeenCalledWith({ error: "Refresh failed" });
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'Failed to log food "Orange Juice": Log failed',
+        rollback,
+      });
     });
 
-    test("should return 500 if fitbitUserId is missing from tokens", async () => {
-      getTokensFromFirestore.mockResolvedValueOnce({
-        ...mockTokens,
-        fitbitUserId: undefined,
+    test("should return 429 with Retry-After if the rate limit is exhausted", async () => {
+      processAndLogFoods.mockRejectedValueOnce(
+        new RateLimitError("Fitbit rate limit exceeded.", 429, 1200)
+      );
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.set).toHaveBeenCalledWith("Retry-After", "1200");
+      expect(mockRes.status).toHaveBeenCalledWith(429);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "Fitbit rate limit exceeded.",
+      });
+    });
+
+    // 冪等性キー
+    describe("idempotency key", () => {
+      beforeEach(() => {
+        beginIdempotentRequest.mockResolvedValue(null);
+        completeIdempotentRequest.mockResolvedValue();
+        releaseIdempotentRequest.mockResolvedValue();
+      });
+
+      test("should not use idempotency storage when no key is given", async () => {
+        await fitbitWebhookHandler(mockReq, mockRes);
+
+        expect(beginIdempotentRequest).not.toHaveBeenCalled();
+        expect(completeIdempotentRequest).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+      });
+
+      test("should store the response for a new key from the header", async () => {
+        mockReq.headers["idempotency-key"] = "key-123";
+
+        await fitbitWebhookHandler(mockReq, mockRes);
+
+        expect(beginIdempotentRequest).toHaveBeenCalledWith(
+          mockFirebaseUid,
+          "key-123",
+          mockNutritionData
+        );
+        expect(processAndLogFoods).toHaveBeenCalledTimes(1);
+        expect(completeIdempotentRequest).toHaveBeenCalledWith(
+          mockFirebaseUid,
+          "key-123",
+          {
+            statusCode: 200,
+            body: {
+              message: "All foods logged successfully to Fitbit.",
+              loggedData: mockNutritionData,
+              fitbitResponses: [{ success: true }],
+              items: [mockLoggedItem],
+              mealId: "meal1",
+              mealType: { id: 1, name: "Breakfast", inferred: false },
+              water: [],
+              loggingStrategy: "create",
+              budget: mockBudget,
+            },
+          }
+        );
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+      });
+
+      test("should accept the key from the body", async () => {
+        mockReq.body = { ...mockNutritionData, idempotency_key: "body-key" };
+
+        await fitbitWebhookHandler(mockReq, mockRes);
+
+        expect(beginIdempotentRequest).toHaveBeenCalledWith(
+          mockFirebaseUid,
+          "body-key",
+          mockReq.body
+        );
+        expect(completeIdempotentRequest).toHaveBeenCalled();
+      });
+
+      test("should replay the stored response without logging again", async () => {
+        mockReq.headers["idempotency-key"] = "key-123";
+        const storedBody = { message: "stored", fitbitResponses: [] };
+        beginIdempotentRequest.mockResolvedValueOnce({
+          statusCode: 200,
+          body: storedBody,
+        });
+
+        await fitbitWebhookHandler(mockReq, mockRes);
+
+        expect(processAndLogFoods).not.toHaveBeenCalled();
+        expect(getTokensFromFirestore).not.toHaveBeenCalled();
+        expect(mockRes.set).toHaveBeenCalledWith("Idempotent-Replayed", "true");
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+        expect(mockRes.json).toHaveBeenCalledWith(storedBody);
+      });
+
+      test("should return 409 when the same key is already in progress", async () => {
+        mockReq.headers["idempotency-key"] = "key-123";
+        beginIdempotentRequest.mockRejectedValueOnce(
+          new ConflictError(
+            "A request with the same idempotency key is already in progress."
+          )
+        );
+
+        await fitbitWebhookHandler(mockReq, mockRes);
+
+        expect(processAndLogFoods).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(409);
+        expect(mockRes.json).toHaveBeenCalledWith({
+          error:
+            "A request with the same idempotency key is already in progress.",
+        });
+      });
+
+      test("should release the key when logging fails", async () => {
+        mockReq.headers["idempotency-key"] = "key-123";
+        processAndLogFoods.mockRejectedValueOnce(
+          new Error("Fitbit logging error")
+        );
+
+        await fitbitWebhookHandler(mockReq, mockRes);
+
+        expect(releaseIdempotentRequest).toHaveBeenCalledWith(
+          mockFirebaseUid,
+          "key-123"
+        );
+        expect(completeIdempotentRequest).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(500);
+      });
+
+      test("should still return 200 if storing the response fails", async () => {
+        mockReq.headers["idempotency-key"] = "key-123";
+        completeIdempotentRequest.mockRejectedValueOnce(
+          new Error("Firestore unavailable")
+        );
+
+        await fitbitWebhookHandler(mockReq, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+      });
+
+      test("should retry storing the response once", async () => {
+        mockReq.headers["idempotency-key"] = "key-123";
+        completeIdempotentRequest.mockRejectedValueOnce(
+          new Error("Firestore unavailable")
+        );
+
+        await fitbitWebhookHandler(mockReq, mockRes);
+
+        expect(completeIdempotentRequest).toHaveBeenCalledTimes(2);
+        expect(releaseIdempotentRequest).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+        expect(mockRes.json).toHaveBeenCalledWith(
+          expect.objectContaining({ mealId: "meal1" })
+        );
+      });
+
+      test("should keep the key locked if the response cannot be stored, so a retry does not log again", async () => {
+        mockReq.headers["idempotency-key"] = "key-123";
+        completeIdempotentRequest
+          .mockRejectedValueOnce(new Error("Firestore unavailable"))
+          .mockRejectedValueOnce(new Error("Firestore unavailable"));
+
+        await fitbitWebhookHandler(mockReq, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+        expect(releaseIdempotentRequest).not.toHaveBeenCalled();
+
+        // キーは処理中のまま残るため、同じキーの再試行は 409 になる
+        beginIdempotentRequest.mockRejectedValueOnce(
+          new ConflictError(
+            "A request with the same idempotency key is already in progress."
+          )
+        );
+        const retryRes = {
+          status: jest.fn().mockReturnThis(),
+          json: jest.fn(),
+          set: jest.fn(),
+        };
+        await fitbitWebhookHandler(mockReq, retryRes);
+
+        expect(retryRes.status).toHaveBeenCalledWith(409);
+        expect(processAndLogFoods).toHaveBeenCalledTimes(1);
+      });
+
+      test("should return 400 for an overly long key", async () => {
+        mockReq.headers["idempotency-key"] = "k".repeat(256);
+
+        await fitbitWebhookHandler(mockReq, mockRes);
+
+        expect(beginIdempotentRequest).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+      });
+    });
+  });
+
+  // --- PATCHリクエスト (フードログの修正) のテスト ---
+  describe("PATCH request (edit food log)", () => {
+    const mockFirebaseUid = "testFirebaseUid";
+    const mockTokens = {
+      accessToken: "accessToken",
+      refreshToken: "testRefreshToken",
+      expiresAt: new Date().getTime() + 3600 * 1000,
+      fitbitUserId: "testFitbitUserId",
+    };
+    const riceEntry = {
+      logId: 111,
+      foodId: "foodA",
+      foodName: "rice",
+      amount: 150,
+      unit: "g",
+      foodCreated: true,
+    };
+    const nattoEntry = {
+      logId: 222,
+      foodId: "foodB",
+      foodName: "natto",
+      amount: 1,
+      unit: "serving",
+      foodCreated: true,
+    };
+    const mockMealRecord = {
+      mealId: "meal1",
+      logDate: "2023-01-01",
+      logTime: "12:00",
+      mealTypeId: 3,
+      entries: [riceEntry, nattoEntry],
+    };
+    const updatedEntry = {
+      ...riceEntry,
+      logId: 999,
+      amount: 200,
+      mealTypeId: 3,
+      logDate: "2023-01-01",
+      logTime: "12:00",
+    };
+
+    beforeEach(() => {
+      mockReq = {
+        method: "PATCH",
+        path: "/food-logs/111",
+        headers: { authorization: "Bearer mockIdToken" },
+        body: { amount: 200 },
+      };
+      verifyFirebaseIdToken.mockResolvedValue({ uid: mockFirebaseUid });
+      getTokensFromFirestore.mockResolvedValue(mockTokens);
+      findMealRecordsByLogIds.mockResolvedValue([mockMealRecord]);
+      updateFoodLog.mockResolvedValue({
+        entry: updatedEntry,
+        fitbitResponse: { foodLog: { logId: 999 } },
       });
+    });
 
+    test("should re-issue the food log and update the meal record", async () => {
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(findMealRecordsByLogIds).toHaveBeenCalledWith(
+        mockFirebaseUid,
+        [111]
+      );
+      expect(updateFoodLog).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        {
+          ...riceEntry,
+          mealTypeId: 3,
+          logDate: "2023-01-01",
+          logTime: "12:00",
+        },
+        { amount: 200 },
+        {}
+      );
+      expect(updateMealRecordEntries).toHaveBeenCalledWith(
+        mockFirebaseUid,
+        "meal1",
+        [updatedEntry, nattoEntry],
+        []
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
-        error: "Fitbit user ID not found in the database.",
+        message: "Food log updated successfully.",
+        mealId: "meal1",
+        previousLogId: 111,
+        logId: 999,
+        updatedEntry,
+        fitbitResponse: { foodLog: { logId: 999 } },
       });
     });
 
-    test("should return 500 if processAndLogFoods fails", async () => {
-      processAndLogFoods.mockRejectedValueOnce(
-        new Error("Fitbit logging error")
+    test("should pass only the editable fields", async () => {
+      mockReq.body = {
+        meal_type: "Dinner",
+        log_time: "19:00",
+        foodName: "ignored",
+      };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(updateFoodLog).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        expect.any(Object),
+        { meal_type: "Dinner", log_time: "19:00" },
+        {}
       );
+    });
+
+    test("should return 400 if no editable field is given", async () => {
+      mockReq.body = {};
 
       await fitbitWebhookHandler(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(updateFoodLog).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 for a log that was not recorded", async () => {
+      findMealRecordsByLogIds.mockResolvedValueOnce([]);
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
       expect(mockRes.json).toHaveBeenCalledWith({
-        error: "Fitbit logging error",
+        error: "Food log 111 was not logged by this service.",
+      });
+    });
+
+    test("should return 404 for unknown paths", async () => {
+      mockReq.path = "/meals";
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  // --- DELETEリクエスト (食事ログの取り消し) のテスト ---
+  describe("DELETE request (undo meal logs)", () => {
+    const mockFirebaseUid = "testFirebaseUid";
+    const mockTokens = {
+      accessToken: "accessToken",
+      refreshToken: "testRefreshToken",
+      expiresAt: new Date().getTime() + 3600 * 1000,
+      fitbitUserId: "testFitbitUserId",
+    };
+    const mockMealRecord = {
+      mealId: "meal1",
+      entries: [
+        { logId: 111, foodId: "foodA", foodName: "rice", foodCreated: true },
+        { logId: 222, foodId: "foodB", foodName: "natto", foodCreated: true },
+      ],
+    };
+
+    beforeEach(() => {
+      mockReq = {
+        method: "DELETE",
+        path: "/meals/last",
+        query: {},
+        headers: { authorization: "Bearer mockIdToken" },
+      };
+      verifyFirebaseIdToken.mockResolvedValue({ uid: mockFirebaseUid });
+      getTokensFromFirestore.mockResolvedValue(mockTokens);
+      getLatestMealRecord.mockResolvedValue(mockMealRecord);
+      getMealRecord.mockResolvedValue(mockMealRecord);
+      findMealRecordsByLogIds.mockResolvedValue([mockMealRecord]);
+      findMealRecordsByFoodIds.mockResolvedValue([mockMealRecord]);
+      deleteFoodEntries.mockImplementation(
+        async (
+          accessToken,
+          fitbitUserId,
+          { logIds = [], foodIds = [], waterLogIds = [] }
+        ) => ({
+          deletedLogIds: logIds,
+          deletedFoodIds: foodIds,
+          deletedWaterLogIds: waterLogIds,
+          failed: [],
+        })
+      );
+      deleteCatalogFoodsByFoodIds.mockResolvedValue();
+    });
+
+    test("should undo the last meal", async () => {
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(getLatestMealRecord).toHaveBeenCalledWith(mockFirebaseUid);
+      expect(deleteFoodEntries).toHaveBeenCalledTimes(1);
+      expect(deleteFoodEntries).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        { logIds: [111, 222], waterLogIds: [] }
+      );
+      expect(updateMealRecordEntries).toHaveBeenCalledWith(
+        mockFirebaseUid,
+        "meal1",
+        [],
+        []
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        message: "Deleted 2 of 2 food log entries from Fitbit.",
+        mealIds: ["meal1"],
+        deletedLogIds: [111, 222],
+        deletedWaterLogIds: [],
+        deletedFoodIds: [],
+        keptFoodIds: [],
+        failed: [],
+      });
+    });
+
+    test("should undo the water logged with the meal", async () => {
+      getLatestMealRecord.mockResolvedValueOnce({
+        ...mockMealRecord,
+        waterLogIds: [555],
+      });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(deleteFoodEntries).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        { logIds: [111, 222], waterLogIds: [555] }
+      );
+      expect(updateMealRecordEntries).toHaveBeenCalledWith(
+        mockFirebaseUid,
+        "meal1",
+        [],
+        []
+      );
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message:
+            "Deleted 2 of 2 food log entries and 1 of 1 water log entries from Fitbit.",
+          deletedWaterLogIds: [555],
+        })
+      );
+    });
+
+    test("should keep the water of a meal when deleting its food log entries", async () => {
+      mockReq.path = "/food-logs";
+      mockReq.query = { log_ids: "111,222" };
+      findMealRecordsByLogIds.mockResolvedValueOnce([
+        { ...mockMealRecord, waterLogIds: [555] },
+      ]);
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(deleteFoodEntries).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        { logIds: [111, 222], waterLogIds: [] }
+      );
+      expect(updateMealRecordEntries).toHaveBeenCalledWith(
+        mockFirebaseUid,
+        "meal1",
+        [],
+        [555]
+      );
+    });
+
+    test("should undo a meal by ID and delete its custom foods", async () => {
+      mockReq.path = "/meals/meal1";
+      mockReq.query = { delete_foods: "true" };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(getMealRecord).toHaveBeenCalledWith(mockFirebaseUid, "meal1");
+      expect(deleteFoodEntries).toHaveBeenLastCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        { foodIds: ["foodA", "foodB"] }
+      );
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ deletedFoodIds: ["foodA", "foodB"] })
+      );
+      expect(deleteCatalogFoodsByFoodIds).toHaveBeenCalledWith(
+        "testFitbitUserId",
+        ["foodA", "foodB"]
+      );
+    });
+
+    test("should not delete foods reused from the food catalog", async () => {
+      mockReq.query = { delete_foods: "true" };
+      getLatestMealRecord.mockResolvedValueOnce({
+        mealId: "meal1",
+        entries: [
+          { logId: 111, foodId: "foodA", foodName: "rice", foodCreated: true },
+          {
+            logId: 222,
+            foodId: "foodB",
+            foodName: "natto",
+            foodCreated: false,
+          },
+        ],
+      });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(deleteFoodEntries).toHaveBeenLastCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        { foodIds: ["foodA"] }
+      );
+    });
+
+    test("should keep foods that another meal reused from the food catalog", async () => {
+      mockReq.query = { delete_foods: "true" };
+      // 昼食で作成した foodA を、夕食がカタログから再利用した
+      findMealRecordsByFoodIds.mockResolvedValueOnce([
+        mockMealRecord,
+        {
+          mealId: "meal2",
+          entries: [
+            {
+              logId: 333,
+              foodId: "foodA",
+              foodName: "rice",
+              foodCreated: false,
+            },
+          ],
+        },
+      ]);
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(findMealRecordsByFoodIds).toHaveBeenCalledWith(mockFirebaseUid, [
+        "foodA",
+        "foodB",
+      ]);
+      expect(deleteFoodEntries).toHaveBeenLastCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        { foodIds: ["foodB"] }
+      );
+      expect(deleteCatalogFoodsByFoodIds).toHaveBeenCalledWith(
+        "testFitbitUserId",
+        ["foodB"]
+      );
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          deletedFoodIds: ["foodB"],
+          keptFoodIds: ["foodA"],
+        })
+      );
+    });
+
+    test("should keep all foods if the meal records using them cannot be found", async () => {
+      mockReq.query = { delete_foods: "true" };
+      findMealRecordsByFoodIds.mockRejectedValueOnce(
+        new Error("Firestore unavailable")
+      );
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(deleteFoodEntries).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          deletedFoodIds: [],
+          keptFoodIds: ["foodA", "foodB"],
+        })
+      );
+    });
+
+    test("should only delete foods whose log entries were deleted", async () => {
+      mockReq.query = { delete_foods: "true" };
+      deleteFoodEntries.mockResolvedValueOnce({
+        deletedLogIds: [111],
+        deletedFoodIds: [],
+        failed: [{ type: "foodLog", id: 222, reason: "Not found" }],
+      });
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(deleteFoodEntries).toHaveBeenLastCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        { foodIds: ["foodA"] }
+      );
+      expect(updateMealRecordEntries).toHaveBeenCalledWith(
+        mockFirebaseUid,
+        "meal1",
+        [mockMealRecord.entries[1]],
+        []
+      );
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: "Deleted 1 of 2 food log entries from Fitbit.",
+          failed: [{ type: "foodLog", id: 222, reason: "Not found" }],
+        })
+      );
+    });
+
+    test("should delete log entries by ID", async () => {
+      mockReq.path = "/food-logs";
+      mockReq.query = { log_ids: "111, abc" };
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(findMealRecordsByLogIds).toHaveBeenCalledWith(mockFirebaseUid, [
+        111,
+        "abc",
+      ]);
+      expect(deleteFoodEntries).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        { logIds: [111, "abc"], waterLogIds: [] }
+      );
+      expect(updateMealRecordEntries).toHaveBeenCalledWith(
+        mockFirebaseUid,
+        "meal1",
+        [mockMealRecord.entries[1]],
+        []
+      );
+    });
+
+    test("should delete a single log entry from the path", async () => {
+      mockReq.path = "/food-logs/222";
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(deleteFoodEntries).toHaveBeenCalledWith(
+        "accessToken",
+        "testFitbitUserId",
+        { logIds: [222], waterLogIds: [] }
+      );
+    });
+
+    test("should return 400 if no log IDs are given", async () => {
+      mockReq.path = "/food-logs";
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(deleteFoodEntries).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 if there is no meal to undo", async () => {
+      getLatestMealRecord.mockResolvedValueOnce(null);
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: "No logged meal found to undo.",
       });
     });
+
+    test("should return 404 for unknown paths", async () => {
+      mockReq.path = "/unknown";
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+
+    test("should return 401 without an Authorization header", async () => {
+      mockReq.headers = {};
+
+      await fitbitWebhookHandler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(deleteFoodEntries).not.toHaveBeenCalled();
+    });
   });
 
   // --- その他のリクエストメソッドのテスト ---
@@ -0,0 +1,122 @@
+/**
+ * Fitbit meal type IDs by the meal_type names accepted in the request body.
+ */
+export const mealTypeMap = {
+    "Breakfast": 1, "Morning Snack": 2, "Lunch": 3, "Afternoon Snack": 4,
+    "Dinner": 5, "Anytime": 7
+};
+
+/**
+ * Returns the meal type name for a Fitbit meal type ID.
+ * @param {number} mealTypeId The Fitbit meal type ID.
+ * @returns {string} The meal type name, or "Anytime" for unknown IDs.
+ */
+export function getMealTypeName(mealTypeId) {
+    const entry = Object.entries(mealTypeMap).find(([, id]) => id === mealTypeId);
+    return entry ? entry[0] : 'Anytime';
+}
+
+/**
+ * Other names accepted for meal_type, including Japanese ones, compared without case.
+ * "Snack" names become the morning or afternoon snack depending on the log time.
+ */
+export const mealTypeAliases = {
+    'breakfast': 'Breakfast', '朝食': 'Breakfast', '朝ごはん': 'Breakfast', '朝ご飯': 'Breakfast', '朝': 'Breakfast',
+    'lunch': 'Lunch', '昼食': 'Lunch', '昼ごはん': 'Lunch', '昼ご飯': 'Lunch', 'ランチ': 'Lunch', '昼': 'Lunch',
+    'dinner': 'Dinner', 'supper': 'Dinner', '夕食': 'Dinner', '晩ごはん': 'Dinner', '晩ご飯': 'Dinner', '夕ごはん': 'Dinner', '夕ご飯': 'Dinner', 'ディナー': 'Dinner', '夜': 'Dinner',
+    'morning snack': 'Morning Snack', 'afternoon snack': 'Afternoon Snack',
+    'snack': 'Snack', '間食': 'Snack', 'おやつ': 'Snack', 'スナック': 'Snack',
+    'anytime': 'Anytime',
+};
+
+/**
+ * Default time windows (HH:mm, end exclusive) used to infer the meal type from the log time.
+ * A window whose end is before its start wraps past midnight. Times outside every window are "Anytime".
+ */
+export const DEFAULT_MEAL_WINDOWS = {
+    'Breakfast': { start: '04:00', end: '10:30' },
+    'Morning Snack': { start: '10:30', end: '11:00' },
+    'Lunch': { start: '11:00', end: '14:30' },
+    'Afternoon Snack': { start: '14:30', end: '17:30' },
+    'Dinner': { start: '17:30', end: '22:00' },
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+// Snacks logged before noon are morning snacks
+const NOON_MINUTES = 12 * 60;
+
+/**
+ * Converts a HH:mm or HH:mm:ss time to minutes after midnight.
+ * @returns {number|null} The minutes, or null if the time is invalid.
+ */
+function toMinutes(time) {
+    const match = TIME_PATTERN.exec(time || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Validates meal windows, e.g. from the user's preferences.
+ * @param {object} mealWindows Windows by meal type name: { Breakfast: { start: "05:00", end: "10:00" } }.
+ * @returns {string|null} The reason the windows are invalid, or null if they are valid.
+ */
+export function getMealWindowsError(mealWindows) {
+    if (!mealWindows || typeof mealWindows !== 'object' || Array.isArray(mealWindows)) {
+        return 'meal_windows must be an object of { start, end } times by meal type.';
+    }
+    for (const [mealType, window] of Object.entries(mealWindows)) {
+        if (!DEFAULT_MEAL_WINDOWS[mealType]) {
+            return `Unknown meal type "${mealType}" in meal_windows: use ${Object.keys(DEFAULT_MEAL_WINDOWS).join(', ')}.`;
+        }
+        if (!window || toMinutes(window.start) === null || toMinutes(window.end) === null) {
+            return `Invalid meal_windows for ${mealType}: start and end must be times in HH:mm format.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Infers the meal type from a log time: the first meal window containing the time.
+ * @param {string} logTime The time in HH:mm format.
+ * @param {object} [mealWindows] The user's windows; meal types without a window use DEFAULT_MEAL_WINDOWS.
+ * @returns {string} The meal type name, or "Anytime" if no window contains the time.
+ */
+export function inferMealType(logTime, mealWindows = {}) {
+    const minutes = toMinutes(logTime);
+    if (minutes === null) {
+        return 'Anytime';
+    }
+    const windows = { ...DEFAULT_MEAL_WINDOWS, ...mealWindows };
+    for (const [mealType, window] of Object.entries(windows)) {
+        const start = toMinutes(window.start);
+        const end = toMinutes(window.end);
+        const inWindow = start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+        if (inWindow) {
+            return mealType;
+        }
+    }
+    return 'Anytime';
+}
+
+/**
+ * Resolves the meal type of a request: a known meal_type (or alias) is used as given,
+ * a snack becomes the morning or afternoon snack, and a missing or unrecognized meal_type is
+ * inferred from the log time (see inferMealType).
+ * @param {string} [mealType] The meal_type from the request.
+ * @param {string} [logTime] The log time in HH:mm format.
+ * @param {object} [mealWindows] The user's meal windows.
+ * @returns {{id: number, name: string, inferred: boolean}} The Fitbit meal type ID, its name and
+ *   whether it was inferred from the log time.
+ */
+export function resolveMealType(mealType, logTime, mealWindows = {}) {
+    const name = mealTypeMap[mealType] ? mealType : mealTypeAliases[String(mealType || '').normalize('NFKC').trim().toLowerCase()];
+    if (name === 'Snack') {
+        const minutes = toMinutes(logTime);
+        const snack = minutes !== null && minutes < NOON_MINUTES ? 'Morning Snack' : 'Afternoon Snack';
+        return { id: mealTypeMap[snack], name: snack, inferred: false };
+    }
+    if (name) {
+        return { id: mealTypeMap[name], name, inferred: false };
+    }
+    const inferred = inferMealType(logTime, mealWindows);
+    return { id: mealTypeMap[inferred], name: inferred, inferred: true };
+}
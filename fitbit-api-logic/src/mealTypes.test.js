@@ -0,0 +1,85 @@
+import { mealTypeMap, getMealTypeName, getMealWindowsError, inferMealType, resolveMealType } from './mealTypes';
+
+describe('mealTypes', () => {
+    test('should map meal type names to Fitbit meal type IDs', () => {
+        expect(mealTypeMap['Breakfast']).toBe(1);
+        expect(mealTypeMap['Dinner']).toBe(5);
+        expect(mealTypeMap['Anytime']).toBe(7);
+    });
+
+    test('should return the meal type name for an ID', () => {
+        expect(getMealTypeName(3)).toBe('Lunch');
+        expect(getMealTypeName(4)).toBe('Afternoon Snack');
+    });
+
+    test('should return "Anytime" for unknown IDs', () => {
+        expect(getMealTypeName(6)).toBe('Anytime');
+        expect(getMealTypeName(undefined)).toBe('Anytime');
+    });
+});
+
+describe('inferMealType', () => {
+    test('should infer the meal type from the default windows', () => {
+        expect(inferMealType('07:30')).toBe('Breakfast');
+        expect(inferMealType('10:45')).toBe('Morning Snack');
+        expect(inferMealType('12:00')).toBe('Lunch');
+        expect(inferMealType('15:00')).toBe('Afternoon Snack');
+        expect(inferMealType('19:00')).toBe('Dinner');
+    });
+
+    test('should treat the end of a window as exclusive', () => {
+        expect(inferMealType('10:29')).toBe('Breakfast');
+        expect(inferMealType('10:30')).toBe('Morning Snack');
+    });
+
+    test('should return "Anytime" outside every window or for invalid times', () => {
+        expect(inferMealType('23:30')).toBe('Anytime');
+        expect(inferMealType('02:00')).toBe('Anytime');
+        expect(inferMealType(undefined)).toBe('Anytime');
+    });
+
+    test('should use the user\'s windows, including windows past midnight', () => {
+        const mealWindows = { Breakfast: { start: '05:00', end: '08:00' }, Dinner: { start: '20:00', end: '01:00' } };
+        expect(inferMealType('08:30', mealWindows)).toBe('Anytime');
+        expect(inferMealType('23:30', mealWindows)).toBe('Dinner');
+        expect(inferMealType('00:30', mealWindows)).toBe('Dinner');
+        expect(inferMealType('12:00', mealWindows)).toBe('Lunch');
+    });
+});
+
+describe('resolveMealType', () => {
+    test('should use a known meal type as given', () => {
+        expect(resolveMealType('Lunch', '08:00')).toEqual({ id: 3, name: 'Lunch', inferred: false });
+    });
+
+    test('should accept English names in any case and Japanese names', () => {
+        expect(resolveMealType('dinner', '12:00')).toEqual({ id: 5, name: 'Dinner', inferred: false });
+        expect(resolveMealType('朝食', '12:00')).toEqual({ id: 1, name: 'Breakfast', inferred: false });
+        expect(resolveMealType('昼食', '19:00').name).toBe('Lunch');
+        expect(resolveMealType('夕食', '08:00').name).toBe('Dinner');
+    });
+
+    test('should resolve snacks to the morning or afternoon snack by the log time', () => {
+        expect(resolveMealType('間食', '10:00')).toEqual({ id: 2, name: 'Morning Snack', inferred: false });
+        expect(resolveMealType('snack', '15:00')).toEqual({ id: 4, name: 'Afternoon Snack', inferred: false });
+    });
+
+    test('should infer a missing or unknown meal type from the log time', () => {
+        expect(resolveMealType(undefined, '12:30')).toEqual({ id: 3, name: 'Lunch', inferred: true });
+        expect(resolveMealType('Brunch', '07:00', { Breakfast: { start: '06:00', end: '09:00' } }))
+            .toEqual({ id: 1, name: 'Breakfast', inferred: true });
+        expect(resolveMealType('', '03:00')).toEqual({ id: 7, name: 'Anytime', inferred: true });
+    });
+});
+
+describe('getMealWindowsError', () => {
+    test('should accept valid windows', () => {
+        expect(getMealWindowsError({ Lunch: { start: '11:30', end: '13:00' } })).toBeNull();
+    });
+
+    test('should report unknown meal types and invalid times', () => {
+        expect(getMealWindowsError({ Brunch: { start: '10:00', end: '11:00' } })).toMatch('Unknown meal type "Brunch"');
+        expect(getMealWindowsError({ Lunch: { start: '25:00', end: '13:00' } })).toMatch('Invalid meal_windows for Lunch');
+        expect(getMealWindowsError('06:00-09:00')).toMatch('meal_windows must be an object');
+    });
+});
@@ -0,0 +1,39 @@
+/**
+ * Messages of the responses and the default description of custom foods, by response
+ * language (the `language` preference).
+ */
+export const messages = {
+    en: {
+        foodDescription: (foodName) => `Logged via Gemini: ${foodName}`,
+        allFoodsLogged: () => 'All foods logged successfully to Fitbit.',
+        someFoodsLogged: (loggedCount, total) => `${loggedCount} of ${total} foods logged to Fitbit.`,
+        foodLogUpdated: () => 'Food log updated successfully.',
+        mealLogsDeleted: (deletedCount, total, deletedWaterCount, waterTotal) => `Deleted ${deletedCount} of ${total} food log entries${waterTotal > 0 ? ` and ${deletedWaterCount} of ${waterTotal} water log entries` : ''} from Fitbit.`,
+        waterLogged: () => 'Water logged successfully to Fitbit.',
+        bodyMetricsLogged: () => 'Body metrics logged successfully to Fitbit.',
+        activityLogged: () => 'Activity logged successfully to Fitbit.',
+        templateDeleted: (name) => `Meal template "${name}" deleted.`,
+    },
+    ja: {
+        foodDescription: (foodName) => `Geminiで記録: ${foodName}`,
+        allFoodsLogged: () => 'すべての食品をFitbitに記録しました。',
+        someFoodsLogged: (loggedCount, total) => `${total}件中${loggedCount}件の食品をFitbitに記録しました。`,
+        foodLogUpdated: () => '食事ログを修正しました。',
+        mealLogsDeleted: (deletedCount, total, deletedWaterCount, waterTotal) => `Fitbitから食事ログ${total}件中${deletedCount}件${waterTotal > 0 ? `と水分ログ${waterTotal}件中${deletedWaterCount}件` : ''}を削除しました。`,
+        waterLogged: () => '水分をFitbitに記録しました。',
+        bodyMetricsLogged: () => '体重・体脂肪率をFitbitに記録しました。',
+        activityLogged: () => '運動をFitbitに記録しました。',
+        templateDeleted: (name) => `食事テンプレート「${name}」を削除しました。`,
+    },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Returns the messages of a response language.
+ * @param {string} [language] One of the languages of `messages`; others fall back to DEFAULT_LANGUAGE.
+ * @returns {object} The message functions.
+ */
+export function getMessages(language) {
+    return messages[language] || messages[DEFAULT_LANGUAGE];
+}
@@ -0,0 +1,22 @@
+import { messages, getMessages } from './messages';
+
+describe('getMessages', () => {
+    test('should return the messages of a language', () => {
+        expect(getMessages('ja').foodDescription('りんご')).toBe('Geminiで記録: りんご');
+        expect(getMessages('ja').someFoodsLogged(1, 3)).toBe('3件中1件の食品をFitbitに記録しました。');
+        expect(getMessages('ja').mealLogsDeleted(2, 2, 1, 1)).toBe('Fitbitから食事ログ2件中2件と水分ログ1件中1件を削除しました。');
+        expect(getMessages('en').mealLogsDeleted(1, 2, 0, 0)).toBe('Deleted 1 of 2 food log entries from Fitbit.');
+    });
+
+    test('should fall back to English for a missing or unknown language', () => {
+        expect(getMessages(undefined)).toBe(messages.en);
+        expect(getMessages('fr')).toBe(messages.en);
+        expect(getMessages().foodDescription('Apple')).toBe('Logged via Gemini: Apple');
+    });
+
+    test('should define the same messages for every language', () => {
+        for (const language of Object.keys(messages)) {
+            expect(Object.keys(messages[language]).sort()).toEqual(Object.keys(messages.en).sort());
+        }
+    });
+});
@@ -0,0 +1,177 @@
+import { ValidationError } from './errors.js';
+import { nutritionMap } from './nutrition.js';
+
+/**
+ * Nutrients accepted on a food item, keyed by their field on the food item (calories and the
+ * fields of nutritionMap).
+ * - unit: the unit Fitbit expects (and the suffix of the nutritionMap key)
+ * - labelUnit: the unit assumed for names without a unit suffix, as used on nutrition labels
+ * - names: accepted names besides the nutritionMap key, compared without case, "_", "-" and spaces
+ * - iuGrams: grams per IU, for vitamins that are also given in IU
+ */
+export const nutrientSchema = {
+    calories: { unit: 'kcal', names: ['energy', 'kcal', 'エネルギー', 'カロリー'] },
+    caloriesFromFat: { unit: 'kcal', names: ['caloriesFromFat', '脂質からのエネルギー'] },
+    totalFat_g: { unit: 'g', names: ['fat', 'totalFat', '脂質', '脂肪'] },
+    transFat_g: { unit: 'g', names: ['transFat', 'トランス脂肪酸'] },
+    saturatedFat_g: { unit: 'g', names: ['saturatedFat', 'satFat', '飽和脂肪酸'] },
+    cholesterol_mg: { unit: 'mg', names: ['cholesterol', 'コレステロール'] },
+    sodium_mg: { unit: 'mg', names: ['sodium', 'ナトリウム'] },
+    potassium_mg: { unit: 'mg', names: ['potassium', 'カリウム'] },
+    totalCarbohydrate_g: { unit: 'g', names: ['carbs', 'carbohydrate', 'carbohydrates', 'totalCarbohydrate', '炭水化物'] },
+    dietaryFiber_g: { unit: 'g', names: ['fiber', 'fibre', 'dietaryFiber', '食物繊維'] },
+    sugars_g: { unit: 'g', names: ['sugar', 'sugars', '糖類'] },
+    protein_g: { unit: 'g', names: ['protein', 'たんぱく質', 'タンパク質', '蛋白質'] },
+    vitaminA_iu: { unit: 'iu', labelUnit: 'mcg', iuGrams: 0.3e-6, names: ['vitaminA', 'ビタミンA'] },
+    vitaminB6: { unit: 'mg', names: ['vitaminB6', 'ビタミンB6'] },
+    vitaminB12: { unit: 'mcg', names: ['vitaminB12', 'ビタミンB12'] },
+    vitaminC_mg: { unit: 'mg', names: ['vitaminC', 'ビタミンC'] },
+    vitaminD_iu: { unit: 'iu', labelUnit: 'mcg', iuGrams: 0.025e-6, names: ['vitaminD', 'ビタミンD'] },
+    vitaminE_iu: { unit: 'iu', labelUnit: 'mg', iuGrams: 0.67e-3, names: ['vitaminE', 'ビタミンE'] },
+    biotin_mg: { unit: 'mg', labelUnit: 'mcg', names: ['biotin', 'ビオチン'] },
+    folicAcid_mg: { unit: 'mg', labelUnit: 'mcg', names: ['folicAcid', 'folate', '葉酸'] },
+    niacin_mg: { unit: 'mg', names: ['niacin', 'ナイアシン'] },
+    pantothenicAcid_mg: { unit: 'mg', names: ['pantothenicAcid', 'パントテン酸'] },
+    riboflavin_mg: { unit: 'mg', names: ['riboflavin', 'vitaminB2', 'ビタミンB2'] },
+    thiamin_mg: { unit: 'mg', names: ['thiamin', 'thiamine', 'vitaminB1', 'ビタミンB1'] },
+    calcium_g: { unit: 'g', labelUnit: 'mg', names: ['calcium', 'カルシウム'] },
+    copper_g: { unit: 'g', labelUnit: 'mg', names: ['copper', '銅'] },
+    iron_mg: { unit: 'mg', names: ['iron', '鉄'] },
+    magnesium_mg: { unit: 'mg', names: ['magnesium', 'マグネシウム'] },
+    phosphorus_g: { unit: 'g', labelUnit: 'mg', names: ['phosphorus', 'リン'] },
+    iodine_mcg: { unit: 'mcg', names: ['iodine', 'ヨウ素'] },
+    zinc_mg: { unit: 'mg', names: ['zinc', '亜鉛'] },
+};
+
+// Fields of a food item that are not nutrients
+const FOOD_FIELDS = ['foodName', 'amount', 'unit', 'calories', 'formType', 'description', 'per', 'density_g_per_ml', 'servings', 'ingredients'];
+
+// Grams per mass unit of a unit suffix
+const massUnitGrams = { 'g': 1, 'mg': 1e-3, 'mcg': 1e-6 };
+
+// Salt equivalent (食塩相当量) in grams per milligram of sodium
+const SALT_GRAMS_PER_SODIUM_MG = 2.54 / 1000;
+const SALT_NAMES = ['salt', '食塩相当量', '食塩'];
+
+// Unit suffixes: "_mg" or "(mg)" in any case, or a camelCase "Mg"
+const UNIT_SUFFIX_PATTERN = /^(.+?)(?:[_\s]+|\s*\()(g|mg|mcg|µg|μg|ug|iu)\)?$/i;
+const CAMEL_CASE_UNIT_SUFFIX_PATTERN = /^(.+?[A-Za-z0-9])(G|Mg|Mcg|Ug|Iu|IU)$/;
+
+const normalizeNutrientName = (name) => String(name).normalize('NFKC').toLowerCase().replace(/[\s_-]/g, '');
+
+// Nutrients by normalized name
+const nutrientsByName = new Map();
+for (const [key, nutrient] of Object.entries(nutrientSchema)) {
+    for (const name of nutrient.names) {
+        nutrientsByName.set(normalizeNutrientName(name), key);
+    }
+}
+
+/**
+ * Splits a nutrient name into its name and unit suffix, e.g. "calcium_mg" into "calcium" and "mg".
+ */
+function splitUnitSuffix(name) {
+    const normalized = String(name).normalize('NFKC');
+    const match = normalized.match(UNIT_SUFFIX_PATTERN) || normalized.match(CAMEL_CASE_UNIT_SUFFIX_PATTERN);
+    if (!match) {
+        return { name, unit: null };
+    }
+    return { name: match[1], unit: match[2].toLowerCase().replace(/^(µ|μ|u)g$/, 'mcg') };
+}
+
+/**
+ * Converts a nutrient value between mass units and IU.
+ * @returns {number|null} The converted value, or null if the units cannot be converted.
+ */
+function convertNutrientValue(value, fromUnit, toUnit, iuGrams) {
+    if (fromUnit === toUnit) {
+        return value;
+    }
+    const toGrams = (unit) => (unit === 'iu' ? iuGrams : massUnitGrams[unit]);
+    if (!toGrams(fromUnit) || !toGrams(toUnit)) {
+        return null;
+    }
+    return Number((value * toGrams(fromUnit) / toGrams(toUnit)).toPrecision(6));
+}
+
+/**
+ * Resolves a field of a food item to a nutrient and converts its value to the unit Fitbit
+ * expects. Salt equivalent (食塩相当量, "salt") is converted to sodium.
+ * @param {string} field The field name from the request, e.g. "proteinG" or "カルシウム(mg)".
+ * @param {*} value The value in the unit of the field.
+ * @param {string} [path] The path of the food item in the request, e.g. "foods[0]".
+ * @returns {{key: string, value: number}|null} The nutrient key and converted value, or
+ *   null if the field is not a known nutrient.
+ * @throws {ValidationError} If the value is not a non-negative number or cannot be converted
+ *   to the unit Fitbit expects.
+ */
+export function resolveNutrient(field, value, path = '') {
+    const { name, unit } = splitUnitSuffix(field);
+    const normalized = normalizeNutrientName(name);
+    const isSalt = SALT_NAMES.includes(normalized) && (unit === null || unit === 'g' || unit === 'mg');
+    const key = isSalt ? 'sodium_mg' : nutrientsByName.get(normalized);
+    if (!key) {
+        return null;
+    }
+    const fieldPath = path ? `${path}.${field}` : field;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new ValidationError(`Invalid nutrient "${field}": must be a number.`, 400, [
+            { path: fieldPath, code: 'invalid_type', message: `${fieldPath} must be a number.` },
+        ]);
+    }
+    if (value < 0) {
+        throw new ValidationError(`Invalid nutrient "${field}": must be at least 0.`, 400, [
+            { path: fieldPath, code: 'too_small', message: `${fieldPath} must be at least 0.` },
+        ]);
+    }
+
+    if (isSalt) {
+        const saltGrams = unit === 'mg' ? value / 1000 : value;
+        return { key, value: Math.round(saltGrams / SALT_GRAMS_PER_SODIUM_MG) };
+    }
+    const nutrient = nutrientSchema[key];
+    const fromUnit = unit || nutrient.labelUnit || nutrient.unit;
+    const converted = convertNutrientValue(value, fromUnit, nutrient.unit, nutrient.iuGrams);
+    if (converted === null) {
+        throw new ValidationError(`Cannot convert nutrient "${field}" from ${unit} to ${nutrient.unit}.`);
+    }
+    return { key, value: converted };
+}
+
+/**
+ * Normalizes the nutrients of a food item: calories and the fields of nutritionMap are kept as
+ * they are, other fields are resolved through resolveNutrient. Unknown fields are dropped and reported.
+ * @param {object} food The food item from the request.
+ * @param {string} [path] The path of the food item in the request, e.g. "foods[0]".
+ * @returns {{food: object, warnings: Array<string>}} The food item with known nutrient keys only,
+ *   and a warning per unknown or duplicate field.
+ * @throws {ValidationError} If a nutrient value is not a non-negative number or has an unconvertible unit.
+ */
+export function normalizeNutrients(food, path = '') {
+    const normalizedFood = {};
+    const warnings = [];
+    const aliasedFields = [];
+
+    for (const [field, value] of Object.entries(food)) {
+        if (FOOD_FIELDS.includes(field) || nutritionMap[field]) {
+            normalizedFood[field] = value;
+        } else {
+            aliasedFields.push([field, value]);
+        }
+    }
+
+    for (const [field, value] of aliasedFields) {
+        if (value === undefined || value === null) {
+            continue;
+        }
+        const nutrient = resolveNutrient(field, value, path);
+        if (!nutrient) {
+            warnings.push(`Unknown nutrient "${field}" of "${food.foodName}" was ignored.`);
+        } else if (normalizedFood[nutrient.key] !== undefined) {
+            warnings.push(`Nutrient "${field}" of "${food.foodName}" duplicates ${nutrient.key} and was ignored.`);
+        } else {
+            normalizedFood[nutrient.key] = nutrient.value;
+        }
+    }
+    return { food: normalizedFood, warnings };
+}
@@ -0,0 +1,79 @@
+import { resolveNutrient, normalizeNutrients } from './nutrients';
+import { ValidationError } from './errors';
+
+describe('resolveNutrient', () => {
+    test('should accept camelCase, snake_case and Japanese names', () => {
+        expect(resolveNutrient('protein', 12)).toEqual({ key: 'protein_g', value: 12 });
+        expect(resolveNutrient('proteinG', 12)).toEqual({ key: 'protein_g', value: 12 });
+        expect(resolveNutrient('total_carbohydrate', 30)).toEqual({ key: 'totalCarbohydrate_g', value: 30 });
+        expect(resolveNutrient('たんぱく質', 12)).toEqual({ key: 'protein_g', value: 12 });
+        expect(resolveNutrient('エネルギー', 250)).toEqual({ key: 'calories', value: 250 });
+    });
+
+    test('should convert unit suffixes to the unit Fitbit expects', () => {
+        expect(resolveNutrient('calcium_mg', 200)).toEqual({ key: 'calcium_g', value: 0.2 });
+        expect(resolveNutrient('sodiumG', 1.2)).toEqual({ key: 'sodium_mg', value: 1200 });
+        expect(resolveNutrient('iodine_µg', 50)).toEqual({ key: 'iodine_mcg', value: 50 });
+        expect(resolveNutrient('カルシウム(mg)', 110)).toEqual({ key: 'calcium_g', value: 0.11 });
+        expect(resolveNutrient('folicAcidMcg', 240)).toEqual({ key: 'folicAcid_mg', value: 0.24 });
+    });
+
+    test('should assume the usual label unit for names without a suffix', () => {
+        expect(resolveNutrient('calcium', 200)).toEqual({ key: 'calcium_g', value: 0.2 });
+        expect(resolveNutrient('vitaminD', 5)).toEqual({ key: 'vitaminD_iu', value: 200 });
+    });
+
+    test('should convert between IU and mass units for vitamins A, D and E', () => {
+        expect(resolveNutrient('vitamin_a_mcg', 300)).toEqual({ key: 'vitaminA_iu', value: 1000 });
+        expect(resolveNutrient('vitaminD_IU', 400)).toEqual({ key: 'vitaminD_iu', value: 400 });
+        expect(resolveNutrient('vitaminE_mg', 6.7)).toEqual({ key: 'vitaminE_iu', value: 10 });
+    });
+
+    test('should convert salt equivalent to sodium', () => {
+        expect(resolveNutrient('食塩相当量', 2.54)).toEqual({ key: 'sodium_mg', value: 1000 });
+        expect(resolveNutrient('salt_mg', 254)).toEqual({ key: 'sodium_mg', value: 100 });
+    });
+
+    test('should return null for unknown nutrients', () => {
+        expect(resolveNutrient('caffeine_mg', 80)).toBeNull();
+    });
+
+    test('should throw ValidationError for values and units that cannot be converted', () => {
+        expect(() => resolveNutrient('protein', '12')).toThrow('Invalid nutrient "protein": must be a number.');
+        expect(() => resolveNutrient('protein_iu', 12)).toThrow('Cannot convert nutrient "protein_iu" from iu to g.');
+        expect(() => resolveNutrient('protein_iu', 12)).toThrow(ValidationError);
+    });
+
+    test('should reject negative values with their path', () => {
+        for (const [field, value] of [['protein', -5], ['salt', -5], ['カルシウム(mg)', -1]]) {
+            expect(() => resolveNutrient(field, value, 'foods[1]')).toThrow(expect.objectContaining({
+                details: [{ path: `foods[1].${field}`, code: 'too_small', message: `foods[1].${field} must be at least 0.` }],
+            }));
+        }
+        expect(() => resolveNutrient('protein', NaN)).toThrow(expect.objectContaining({
+            details: [expect.objectContaining({ path: 'protein', code: 'invalid_type' })],
+        }));
+        expect(resolveNutrient('protein', 0)).toEqual({ key: 'protein_g', value: 0 });
+    });
+});
+
+describe('normalizeNutrients', () => {
+    test('should keep nutritionMap fields and convert aliases', () => {
+        const food = { foodName: 'Rice', amount: 150, unit: 'g', calories: 234, calcium_g: 0.01, 'たんぱく質': 3.8, fiber_mg: 450 };
+
+        expect(normalizeNutrients(food)).toEqual({
+            food: { foodName: 'Rice', amount: 150, unit: 'g', calories: 234, calcium_g: 0.01, protein_g: 3.8, dietaryFiber_g: 0.45 },
+            warnings: [],
+        });
+    });
+
+    test('should report unknown and duplicate nutrients', () => {
+        const { food, warnings } = normalizeNutrients({ foodName: 'Coffee', amount: 1, unit: 'cup', protein_g: 0.3, protein: 0.5, caffeine_mg: 80 });
+
+        expect(food).toEqual({ foodName: 'Coffee', amount: 1, unit: 'cup', protein_g: 0.3 });
+        expect(warnings).toEqual([
+            'Nutrient "protein" of "Coffee" duplicates protein_g and was ignored.',
+            'Unknown nutrient "caffeine_mg" of "Coffee" was ignored.',
+        ]);
+    });
+});
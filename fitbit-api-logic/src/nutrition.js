@@ -0,0 +1,174 @@
+import { getMealTypeName } from './mealTypes.js';
+
+/**
+ * Nutrient fields accepted on a food item in the request body, mapped to the
+ * parameter names of Fitbit's Create Food API (and the keys of its nutritionalValues).
+ * The key suffixes are the units Fitbit expects; other names and units are converted to
+ * these keys by normalizeNutrients (see nutrients.js).
+ */
+export const nutritionMap = {
+    caloriesFromFat: 'caloriesFromFat',
+    totalFat_g: 'totalFat',
+    transFat_g: 'transFat',
+    saturatedFat_g: 'saturatedFat',
+    cholesterol_mg: 'cholesterol',
+    sodium_mg: 'sodium',
+    potassium_mg: 'potassium',
+    totalCarbohydrate_g: 'totalCarbohydrate',
+    dietaryFiber_g: 'dietaryFiber',
+    sugars_g: 'sugars',
+    protein_g: 'protein',
+    vitaminA_iu: 'vitaminA',
+    vitaminB6: 'vitaminB6',
+    vitaminB12: 'vitaminB12',
+    vitaminC_mg: 'vitaminC',
+    vitaminD_iu: 'vitaminD',
+    vitaminE_iu: 'vitaminE',
+    biotin_mg: 'biotin',
+    folicAcid_mg: 'folicAcid',
+    niacin_mg: 'niacin',
+    pantothenicAcid_mg: 'pantothenicAcid',
+    riboflavin_mg: 'riboflavin',
+    thiamin_mg: 'thiamin',
+    calcium_g: 'calcium',
+    copper_g: 'copper',
+    iron_mg: 'iron',
+    magnesium_mg: 'magnesium',
+    phosphorus_g: 'phosphorus',
+    iodine_mcg: 'iodine',
+    zinc_mg: 'zinc'
+};
+
+// Values Fitbit calculates for every food log entry (loggedFood.nutritionalValues)
+const loggedNutritionMap = {
+    calories: 'calories',
+    carbs: 'totalCarbohydrate_g',
+    fat: 'totalFat_g',
+    fiber: 'dietaryFiber_g',
+    protein: 'protein_g',
+    sodium: 'sodium_mg',
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Adds every nutrient of `values` to `totals`.
+ */
+function addNutrients(totals, values) {
+    for (const [key, value] of Object.entries(values)) {
+        totals[key] = round((totals[key] || 0) + value);
+    }
+    return totals;
+}
+
+/**
+ * Returns how many times the nutrition of a food's default serving is contained
+ * in the logged amount, or null if the logged unit is not one of the food's servings.
+ * @param {object} loggedFood The loggedFood of a food log entry.
+ * @param {object} food The food from Fitbit's Get Food API.
+ * @returns {number|null} The scale factor.
+ */
+function getServingFactor(loggedFood, food) {
+    const unitId = loggedFood.unit ? loggedFood.unit.id : loggedFood.unitId;
+    if (food.defaultUnit && food.defaultUnit.id === unitId && food.defaultServingSize > 0) {
+        return loggedFood.amount / food.defaultServingSize;
+    }
+    const serving = (food.servings || []).find((candidate) => candidate.unitId === unitId);
+    if (serving && serving.servingSize > 0) {
+        return (loggedFood.amount / serving.servingSize) * serving.multiplier;
+    }
+    return null;
+}
+
+/**
+ * Calculates the nutrients of a single food log entry.
+ * Calories and the main macros come from the values Fitbit calculated for the entry.
+ * The remaining nutrients are derived from the food's details, scaled to the logged amount.
+ * @param {object} logEntry An entry of the "foods" array of Fitbit's Get Food Logs API.
+ * @param {object} [food] The food from Fitbit's Get Food API, if available.
+ * @returns {{nutrients: object, complete: boolean}} The nutrients keyed like nutritionMap,
+ *   and whether the nutrients beyond the main macros could be determined.
+ */
+function getEntryNutrients(logEntry, food) {
+    const nutrients = {};
+    const factor = food && food.nutritionalValues ? getServingFactor(logEntry.loggedFood, food) : null;
+    if (factor !== null) {
+        for (const [foodKey, apiParam] of Object.entries(nutritionMap)) {
+            const value = food.nutritionalValues[apiParam];
+            if (typeof value === 'number') {
+                nutrients[foodKey] = round(value * factor);
+            }
+        }
+    }
+    for (const [logKey, foodKey] of Object.entries(loggedNutritionMap)) {
+        const value = logEntry.nutritionalValues ? logEntry.nutritionalValues[logKey] : undefined;
+        if (typeof value === 'number') {
+            nutrients[foodKey] = round(value);
+        }
+    }
+    return { nutrients, complete: factor !== null };
+}
+
+/**
+ * Builds per-meal and daily nutrition totals from a day's food log.
+ * @param {string} date The date of the food log.
+ * @param {object} dailyLog The response of Fitbit's Get Food Logs API.
+ * @param {Map<string|number, object>} foods Foods from Fitbit's Get Food API by food ID.
+ * @returns {object} The summary with daily totals and the entries grouped by meal.
+ */
+export function summarizeFoodLog(date, dailyLog, foods) {
+    const meals = new Map();
+    const totals = {};
+    let complete = true;
+
+    for (const logEntry of dailyLog.foods || []) {
+        const loggedFood = logEntry.loggedFood || {};
+        const { nutrients, complete: entryComplete } = getEntryNutrients(logEntry, foods.get(loggedFood.foodId));
+        complete = complete && entryComplete;
+
+        const mealTypeId = loggedFood.mealTypeId || 7;
+        if (!meals.has(mealTypeId)) {
+            meals.set(mealTypeId, { mealTypeId, mealType: getMealTypeName(mealTypeId), totals: {}, entries: [] });
+        }
+        const meal = meals.get(mealTypeId);
+        meal.entries.push({
+            logId: logEntry.logId,
+            foodId: loggedFood.foodId,
+            foodName: loggedFood.name,
+            amount: loggedFood.amount,
+            unit: loggedFood.unit ? loggedFood.unit.name : undefined,
+            nutrients: nutrients,
+            complete: entryComplete,
+        });
+        addNutrients(meal.totals, nutrients);
+        addNutrients(totals, nutrients);
+    }
+
+    return {
+        date: date,
+        totals: totals,
+        meals: [...meals.values()].sort((a, b) => a.mealTypeId - b.mealTypeId),
+        complete: complete,
+    };
+}
+
+/**
+ * Compares a day's consumption with the user's food goals.
+ * Only the nutrients that have a goal get a remaining budget; a negative value means the goal was exceeded.
+ * @param {string} date The date of the food log.
+ * @param {object} dailySummary The "summary" of Fitbit's Get Food Logs API.
+ * @param {object} goals The "goals" of Fitbit's Get Food Goals API.
+ * @returns {object} The goals, consumed and remaining values keyed like nutritionMap.
+ */
+export function calculateNutritionBudget(date, dailySummary, goals) {
+    const budget = { date: date, goals: {}, consumed: {}, remaining: {} };
+    for (const [logKey, foodKey] of Object.entries(loggedNutritionMap)) {
+        const consumed = typeof dailySummary[logKey] === 'number' ? round(dailySummary[logKey]) : 0;
+        budget.consumed[foodKey] = consumed;
+        if (typeof goals[logKey] === 'number' && goals[logKey] > 0) {
+            budget.goals[foodKey] = goals[logKey];
+            budget.remaining[foodKey] = round(goals[logKey] - consumed);
+        }
+    }
+    return budget;
+}
@@ -0,0 +1,108 @@
+import { nutritionMap, summarizeFoodLog, calculateNutritionBudget } from './nutrition';
+
+describe('nutritionMap', () => {
+    test('should map request fields to Fitbit nutrient parameters', () => {
+        expect(nutritionMap.protein_g).toBe('protein');
+        expect(nutritionMap.calcium_g).toBe('calcium');
+        expect(nutritionMap.iodine_mcg).toBe('iodine');
+    });
+});
+
+describe('summarizeFoodLog', () => {
+    const riceLog = {
+        logId: 1,
+        loggedFood: { foodId: 101, name: 'Rice', amount: 300, mealTypeId: 1, unit: { id: 147, name: 'gram' } },
+        nutritionalValues: { calories: 468, carbs: 111, fat: 0.9, fiber: 0.9, protein: 7.5, sodium: 3 },
+    };
+    const natto = {
+        logId: 2,
+        loggedFood: { foodId: 102, name: 'Natto', amount: 2, mealTypeId: 1, unit: { id: 86, name: 'serving' } },
+        nutritionalValues: { calories: 180, carbs: 10, fat: 10, fiber: 5, protein: 16, sodium: 4 },
+    };
+    const salad = {
+        logId: 3,
+        loggedFood: { foodId: 103, name: 'Salad', amount: 1, mealTypeId: 5, unit: { id: 86, name: 'serving' } },
+        nutritionalValues: { calories: 20, carbs: 4, fat: 0, fiber: 2, protein: 1, sodium: 10 },
+    };
+
+    test('should total the logged nutrients per meal and per day', () => {
+        const summary = summarizeFoodLog('2023-01-01', { foods: [riceLog, natto, salad] }, new Map());
+
+        expect(summary.date).toBe('2023-01-01');
+        expect(summary.totals).toEqual({
+            calories: 668,
+            totalCarbohydrate_g: 125,
+            totalFat_g: 10.9,
+            dietaryFiber_g: 7.9,
+            protein_g: 24.5,
+            sodium_mg: 17,
+        });
+        expect(summary.meals.map((meal) => [meal.mealType, meal.entries.length])).toEqual([
+            ['Breakfast', 2],
+            ['Dinner', 1],
+        ]);
+        expect(summary.meals[1].totals.calories).toBe(20);
+        expect(summary.meals[0].entries[0]).toEqual(expect.objectContaining({
+            logId: 1, foodId: 101, foodName: 'Rice', amount: 300, unit: 'gram', complete: false,
+        }));
+        expect(summary.complete).toBe(false);
+    });
+
+    test('should scale the other nutrients from the food details by the default serving', () => {
+        const foods = new Map([[101, {
+            defaultServingSize: 150,
+            defaultUnit: { id: 147 },
+            nutritionalValues: { calcium: 0.005, iron: 0.2, protein: 3.75 },
+        }]]);
+
+        const summary = summarizeFoodLog('2023-01-01', { foods: [riceLog] }, foods);
+
+        const { nutrients, complete } = summary.meals[0].entries[0];
+        expect(complete).toBe(true);
+        expect(nutrients.calcium_g).toBe(0.01);
+        expect(nutrients.iron_mg).toBe(0.4);
+        // Fitbitがログに計算した値を優先する
+        expect(nutrients.protein_g).toBe(7.5);
+        expect(summary.complete).toBe(true);
+    });
+
+    test('should scale by a matching serving if the logged unit is not the default unit', () => {
+        const foods = new Map([[102, {
+            defaultServingSize: 50,
+            defaultUnit: { id: 147 },
+            servings: [{ unitId: 86, servingSize: 1, multiplier: 1 }],
+            nutritionalValues: { potassium: 330 },
+        }]]);
+
+        const summary = summarizeFoodLog('2023-01-01', { foods: [natto] }, foods);
+
+        expect(summary.meals[0].entries[0].nutrients.potassium_mg).toBe(660);
+    });
+
+    test('should return empty totals for a day without logs', () => {
+        expect(summarizeFoodLog('today', {}, new Map())).toEqual({
+            date: 'today', totals: {}, meals: [], complete: true,
+        });
+    });
+});
+
+describe('calculateNutritionBudget', () => {
+    test('should calculate the remaining budget for each nutrient with a goal', () => {
+        const budget = calculateNutritionBudget('2023-01-01', { calories: 1500.4, carbs: 200, fat: 50, fiber: 10, protein: 80, sodium: 1200, water: 500 }, { calories: 2000, protein: 60 });
+
+        expect(budget).toEqual({
+            date: '2023-01-01',
+            goals: { calories: 2000, protein_g: 60 },
+            consumed: { calories: 1500.4, totalCarbohydrate_g: 200, totalFat_g: 50, dietaryFiber_g: 10, protein_g: 80, sodium_mg: 1200 },
+            remaining: { calories: 499.6, protein_g: -20 },
+        });
+    });
+
+    test('should treat missing consumption as zero and ignore unset goals', () => {
+        const budget = calculateNutritionBudget('today', {}, { calories: 0 });
+
+        expect(budget.consumed.calories).toBe(0);
+        expect(budget.goals).toEqual({});
+        expect(budget.remaining).toEqual({});
+    });
+});
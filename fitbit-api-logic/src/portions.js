@@ -0,0 +1,101 @@
+import { ValidationError } from './errors.js';
+import { nutritionMap } from './nutrition.js';
+import { getUnitName } from './units.js';
+
+/**
+ * Grams per mass unit, keyed by unit name (see getUnitName).
+ */
+export const massUnitGrams = {
+    'gram': 1, 'kilogram': 1000, 'milligram': 0.001, 'oz': 28.349523125, 'lb': 453.59237,
+};
+
+/**
+ * Milliliters per volume unit, keyed by unit name (see getUnitName).
+ */
+export const volumeUnitMilliliters = {
+    'milliliter': 1, 'liter': 1000, 'cup': 236.59, 'tablespoon': 14.79, 'teaspoon': 4.93, 'fl oz': 29.57,
+};
+
+// Units missing from Fitbit's units list; amounts in these units are logged in grams or milliliters
+const baseUnits = { 'kilogram': 'g', 'milligram': 'g', 'lb': 'g', 'liter': 'ml' };
+
+// Density assumed for liquids when converting between mass and volume (g/ml)
+const LIQUID_DENSITY = 1;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Returns the density of a food in g/ml: `density_g_per_ml` if given, 1 for liquids,
+ * otherwise null because mass and volume cannot be converted.
+ */
+export function getDensity(food) {
+    if (typeof food.density_g_per_ml === 'number' && food.density_g_per_ml > 0) {
+        return food.density_g_per_ml;
+    }
+    return food.formType === 'LIQUID' ? LIQUID_DENSITY : null;
+}
+
+/**
+ * Converts an amount between two units. Mass and volume units are converted through the
+ * density; other units (e.g. "slice") only convert to themselves.
+ * @param {number} amount The amount in `fromUnit`.
+ * @param {string} fromUnit The unit of the amount.
+ * @param {string} toUnit The unit to convert to.
+ * @param {number|null} [density] The density in g/ml.
+ * @returns {number|null} The amount in `toUnit`, or null if the units cannot be converted.
+ */
+export function convertAmount(amount, fromUnit, toUnit, density = null) {
+    const from = getUnitName(fromUnit);
+    const to = getUnitName(toUnit);
+    if (from === to) {
+        return amount;
+    }
+    const toGrams = (name) => massUnitGrams[name] || (density && volumeUnitMilliliters[name] ? volumeUnitMilliliters[name] * density : null);
+    if (volumeUnitMilliliters[from] && volumeUnitMilliliters[to]) {
+        return amount * volumeUnitMilliliters[from] / volumeUnitMilliliters[to];
+    }
+    const fromGrams = toGrams(from);
+    const toUnitGrams = toGrams(to);
+    return fromGrams && toUnitGrams ? amount * fromGrams / toUnitGrams : null;
+}
+
+/**
+ * Applies the portion of a food item: scales calories and every nutrient of nutritionMap
+ * from the reference portion `per` (e.g. { amount: 100, unit: "g" }) to the eaten amount,
+ * and converts amounts in units Fitbit does not know (kg, mg, lb, l) to grams or milliliters.
+ * @param {object} food The food item from the request.
+ * @returns {object} The food item as it is logged, without `per`.
+ * @throws {ValidationError} If the portion is invalid or its unit cannot be converted.
+ */
+export function applyPortion(food) {
+    const { per, ...portion } = food;
+    if (per === undefined && !baseUnits[getUnitName(food.unit)]) {
+        return portion;
+    }
+    if (typeof food.amount !== 'number' || !(food.amount > 0)) {
+        throw new ValidationError(`Invalid amount for "${food.foodName}": must be a positive number.`);
+    }
+
+    if (per !== undefined) {
+        if (!per || typeof per.amount !== 'number' || !(per.amount > 0) || !per.unit) {
+            throw new ValidationError(`Invalid per for "${food.foodName}": use { amount, unit } with a positive amount.`);
+        }
+        const eatenAmount = convertAmount(food.amount, food.unit, per.unit, getDensity(food));
+        if (eatenAmount === null) {
+            throw new ValidationError(`Cannot convert "${food.unit}" to "${per.unit}" for "${food.foodName}": give the amount in the unit of per, or density_g_per_ml.`);
+        }
+        const factor = eatenAmount / per.amount;
+        for (const key of ['calories', ...Object.keys(nutritionMap)]) {
+            if (typeof food[key] === 'number') {
+                portion[key] = round(food[key] * factor);
+            }
+        }
+    }
+
+    const baseUnit = baseUnits[getUnitName(food.unit)];
+    if (baseUnit) {
+        portion.amount = round(convertAmount(food.amount, food.unit, baseUnit));
+        portion.unit = baseUnit;
+    }
+    return portion;
+}
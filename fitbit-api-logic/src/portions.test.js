@@ -0,0 +1,56 @@
+import { convertAmount, applyPortion } from './portions';
+import { ValidationError } from './errors';
+
+describe('convertAmount', () => {
+    test('should convert between mass units and between volume units', () => {
+        expect(convertAmount(0.18, 'kg', 'g')).toBeCloseTo(180);
+        expect(convertAmount(1, 'lb', 'grams')).toBeCloseTo(453.59);
+        expect(convertAmount(2, 'tbsp', 'ml')).toBeCloseTo(29.58);
+        expect(convertAmount(3, 'slices', 'slice')).toBe(3);
+    });
+
+    test('should convert between mass and volume only with a density', () => {
+        expect(convertAmount(1, 'cup', 'g')).toBeNull();
+        expect(convertAmount(1, 'cup', 'g', 1.03)).toBeCloseTo(243.69);
+        expect(convertAmount(100, 'g', 'ml', 0.5)).toBeCloseTo(200);
+    });
+
+    test('should return null for units that cannot be converted', () => {
+        expect(convertAmount(1, 'slice', 'g', 1)).toBeNull();
+        expect(convertAmount(1, 'serving', 'piece')).toBeNull();
+    });
+});
+
+describe('applyPortion', () => {
+    const rice = { foodName: 'Rice', amount: 180, unit: 'g', calories: 156, protein_g: 2.5, sodium_mg: 1, per: { amount: 100, unit: 'g' } };
+
+    test('should scale calories and nutrients to the eaten amount', () => {
+        expect(applyPortion(rice)).toEqual({ foodName: 'Rice', amount: 180, unit: 'g', calories: 280.8, protein_g: 4.5, sodium_mg: 1.8 });
+    });
+
+    test('should convert the eaten amount to the unit of the reference portion', () => {
+        const milk = { foodName: 'Milk', amount: 1, unit: 'cup', formType: 'LIQUID', calories: 61, per: { amount: 100, unit: 'ml' } };
+        expect(applyPortion(milk).calories).toBe(144.32);
+
+        const oil = { foodName: 'Olive Oil', amount: 1, unit: 'tbsp', density_g_per_ml: 0.91, calories: 884, per: { amount: 100, unit: 'g' } };
+        expect(applyPortion(oil).calories).toBe(118.98);
+    });
+
+    test('should log amounts in units Fitbit does not know in grams or milliliters', () => {
+        expect(applyPortion({ ...rice, amount: 0.18, unit: 'kg' })).toEqual(expect.objectContaining({ amount: 180, unit: 'g', calories: 280.8 }));
+        expect(applyPortion({ foodName: 'Water', amount: 0.5, unit: 'L' })).toEqual({ foodName: 'Water', amount: 500, unit: 'ml' });
+    });
+
+    test('should leave foods without a reference portion unchanged', () => {
+        const food = { foodName: 'Natto', amount: 1, unit: 'serving', calories: 90 };
+        expect(applyPortion(food)).toEqual(food);
+    });
+
+    test('should throw ValidationError for an invalid or unconvertible portion', () => {
+        expect(() => applyPortion({ ...rice, per: { amount: 0, unit: 'g' } }))
+            .toThrow('Invalid per for "Rice": use { amount, unit } with a positive amount.');
+        expect(() => applyPortion({ ...rice, amount: 1, unit: 'cup' }))
+            .toThrow('Cannot convert "cup" to "g" for "Rice": give the amount in the unit of per, or density_g_per_ml.');
+        expect(() => applyPortion({ ...rice, amount: '180' })).toThrow(ValidationError);
+    });
+});
@@ -0,0 +1,181 @@
+import { ValidationError } from './errors.js';
+import { DEFAULT_MEAL_WINDOWS, getMealWindowsError } from './mealTypes.js';
+import { isValidTimeZone } from './dates.js';
+import { waterUnitMap } from './water.js';
+import { DEFAULT_LANGUAGE, messages } from './messages.js';
+
+/**
+ * How foods are logged:
+ * - "create": create a custom food (or reuse one from the food catalog), then log it
+ * - "quick": log a one-off entry with the name and nutrients, without a custom food
+ */
+export const LOGGING_STRATEGIES = ['create', 'quick'];
+export const DEFAULT_LOGGING_STRATEGY = 'create';
+
+export const LANGUAGES = Object.keys(messages);
+export const FORM_TYPES = ['DRY', 'LIQUID'];
+export const DEFAULT_FORM_TYPE = 'DRY';
+
+// Request/response field names mapped to the field names stored in Firestore
+const preferenceFields = {
+    logging_strategy: 'loggingStrategy',
+    meal_windows: 'mealWindows',
+    timezone: 'timezone',
+    preferred_units: 'preferredUnits',
+    language: 'language',
+    default_form_type: 'defaultFormType',
+};
+
+/**
+ * Validates the preferred units: `food` is the unit of food items without a unit and
+ * `water` the unit of water entries without a unit. null clears a unit.
+ */
+function parsePreferredUnits(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new ValidationError('Invalid preferred_units: expected an object with food and/or water.');
+    }
+    const unknownKeys = Object.keys(value).filter((key) => key !== 'food' && key !== 'water');
+    if (unknownKeys.length > 0) {
+        throw new ValidationError(`Invalid preferred_units: unknown key(s) ${unknownKeys.join(', ')}.`);
+    }
+    const preferredUnits = {};
+    if (value.food !== undefined) {
+        if (value.food !== null && (typeof value.food !== 'string' || value.food.trim() === '')) {
+            throw new ValidationError('Invalid preferred_units.food: must be a unit name such as "g" or "serving".');
+        }
+        preferredUnits.food = value.food === null ? null : value.food.trim();
+    }
+    if (value.water !== undefined) {
+        if (value.water !== null && !(waterUnitMap[value.water] || waterUnitMap[String(value.water).toLowerCase()])) {
+            throw new ValidationError(`Invalid preferred_units.water "${value.water}": use ml, cups or 杯.`);
+        }
+        preferredUnits.water = value.water;
+    }
+    return preferredUnits;
+}
+
+/**
+ * Validates a logging strategy.
+ * @param {string} loggingStrategy The logging strategy.
+ * @returns {string} The logging strategy.
+ * @throws {ValidationError} If the strategy is unknown.
+ */
+export function validateLoggingStrategy(loggingStrategy) {
+    if (!LOGGING_STRATEGIES.includes(loggingStrategy)) {
+        throw new ValidationError(`Invalid logging_strategy "${loggingStrategy}": use ${LOGGING_STRATEGIES.join(' or ')}.`);
+    }
+    return loggingStrategy;
+}
+
+/**
+ * Validates a preferences update from a request body and converts it to the stored format.
+ * A timezone of null uses the timezone of the Fitbit profile again.
+ * @param {object} body The request body, e.g. { logging_strategy: "quick" },
+ *   { meal_windows: { Breakfast: { start: "06:00", end: "09:00" } } } or
+ *   { timezone: "Asia/Tokyo", preferred_units: { food: "g", water: "杯" }, language: "ja", default_form_type: "LIQUID" }.
+ * @returns {object} The preferences to store.
+ * @throws {ValidationError} If a field is unknown or invalid.
+ */
+export function parsePreferencesUpdate(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ValidationError('Invalid JSON body: expected an object of preferences.');
+    }
+    const unknownFields = Object.keys(body).filter((field) => !preferenceFields[field]);
+    if (unknownFields.length > 0) {
+        throw new ValidationError(`Unknown preference(s): ${unknownFields.join(', ')}.`);
+    }
+
+    const preferences = {};
+    if (body.logging_strategy !== undefined) {
+        preferences.loggingStrategy = validateLoggingStrategy(body.logging_strategy);
+    }
+    if (body.meal_windows !== undefined) {
+        const error = getMealWindowsError(body.meal_windows);
+        if (error) {
+            throw new ValidationError(`Invalid meal_windows: ${error}`);
+        }
+        preferences.mealWindows = Object.fromEntries(Object.entries(body.meal_windows)
+            .map(([mealType, { start, end }]) => [mealType, { start, end }]));
+    }
+    if (body.timezone !== undefined) {
+        if (body.timezone !== null && !isValidTimeZone(body.timezone)) {
+            throw new ValidationError(`Invalid timezone "${body.timezone}": use an IANA timezone such as Asia/Tokyo.`);
+        }
+        preferences.timezone = body.timezone;
+    }
+    if (body.preferred_units !== undefined) {
+        preferences.preferredUnits = parsePreferredUnits(body.preferred_units);
+    }
+    if (body.language !== undefined) {
+        if (!LANGUAGES.includes(body.language)) {
+            throw new ValidationError(`Invalid language "${body.language}": use ${LANGUAGES.join(' or ')}.`);
+        }
+        preferences.language = body.language;
+    }
+    if (body.default_form_type !== undefined) {
+        if (!FORM_TYPES.includes(body.default_form_type)) {
+            throw new ValidationError(`Invalid default_form_type "${body.default_form_type}": use ${FORM_TYPES.join(' or ')}.`);
+        }
+        preferences.defaultFormType = body.default_form_type;
+    }
+    return preferences;
+}
+
+/**
+ * Fills in the preferred units of a meal log request: food items (and ingredients of recipes)
+ * without a unit get the preferred food unit, water entries without a unit the preferred
+ * water unit. The reference portion (`per`) of a food without a unit, e.g. of a scaled
+ * template food saved without one, gets the same unit as the food. Values that are not
+ * objects are left for the validation to report.
+ * @param {object} request The meal log request body.
+ * @param {object} [preferences] The stored preferences.
+ * @returns {object} The request with the units filled in.
+ */
+export function applyPreferredUnits(request, preferences = {}) {
+    const { food: foodUnit, water: waterUnit } = preferences.preferredUnits || {};
+    if (!request || typeof request !== 'object' || (!foodUnit && !waterUnit)) {
+        return request;
+    }
+    const withUnit = (item, unit) => (unit && item && typeof item === 'object' && !Array.isArray(item)
+        && (item.unit === undefined || item.unit === null) ? { ...item, unit } : item);
+    const withFoodUnit = (food) => {
+        let filled = withUnit(food, foodUnit);
+        if (filled !== food && filled.per && typeof filled.per === 'object') {
+            filled = { ...filled, per: withUnit(filled.per, foodUnit) };
+        }
+        return filled && Array.isArray(filled.ingredients)
+            ? { ...filled, ingredients: filled.ingredients.map((ingredient) => withUnit(ingredient, foodUnit)) }
+            : filled;
+    };
+
+    const filledRequest = { ...request };
+    if (Array.isArray(request.foods)) {
+        filledRequest.foods = request.foods.map(withFoodUnit);
+    }
+    if (request.water !== undefined && request.water !== null) {
+        filledRequest.water = Array.isArray(request.water)
+            ? request.water.map((entry) => withUnit(entry, waterUnit))
+            : withUnit(request.water, waterUnit);
+    }
+    return filledRequest;
+}
+
+/**
+ * Converts stored preferences to the response format, filling in defaults.
+ * @param {object} [preferences] The stored preferences.
+ * @returns {object} The preferences with request/response field names.
+ */
+export function toPreferencesResponse(preferences = {}) {
+    return {
+        logging_strategy: preferences.loggingStrategy || DEFAULT_LOGGING_STRATEGY,
+        meal_windows: { ...DEFAULT_MEAL_WINDOWS, ...preferences.mealWindows },
+        // null: Fitbitプロフィールのタイムゾーンを使う
+        timezone: preferences.timezone || null,
+        preferred_units: {
+            food: (preferences.preferredUnits && preferences.preferredUnits.food) || null,
+            water: (preferences.preferredUnits && preferences.preferredUnits.water) || 'ml',
+        },
+        language: preferences.language || DEFAULT_LANGUAGE,
+        default_form_type: preferences.defaultFormType || DEFAULT_FORM_TYPE,
+    };
+}
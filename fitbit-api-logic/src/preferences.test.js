@@ -0,0 +1,156 @@
+import { validateLoggingStrategy, parsePreferencesUpdate, applyPreferredUnits, toPreferencesResponse } from './preferences';
+import { ValidationError } from './errors';
+import { DEFAULT_MEAL_WINDOWS } from './mealTypes';
+
+describe('validateLoggingStrategy', () => {
+    test('should accept the known strategies', () => {
+        expect(validateLoggingStrategy('create')).toBe('create');
+        expect(validateLoggingStrategy('quick')).toBe('quick');
+    });
+
+    test('should throw ValidationError for unknown strategies', () => {
+        expect(() => validateLoggingStrategy('fast')).toThrow('Invalid logging_strategy "fast": use create or quick.');
+    });
+});
+
+describe('parsePreferencesUpdate', () => {
+    test('should convert the request fields to the stored fields', () => {
+        expect(parsePreferencesUpdate({ logging_strategy: 'quick' })).toEqual({ loggingStrategy: 'quick' });
+    });
+
+    test('should reject unknown fields and non-object bodies', () => {
+        expect(() => parsePreferencesUpdate({ theme: 'dark' })).toThrow('Unknown preference(s): theme.');
+        expect(() => parsePreferencesUpdate([])).toThrow(ValidationError);
+        expect(() => parsePreferencesUpdate(undefined)).toThrow(ValidationError);
+    });
+
+    test('should accept meal windows and keep only their times', () => {
+        expect(parsePreferencesUpdate({ meal_windows: { Breakfast: { start: '06:00', end: '09:00', label: 'x' } } }))
+            .toEqual({ mealWindows: { Breakfast: { start: '06:00', end: '09:00' } } });
+    });
+
+    test('should reject invalid meal windows', () => {
+        expect(() => parsePreferencesUpdate({ meal_windows: { Brunch: { start: '10:00', end: '11:00' } } }))
+            .toThrow('Invalid meal_windows: Unknown meal type "Brunch" in meal_windows');
+        expect(() => parsePreferencesUpdate({ meal_windows: { Lunch: { start: '12' } } })).toThrow(ValidationError);
+        expect(() => parsePreferencesUpdate({ meal_windows: [] })).toThrow(ValidationError);
+    });
+
+    test('should accept a timezone and null to use the Fitbit profile timezone', () => {
+        expect(parsePreferencesUpdate({ timezone: 'Asia/Tokyo' })).toEqual({ timezone: 'Asia/Tokyo' });
+        expect(parsePreferencesUpdate({ timezone: null })).toEqual({ timezone: null });
+        expect(() => parsePreferencesUpdate({ timezone: 'Mars/Olympus' }))
+            .toThrow('Invalid timezone "Mars/Olympus": use an IANA timezone such as Asia/Tokyo.');
+    });
+
+    test('should accept preferred units', () => {
+        expect(parsePreferencesUpdate({ preferred_units: { food: ' g ', water: '杯' } }))
+            .toEqual({ preferredUnits: { food: 'g', water: '杯' } });
+        expect(parsePreferencesUpdate({ preferred_units: { food: null } })).toEqual({ preferredUnits: { food: null } });
+    });
+
+    test('should reject invalid preferred units', () => {
+        expect(() => parsePreferencesUpdate({ preferred_units: { water: 'gallon' } }))
+            .toThrow('Invalid preferred_units.water "gallon": use ml, cups or 杯.');
+        expect(() => parsePreferencesUpdate({ preferred_units: { food: '' } })).toThrow('Invalid preferred_units.food');
+        expect(() => parsePreferencesUpdate({ preferred_units: { drink: 'ml' } }))
+            .toThrow('Invalid preferred_units: unknown key(s) drink.');
+        expect(() => parsePreferencesUpdate({ preferred_units: 'g' })).toThrow(ValidationError);
+    });
+
+    test('should accept a language and a default formType', () => {
+        expect(parsePreferencesUpdate({ language: 'ja', default_form_type: 'LIQUID' }))
+            .toEqual({ language: 'ja', defaultFormType: 'LIQUID' });
+        expect(() => parsePreferencesUpdate({ language: 'fr' })).toThrow('Invalid language "fr": use en or ja.');
+        expect(() => parsePreferencesUpdate({ default_form_type: 'SOLID' }))
+            .toThrow('Invalid default_form_type "SOLID": use DRY or LIQUID.');
+    });
+});
+
+describe('applyPreferredUnits', () => {
+    const preferences = { preferredUnits: { food: 'g', water: '杯' } };
+
+    test('should fill in the units of foods, ingredients and water without a unit', () => {
+        const request = {
+            foods: [
+                { foodName: 'Rice', amount: 150 },
+                { foodName: 'Milk', amount: 1, unit: 'cup' },
+                { foodName: 'Curry', amount: 1, unit: 'serving', ingredients: [{ foodName: 'Pork', amount: 80 }] },
+            ],
+            water: [{ amount: 2 }, { amount: 300, unit: 'ml' }],
+        };
+        expect(applyPreferredUnits(request, preferences)).toEqual({
+            foods: [
+                { foodName: 'Rice', amount: 150, unit: 'g' },
+                { foodName: 'Milk', amount: 1, unit: 'cup' },
+                { foodName: 'Curry', amount: 1, unit: 'serving', ingredients: [{ foodName: 'Pork', amount: 80, unit: 'g' }] },
+            ],
+            water: [{ amount: 2, unit: '杯' }, { amount: 300, unit: 'ml' }],
+        });
+        expect(applyPreferredUnits({ water: { amount: 1 } }, preferences)).toEqual({ water: { amount: 1, unit: '杯' } });
+    });
+
+    test('should fill in the unit of the reference portion of a food without a unit', () => {
+        const request = {
+            foods: [
+                { foodName: 'Rice', amount: 225, per: { amount: 150 } },
+                { foodName: 'Natto', amount: 2, unit: 'pack', per: { amount: 1 } },
+            ],
+        };
+        expect(applyPreferredUnits(request, preferences).foods).toEqual([
+            { foodName: 'Rice', amount: 225, unit: 'g', per: { amount: 150, unit: 'g' } },
+            // 単位を指定した食品の per は検証でエラーにする
+            { foodName: 'Natto', amount: 2, unit: 'pack', per: { amount: 1 } },
+        ]);
+    });
+
+    test('should not change the request without preferred units', () => {
+        const request = { foods: [{ foodName: 'Rice', amount: 150 }] };
+        expect(applyPreferredUnits(request, {})).toBe(request);
+        expect(applyPreferredUnits(request)).toBe(request);
+    });
+
+    test('should leave invalid values for the validation', () => {
+        expect(applyPreferredUnits({ foods: 'rice' }, preferences)).toEqual({ foods: 'rice' });
+        expect(applyPreferredUnits({ foods: [null, 'rice'] }, preferences)).toEqual({ foods: [null, 'rice'] });
+        expect(applyPreferredUnits(null, preferences)).toBeNull();
+    });
+});
+
+describe('toPreferencesResponse', () => {
+    const defaults = {
+        logging_strategy: 'create',
+        meal_windows: DEFAULT_MEAL_WINDOWS,
+        timezone: null,
+        preferred_units: { food: null, water: 'ml' },
+        language: 'en',
+        default_form_type: 'DRY',
+    };
+
+    test('should fill in defaults', () => {
+        expect(toPreferencesResponse({})).toEqual(defaults);
+        expect(toPreferencesResponse({ loggingStrategy: 'quick', updatedAt: 1 }))
+            .toEqual({ ...defaults, logging_strategy: 'quick' });
+    });
+
+    test('should return the stored timezone, units, language and formType', () => {
+        expect(toPreferencesResponse({
+            timezone: 'Asia/Tokyo',
+            preferredUnits: { food: 'g' },
+            language: 'ja',
+            defaultFormType: 'LIQUID',
+        })).toEqual({
+            ...defaults,
+            timezone: 'Asia/Tokyo',
+            preferred_units: { food: 'g', water: 'ml' },
+            language: 'ja',
+            default_form_type: 'LIQUID',
+        });
+    });
+
+    test('should merge the stored meal windows over the defaults', () => {
+        const { meal_windows: mealWindows } = toPreferencesResponse({ mealWindows: { Dinner: { start: '19:00', end: '23:30' } } });
+        expect(mealWindows.Dinner).toEqual({ start: '19:00', end: '23:30' });
+        expect(mealWindows.Lunch).toEqual(DEFAULT_MEAL_WINDOWS.Lunch);
+    });
+});
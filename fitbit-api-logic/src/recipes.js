@@ -0,0 +1,90 @@
+import { ValidationError } from './errors.js';
+import { nutritionMap } from './nutrition.js';
+import { normalizeNutrients } from './nutrients.js';
+import { applyPortion, convertAmount, getDensity, massUnitGrams, volumeUnitMilliliters } from './portions.js';
+import { getUnitName } from './units.js';
+import { MAX_FOOD_DESCRIPTION_LENGTH } from './validation.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Builds the description of a recipe food: the user's description, if any, followed by the
+ * ingredient breakdown, shortened to the description length Fitbit accepts.
+ */
+function describeRecipe(recipe, ingredients, servings) {
+    const breakdown = ingredients.map((ingredient) => {
+        const calories = typeof ingredient.calories === 'number' ? ` (${Math.round(ingredient.calories)} kcal)` : '';
+        return `${ingredient.foodName} ${ingredient.amount} ${ingredient.unit}${calories}`;
+    }).join(', ');
+    const description = `${recipe.description ? `${recipe.description} / ` : ''}Ingredients (${servings} ${recipe.unit}): ${breakdown}`;
+    return description.length > MAX_FOOD_DESCRIPTION_LENGTH
+        ? `${description.slice(0, MAX_FOOD_DESCRIPTION_LENGTH - 1)}…`
+        : description;
+}
+
+/**
+ * Returns how many of the dish's unit the ingredients make when `servings` is not given: 1 for
+ * a dish in a counted unit (e.g. "皿"), and the summed quantity of the ingredients for a dish in
+ * a mass or volume unit, e.g. 500 for a dish in grams made of 300 g of rice and 200 g of curry.
+ * @throws {ValidationError} If the dish is measured and an ingredient cannot be converted to its unit.
+ */
+function getDefaultServings(recipe, path) {
+    const dishUnit = getUnitName(recipe.unit);
+    if (!massUnitGrams[dishUnit] && !volumeUnitMilliliters[dishUnit]) {
+        return 1;
+    }
+    const quantities = recipe.ingredients.map((ingredient) => (typeof ingredient.amount === 'number'
+        ? convertAmount(ingredient.amount, ingredient.unit, recipe.unit, getDensity(ingredient))
+        : null));
+    if (quantities.some((quantity) => quantity === null)) {
+        const servingsPath = path ? `${path}.servings` : 'servings';
+        const message = `${servingsPath} is required: "${recipe.foodName}" is measured in ${recipe.unit}, and its ingredients cannot all be converted to ${recipe.unit}.`;
+        throw new ValidationError(message, 400, [{ path: servingsPath, code: 'required', message }]);
+    }
+    return round(quantities.reduce((sum, quantity) => sum + quantity, 0));
+}
+
+/**
+ * Composes a dish from its ingredients: the nutrients of the ingredients (after their
+ * nutrient aliases and portions, see normalizeNutrients and applyPortion) are summed, divided
+ * by `servings` (how many of the dish's unit the ingredients make, see getDefaultServings) and
+ * scaled to the eaten `amount`. Nutrients given on the dish itself are ignored.
+ * @param {object} recipe The food item from the request with foodName, amount, unit, servings and ingredients.
+ * @param {string} [path] The path of the dish in the request, e.g. "foods[0]".
+ * @returns {{food: object, warnings: Array<string>}} The dish as a single food item with the
+ *   ingredient breakdown in its description, and the warnings of the ingredients.
+ * @throws {ValidationError} If a nutrient or the portion of an ingredient is invalid, or the
+ *   servings of a measured dish are missing and cannot be derived.
+ */
+export function composeRecipe(recipe, path = '') {
+    const servings = recipe.servings || getDefaultServings(recipe, path);
+    const warnings = [];
+    const ingredients = recipe.ingredients.map((ingredient, index) => {
+        const { food, warnings: ingredientWarnings } = normalizeNutrients(ingredient, `${path ? `${path}.` : ''}ingredients[${index}]`);
+        warnings.push(...ingredientWarnings);
+        if (typeof food.calories !== 'number') {
+            warnings.push(`Ingredient "${food.foodName}" of "${recipe.foodName}" has no calories.`);
+        }
+        return applyPortion(food);
+    });
+
+    const food = {
+        foodName: recipe.foodName,
+        amount: recipe.amount,
+        unit: recipe.unit,
+        ingredients: recipe.ingredients,
+        servings: servings,
+        description: describeRecipe(recipe, ingredients, servings),
+    };
+    if (recipe.formType) {
+        food.formType = recipe.formType;
+    }
+    for (const key of ['calories', ...Object.keys(nutritionMap)]) {
+        const values = ingredients.map((ingredient) => ingredient[key]).filter((value) => typeof value === 'number');
+        if (values.length > 0) {
+            food[key] = round(values.reduce((sum, value) => sum + value, 0) / servings * recipe.amount);
+        }
+    }
+    food.calories = food.calories || 0;
+    return { food, warnings };
+}
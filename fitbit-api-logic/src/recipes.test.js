@@ -0,0 +1,119 @@
+import { composeRecipe } from './recipes';
+import { ValidationError } from './errors';
+import { MAX_FOOD_DESCRIPTION_LENGTH } from './validation';
+
+const curry = {
+    foodName: 'Curry rice',
+    amount: 1,
+    unit: '皿',
+    servings: 4,
+    ingredients: [
+        { foodName: 'Rice', amount: 600, unit: 'g', calories: 156, per: { amount: 100, unit: 'g' }, protein_g: 2.5 },
+        { foodName: 'Pork', amount: 0.2, unit: 'kg', calories: 500, 'たんぱく質': 40 },
+        { foodName: 'Curry roux', amount: 4, unit: 'piece', calories: 400, salt: 8 },
+    ],
+};
+
+describe('composeRecipe', () => {
+    test('should sum the ingredients and divide them by the servings', () => {
+        const { food, warnings } = composeRecipe(curry);
+
+        expect(food).toEqual(expect.objectContaining({
+            foodName: 'Curry rice',
+            amount: 1,
+            unit: '皿',
+            calories: 459,
+            protein_g: 13.75,
+            sodium_mg: 787.5,
+        }));
+        expect(warnings).toEqual([]);
+    });
+
+    test('should scale the nutrients to the eaten amount', () => {
+        const { food } = composeRecipe({ ...curry, amount: 2 });
+
+        expect(food.calories).toBe(918);
+        expect(food.protein_g).toBe(27.5);
+    });
+
+    test('should default to one serving', () => {
+        const { food } = composeRecipe({ ...curry, servings: undefined });
+
+        expect(food.calories).toBe(1836);
+        expect(food.servings).toBe(1);
+    });
+
+    test('should derive the servings of a dish in grams from its ingredients', () => {
+        const { food } = composeRecipe({
+            foodName: 'Fried rice',
+            amount: 350,
+            unit: 'g',
+            ingredients: [
+                { foodName: 'Rice', amount: 0.5, unit: 'kg', calories: 780 },
+                { foodName: 'Egg', amount: 200, unit: 'g', calories: 300 },
+            ],
+        });
+
+        expect(food.servings).toBe(700);
+        expect(food.calories).toBe(540);
+    });
+
+    test('should require the servings of a measured dish whose ingredients cannot be converted', () => {
+        const dish = { foodName: 'Curry', amount: 350, unit: 'g', ingredients: [{ foodName: 'Curry roux', amount: 1, unit: 'piece', calories: 300 }] };
+
+        const error = (() => {
+            try {
+                composeRecipe(dish, 'foods[2]');
+            } catch (e) {
+                return e;
+            }
+        })();
+
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.details).toEqual([expect.objectContaining({ path: 'foods[2].servings', code: 'required' })]);
+        expect(composeRecipe({ ...dish, servings: 700 }).food.calories).toBe(150);
+    });
+
+    test('should reject a negative aliased nutrient of an ingredient with its path', () => {
+        const ingredients = [...curry.ingredients.slice(0, 2), { ...curry.ingredients[2], salt: -8 }];
+
+        expect(() => composeRecipe({ ...curry, ingredients }, 'foods[0]')).toThrow(expect.objectContaining({
+            details: [expect.objectContaining({ path: 'foods[0].ingredients[2].salt', code: 'too_small' })],
+        }));
+    });
+
+    test('should keep the ingredient breakdown in the description', () => {
+        const { food } = composeRecipe({ ...curry, description: 'Home-made' });
+
+        expect(food.description).toBe('Home-made / Ingredients (4 皿): Rice 600 g (936 kcal), Pork 200 g (500 kcal), Curry roux 4 piece (400 kcal)');
+    });
+
+    test('should shorten a long description to the length Fitbit accepts', () => {
+        const ingredients = Array.from({ length: 20 }, (_, index) => ({ foodName: `Vegetable ${index}`, amount: 10, unit: 'g', calories: 5 }));
+
+        const { food } = composeRecipe({ ...curry, ingredients });
+
+        expect(food.description).toHaveLength(MAX_FOOD_DESCRIPTION_LENGTH);
+        expect(food.description.endsWith('…')).toBe(true);
+    });
+
+    test('should report ingredients without calories and unknown nutrients', () => {
+        const { food, warnings } = composeRecipe({
+            ...curry,
+            ingredients: [...curry.ingredients, { foodName: 'Water', amount: 800, unit: 'ml', caffeine_mg: 0 }],
+        });
+
+        expect(food.calories).toBe(459);
+        expect(warnings).toEqual([
+            'Unknown nutrient "caffeine_mg" of "Water" was ignored.',
+            'Ingredient "Water" of "Curry rice" has no calories.',
+        ]);
+    });
+
+    test('should throw ValidationError for an invalid ingredient portion', () => {
+        expect(() => composeRecipe({
+            ...curry,
+            ingredients: [{ foodName: 'Rice', amount: 1, unit: 'cup', calories: 156, per: { amount: 100, unit: 'g' } }],
+        })).toThrow(ValidationError);
+    });
+});
@@ -0,0 +1,70 @@
+import { createHash } from 'crypto';
+import { ValidationError } from './errors.js';
+import { normalizeFoodName } from './foodCatalog.js';
+
+export const MAX_TEMPLATE_NAME_LENGTH = 100;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validates the name of a meal template.
+ * @param {*} name The name from the request.
+ * @param {string} [field] The request field, used in the message.
+ * @returns {string} The name without surrounding spaces.
+ * @throws {ValidationError} If the name is not a non-empty string of at most MAX_TEMPLATE_NAME_LENGTH characters.
+ */
+export function validateTemplateName(name, field = 'name') {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (trimmed === '' || trimmed.length > MAX_TEMPLATE_NAME_LENGTH) {
+        throw new ValidationError(`Invalid ${field}: must be a non-empty string of at most ${MAX_TEMPLATE_NAME_LENGTH} characters.`);
+    }
+    return trimmed;
+}
+
+/**
+ * Returns the Firestore key of a template name. Names that differ only in case, width or
+ * spacing share a key, so "My Breakfast" and "my  breakfast" are the same template.
+ * @param {string} name The template name.
+ * @returns {string} The key.
+ */
+export function getTemplateKey(name) {
+    return createHash('sha256').update(normalizeFoodName(name)).digest('hex');
+}
+
+/**
+ * Scales a food item of a template. The nutrients of a food item are for its amount, so
+ * the original amount becomes the reference portion (`per`) and only the amount is scaled.
+ * Foods with their own `per` and recipes already scale with their amount.
+ * @param {object} food The food item as saved in the template.
+ * @param {number} scale The factor, e.g. 1.5 for one and a half portions.
+ * @returns {object} The scaled food item.
+ */
+export function scaleFood(food, scale) {
+    if (scale === 1) {
+        return food;
+    }
+    const scaled = { ...food, amount: round(food.amount * scale) };
+    if (food.per === undefined && !food.ingredients) {
+        scaled.per = { amount: food.amount, unit: food.unit };
+    }
+    return scaled;
+}
+
+/**
+ * Builds the meal log request for a template: the template's foods, scaled by `scale`, with
+ * the other fields of the request (meal_type, log_date, log_time, options) as given.
+ * @param {object} template The saved template with name and foods.
+ * @param {object} body The request body with template and optional scale.
+ * @returns {object} The meal log request for processAndLogFoods.
+ * @throws {ValidationError} If the request also has foods or the scale is invalid.
+ */
+export function toTemplateMealRequest(template, body) {
+    const { scale = 1, ...request } = body;
+    if (request.foods !== undefined) {
+        throw new ValidationError('Invalid request: specify either foods or template, not both.');
+    }
+    if (typeof scale !== 'number' || !Number.isFinite(scale) || !(scale > 0)) {
+        throw new ValidationError('Invalid scale: must be a positive number.');
+    }
+    return { ...request, foods: template.foods.map((food) => scaleFood(food, scale)) };
+}
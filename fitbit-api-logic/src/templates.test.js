@@ -0,0 +1,72 @@
+import { validateTemplateName, getTemplateKey, scaleFood, toTemplateMealRequest } from './templates';
+import { ValidationError } from './errors';
+
+const template = {
+    name: 'My usual breakfast',
+    foods: [
+        { foodName: 'Toast', amount: 2, unit: 'slice', calories: 320, protein_g: 10 },
+        { foodName: 'Yogurt', amount: 150, unit: 'g', calories: 62, per: { amount: 100, unit: 'g' } },
+    ],
+};
+
+describe('validateTemplateName', () => {
+    test('should return the trimmed name', () => {
+        expect(validateTemplateName('  My usual breakfast ')).toBe('My usual breakfast');
+    });
+
+    test('should reject empty, long and non-string names', () => {
+        expect(() => validateTemplateName('   ')).toThrow('Invalid name: must be a non-empty string of at most 100 characters.');
+        expect(() => validateTemplateName('x'.repeat(101), 'template')).toThrow('Invalid template:');
+        expect(() => validateTemplateName(1)).toThrow(ValidationError);
+    });
+});
+
+describe('getTemplateKey', () => {
+    test('should ignore case, width and spacing', () => {
+        expect(getTemplateKey('My  Usual Breakfast')).toBe(getTemplateKey('my usual breakfast'));
+        expect(getTemplateKey('ＭＹ朝食')).toBe(getTemplateKey('my朝食'));
+        expect(getTemplateKey('Lunch')).not.toBe(getTemplateKey('Dinner'));
+    });
+});
+
+describe('scaleFood', () => {
+    test('should scale the amount and keep the original amount as the reference portion', () => {
+        expect(scaleFood(template.foods[0], 1.5)).toEqual({
+            foodName: 'Toast', amount: 3, unit: 'slice', calories: 320, protein_g: 10, per: { amount: 2, unit: 'slice' },
+        });
+    });
+
+    test('should only scale the amount of foods with a reference portion and of recipes', () => {
+        expect(scaleFood(template.foods[1], 2)).toEqual({ ...template.foods[1], amount: 300 });
+        const recipe = { foodName: 'Curry rice', amount: 1, unit: 'serving', ingredients: [] };
+        expect(scaleFood(recipe, 0.5)).toEqual({ ...recipe, amount: 0.5 });
+    });
+
+    test('should return the food as it is without scaling', () => {
+        expect(scaleFood(template.foods[0], 1)).toBe(template.foods[0]);
+    });
+});
+
+describe('toTemplateMealRequest', () => {
+    test('should use the template foods with the overrides of the request', () => {
+        expect(toTemplateMealRequest(template, { template: 'My usual breakfast', log_date: 'yesterday', meal_type: 'Breakfast' })).toEqual({
+            template: 'My usual breakfast',
+            log_date: 'yesterday',
+            meal_type: 'Breakfast',
+            foods: template.foods,
+        });
+    });
+
+    test('should scale every food', () => {
+        const request = toTemplateMealRequest(template, { template: 'My usual breakfast', scale: 0.5 });
+
+        expect(request.foods.map((food) => food.amount)).toEqual([1, 75]);
+        expect(request.scale).toBeUndefined();
+    });
+
+    test('should reject foods and an invalid scale', () => {
+        expect(() => toTemplateMealRequest(template, { template: 'x', foods: [] })).toThrow('specify either foods or template, not both.');
+        expect(() => toTemplateMealRequest(template, { template: 'x', scale: 0 })).toThrow('Invalid scale: must be a positive number.');
+        expect(() => toTemplateMealRequest(template, { template: 'x', scale: '2' })).toThrow(ValidationError);
+    });
+});
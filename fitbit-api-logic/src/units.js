@@ -0,0 +1,100 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Abbreviations and Japanese units mapped to the unit names of Fitbit's food units list.
+ */
+export const unitAliases = {
+    'g': 'gram', 'gr': 'gram', 'グラム': 'gram',
+    'kg': 'kilogram', 'キログラム': 'kilogram',
+    'mg': 'milligram',
+    'ml': 'milliliter', 'cc': 'milliliter', 'millilitre': 'milliliter', 'ミリリットル': 'milliliter',
+    'l': 'liter', 'litre': 'liter', 'リットル': 'liter',
+    'ounce': 'oz', 'floz': 'fl oz', 'fluid ounce': 'fl oz',
+    'pound': 'lb',
+    'tbsp': 'tablespoon', 'tbs': 'tablespoon', 'tbl': 'tablespoon', '大さじ': 'tablespoon',
+    'tsp': 'teaspoon', '小さじ': 'teaspoon',
+    'カップ': 'cup',
+    'スライス': 'slice', '枚': 'slice', '切れ': 'slice',
+    'pc': 'piece', 'pcs': 'piece', '個': 'piece',
+    '缶': 'can',
+    '人前': 'serving', '食': 'serving',
+};
+
+/**
+ * Japanese counters without an exact Fitbit unit. They are logged in the closest unit and
+ * reported with a warning so that the amount can be checked.
+ */
+export const approximateUnitAliases = {
+    '杯': 'cup',
+    '本': 'piece',
+    '皿': 'serving',
+};
+
+const normalizeUnit = (unit) => String(unit).normalize('NFKC').trim().toLowerCase().replace(/\s+/g, ' ').replace(/\.$/, '');
+
+/**
+ * Returns the spellings of a unit to look up: the unit as given, its singular form and its alias.
+ */
+function getUnitQueries(normalized) {
+    const queries = [normalized];
+    if (/[a-z]s$/.test(normalized)) {
+        queries.push(normalized.slice(0, -1));
+    }
+    for (const query of [...queries]) {
+        if (unitAliases[query]) {
+            queries.push(unitAliases[query]);
+        }
+    }
+    return queries;
+}
+
+/**
+ * Returns the unit name an abbreviation or plural stands for, e.g. "gram" for "g" or "grams".
+ * @param {string} unit The unit from the request.
+ * @returns {string} The unit name; unknown units are returned normalized.
+ */
+export function getUnitName(unit) {
+    const queries = getUnitQueries(normalizeUnit(unit));
+    return queries[queries.length - 1];
+}
+
+/**
+ * Finds the Fitbit unit for a unit from the request by its name, plural, abbreviation or
+ * Japanese name.
+ * @param {Array<{id: number, name: string, plural: string}>} units Fitbit's food units list.
+ * @param {string} unit The unit from the request.
+ * @returns {{unit: object, approximate: boolean}|null} The Fitbit unit and whether it only
+ *   approximates the requested unit, or null if nothing matches.
+ */
+export function findUnit(units, unit) {
+    const normalized = normalizeUnit(unit);
+    const findByName = (name) => units.find((candidate) => normalizeUnit(candidate.name) === name || normalizeUnit(candidate.plural || '') === name);
+
+    for (const query of getUnitQueries(normalized)) {
+        const match = findByName(query);
+        if (match) return { unit: match, approximate: false };
+    }
+    if (approximateUnitAliases[normalized]) {
+        const match = findByName(approximateUnitAliases[normalized]);
+        if (match) return { unit: match, approximate: true };
+    }
+    return null;
+}
+
+/**
+ * Resolves the unit of a food item to a Fitbit unit.
+ * @param {Array<{id: number, name: string, plural: string}>} units Fitbit's food units list.
+ * @param {string} unit The unit from the request.
+ * @param {string} foodName The name of the food, used in messages.
+ * @returns {{unitId: number, warning: string|null}} The Fitbit unit ID and a warning if the
+ *   unit was approximated.
+ * @throws {ValidationError} If the unit is unknown.
+ */
+export function resolveUnit(units, unit, foodName) {
+    const match = findUnit(units, unit);
+    if (!match) {
+        throw new ValidationError(`Unknown unit "${unit}" for "${foodName}": use a unit such as g, ml, cup, tbsp, tsp, slice, piece or serving.`);
+    }
+    const warning = match.approximate ? `Unit "${unit}" of "${foodName}" has no exact Fitbit unit: logged as "${match.unit.name}".` : null;
+    return { unitId: match.unit.id, warning };
+}
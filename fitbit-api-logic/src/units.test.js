@@ -0,0 +1,62 @@
+import { findUnit, resolveUnit } from './units';
+import { ValidationError } from './errors';
+
+const units = [
+    { id: 147, name: 'gram', plural: 'grams' },
+    { id: 209, name: 'milliliter', plural: 'milliliters' },
+    { id: 91, name: 'cup', plural: 'cups' },
+    { id: 349, name: 'tablespoon', plural: 'tablespoons' },
+    { id: 364, name: 'teaspoon', plural: 'teaspoons' },
+    { id: 311, name: 'slice', plural: 'slices' },
+    { id: 251, name: 'piece', plural: 'pieces' },
+    { id: 304, name: 'serving', plural: 'servings' },
+    { id: 226, name: 'oz', plural: 'oz' },
+    { id: 128, name: 'fl oz', plural: 'fl oz' },
+];
+
+describe('findUnit', () => {
+    test('should match names and plurals regardless of case and width', () => {
+        expect(findUnit(units, 'Cup').unit.id).toBe(91);
+        expect(findUnit(units, 'slices').unit.id).toBe(311);
+        expect(findUnit(units, 'ＧＲＡＭＳ').unit.id).toBe(147);
+    });
+
+    test('should match abbreviations, including plural and dotted forms', () => {
+        expect(findUnit(units, 'g').unit.id).toBe(147);
+        expect(findUnit(units, 'mL').unit.id).toBe(209);
+        expect(findUnit(units, 'tbsp.').unit.id).toBe(349);
+        expect(findUnit(units, 'tsps').unit.id).toBe(364);
+        expect(findUnit(units, 'fl  oz').unit.id).toBe(128);
+        expect(findUnit(units, 'ounces').unit.id).toBe(226);
+    });
+
+    test('should match Japanese units and counters', () => {
+        expect(findUnit(units, '大さじ')).toEqual({ unit: units[3], approximate: false });
+        expect(findUnit(units, '枚').unit.id).toBe(311);
+        expect(findUnit(units, '切れ').unit.id).toBe(311);
+        expect(findUnit(units, '個').unit.id).toBe(251);
+        expect(findUnit(units, '杯')).toEqual({ unit: units[2], approximate: true });
+        expect(findUnit(units, '本')).toEqual({ unit: units[6], approximate: true });
+    });
+
+    test('should return null for an unknown unit or one missing from the units list', () => {
+        expect(findUnit(units, 'bucket')).toBeNull();
+        expect(findUnit(units, 'kg')).toBeNull();
+    });
+});
+
+describe('resolveUnit', () => {
+    test('should return the unit ID and a warning for approximated units', () => {
+        expect(resolveUnit(units, 'grams', 'Rice')).toEqual({ unitId: 147, warning: null });
+        expect(resolveUnit(units, '杯', 'Rice')).toEqual({
+            unitId: 91,
+            warning: 'Unit "杯" of "Rice" has no exact Fitbit unit: logged as "cup".',
+        });
+    });
+
+    test('should throw ValidationError for an unknown unit', () => {
+        expect(() => resolveUnit(units, 'bucket', 'Water')).toThrow(ValidationError);
+        expect(() => resolveUnit(units, 'bucket', 'Water'))
+            .toThrow('Unknown unit "bucket" for "Water": use a unit such as g, ml, cup, tbsp, tsp, slice, piece or serving.');
+    });
+});
@@ -0,0 +1,227 @@
+import { ValidationError } from './errors.js';
+import { nutritionMap } from './nutrition.js';
+import { FORM_TYPES, LOGGING_STRATEGIES } from './preferences.js';
+import { isRelativeDate } from './dates.js';
+import { MAX_TEMPLATE_NAME_LENGTH } from './templates.js';
+import { isWaterUnit } from './water.js';
+
+// Longest food name and description accepted for a custom food
+export const MAX_FOOD_NAME_LENGTH = 100;
+export const MAX_FOOD_DESCRIPTION_LENGTH = 255;
+export const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Checks that a yyyy-MM-dd string is a real calendar date.
+ */
+function isDate(value) {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) {
+        return false;
+    }
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.toISOString().slice(0, 10) === value;
+}
+
+const formats = {
+    date: { test: isDate, description: 'a date in yyyy-MM-dd format' },
+    logDate: { test: (value) => isDate(value) || isRelativeDate(value), description: 'a date in yyyy-MM-dd format, "today" or "yesterday"' },
+    time: { test: (value) => TIME_PATTERN.test(value), description: 'a time in HH:mm format' },
+    waterUnit: { test: isWaterUnit, description: 'one of the water units ml, l, cups or 杯' },
+};
+
+// Fields of a food item, shared with the ingredients of a recipe
+const foodProperties = {
+    foodName: { type: 'string', required: true, minLength: 1, maxLength: MAX_FOOD_NAME_LENGTH },
+    amount: { type: 'number', required: true, exclusiveMinimum: 0 },
+    unit: { type: 'string', required: true, minLength: 1 },
+    calories: { type: 'number', minimum: 0 },
+    formType: { type: 'string', enum: FORM_TYPES },
+    description: { type: 'string', maxLength: MAX_FOOD_DESCRIPTION_LENGTH },
+    per: {
+        type: 'object',
+        properties: {
+            amount: { type: 'number', required: true, exclusiveMinimum: 0 },
+            unit: { type: 'string', required: true, minLength: 1 },
+        },
+    },
+    density_g_per_ml: { type: 'number', exclusiveMinimum: 0 },
+    ...Object.fromEntries(Object.keys(nutritionMap).map((key) => [key, { type: 'number', minimum: 0 }])),
+};
+
+/**
+ * Schema of a food item. Nutrients of nutritionMap must be non-negative numbers; other
+ * nutrient names are checked by normalizeNutrients. A food item with `ingredients` is a
+ * recipe whose nutrients are summed from the ingredients (see composeRecipe).
+ */
+export const foodSchema = {
+    type: 'object',
+    properties: {
+        ...foodProperties,
+        servings: { type: 'number', exclusiveMinimum: 0 },
+        ingredients: { type: 'array', minItems: 1, items: { type: 'object', properties: foodProperties } },
+    },
+};
+
+/**
+ * Schema of a water entry of a meal log request. The unit defaults to ml (see convertWaterToMilliliters).
+ */
+export const waterEntrySchema = {
+    type: 'object',
+    properties: {
+        amount: { type: 'number', required: true, exclusiveMinimum: 0 },
+        unit: { type: 'string', format: 'waterUnit' },
+    },
+};
+
+/**
+ * Schema of the body of a meal log request (POST).
+ */
+export const mealRequestSchema = {
+    type: 'object',
+    properties: {
+        // 未知の値は log_time から推定する (resolveMealType)
+        meal_type: { type: 'string' },
+        // 省略した場合はユーザーのタイムゾーンの現在日時 (resolveLogDateTime)
+        log_date: { type: 'string', format: 'logDate' },
+        log_time: { type: 'string', format: 'time' },
+        foods: { type: 'array', required: true, minItems: 1, items: foodSchema },
+        // 1件の {amount, unit} またはその配列 (getWaterEntries)
+        water: { oneOf: [waterEntrySchema, { type: 'array', items: waterEntrySchema }] },
+        partial_success: { type: 'boolean' },
+        logging_strategy: { type: 'string', enum: LOGGING_STRATEGIES },
+        search_foods: { type: 'boolean' },
+        idempotency_key: { type: 'string', minLength: 1, maxLength: MAX_IDEMPOTENCY_KEY_LENGTH },
+        // テンプレートから記録した場合のテンプレート名 (foods は展開済み)
+        template: { type: 'string', minLength: 1, maxLength: MAX_TEMPLATE_NAME_LENGTH },
+        save_as_template: { type: 'string', minLength: 1, maxLength: MAX_TEMPLATE_NAME_LENGTH },
+    },
+};
+
+/**
+ * Schema of the changes of a food log update (PATCH).
+ */
+export const foodLogUpdateSchema = {
+    type: 'object',
+    properties: {
+        amount: { ...foodSchema.properties.amount, required: false },
+        unit: { ...foodSchema.properties.unit, required: false },
+        meal_type: mealRequestSchema.properties.meal_type,
+        log_date: mealRequestSchema.properties.log_date,
+        log_time: mealRequestSchema.properties.log_time,
+    },
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+const withArticle = (type) => `${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}`;
+
+/**
+ * Returns the type name of a value as used in schemas.
+ */
+function getType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Validates a value against a schema.
+ * Supported keywords: type, required (on properties), enum, format, minimum, exclusiveMinimum,
+ * maximum, minLength, maxLength, minItems, items and properties. A schema with `oneOf` is
+ * validated against the first of its schemas whose type matches the value.
+ * @param {*} value The value to validate.
+ * @param {object} schema The schema.
+ * @param {string} [path] The path of the value in the request, e.g. "foods[0].amount".
+ * @returns {Array<{path: string, code: string, message: string}>} A detail per invalid field.
+ */
+export function validateSchema(value, schema, path = '') {
+    const name = path || 'The request body';
+    const detail = (code, message) => [{ path, code, message: `${name} ${message}` }];
+
+    if (schema.oneOf) {
+        const matchingSchema = schema.oneOf.find((option) => option.type === getType(value));
+        return matchingSchema
+            ? validateSchema(value, matchingSchema, path)
+            : detail('invalid_type', `must be ${schema.oneOf.map((option) => withArticle(option.type)).join(' or ')}.`);
+    }
+    if (getType(value) !== schema.type || (schema.type === 'number' && !Number.isFinite(value))) {
+        return detail('invalid_type', `must be ${withArticle(schema.type)}.`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return detail('invalid_value', `must be one of: ${schema.enum.join(', ')}.`);
+    }
+    if (schema.format && !formats[schema.format].test(value)) {
+        return detail('invalid_format', `must be ${formats[schema.format].description}.`);
+    }
+    if (schema.exclusiveMinimum !== undefined && !(value > schema.exclusiveMinimum)) {
+        return detail('too_small', `must be greater than ${schema.exclusiveMinimum}.`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        return detail('too_small', `must be at least ${schema.minimum}.`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        return detail('too_large', `must be at most ${schema.maximum}.`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return detail('too_short', schema.minLength === 1 ? 'must not be empty.' : `must be at least ${schema.minLength} characters.`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return detail('too_long', `must be at most ${schema.maxLength} characters.`);
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return detail('too_short', `must contain at least ${schema.minItems} item(s).`);
+    }
+
+    const details = [];
+    if (schema.items) {
+        value.forEach((item, index) => details.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        const propertyPath = joinPath(path, key);
+        if (value[key] === undefined || value[key] === null) {
+            if (propertySchema.required) {
+                details.push({ path: propertyPath, code: 'required', message: `${propertyPath} is required.` });
+            }
+            continue;
+        }
+        details.push(...validateSchema(value[key], propertySchema, propertyPath));
+    }
+    return details;
+}
+
+/**
+ * Joins the messages of validation details into one error message.
+ * @param {Array<{message: string}>} details The validation details.
+ * @returns {string} The messages separated by spaces.
+ */
+export function formatValidationDetails(details) {
+    return details.map((detail) => detail.message).join(' ');
+}
+
+/**
+ * Validates the body of a meal log request. In partial-success mode the food items and water
+ * entries are not checked here, because invalid items are skipped one by one instead of
+ * failing the request (see logFoodsIndependently).
+ * @param {object} body The request body.
+ * @throws {ValidationError} With a detail per invalid field if the body is invalid.
+ */
+export function validateMealRequest(body) {
+    const partialSuccess = Boolean(body && body.partial_success === true);
+    const schema = partialSuccess
+        ? {
+            ...mealRequestSchema,
+            properties: {
+                ...mealRequestSchema.properties,
+                foods: { type: 'array', required: true, minItems: 1 },
+                water: { oneOf: [{ type: 'object' }, { type: 'array' }] },
+            },
+        }
+        : mealRequestSchema;
+
+    const details = validateSchema(body, schema);
+    if (details.length > 0) {
+        throw new ValidationError(`Invalid request: ${formatValidationDetails(details)}`, 400, details);
+    }
+}
@@ -0,0 +1,123 @@
+import { validateSchema, validateMealRequest, foodSchema, foodLogUpdateSchema, MAX_FOOD_NAME_LENGTH } from './validation';
+import { ValidationError } from './errors';
+
+const validRequest = {
+    meal_type: 'Lunch',
+    log_date: '2023-01-01',
+    log_time: '12:30',
+    foods: [{ foodName: 'Rice', amount: 150, unit: 'g', calories: 234, protein_g: 3.8 }],
+};
+
+describe('validateSchema', () => {
+    test('should return no details for a valid food', () => {
+        expect(validateSchema(validRequest.foods[0], foodSchema)).toEqual([]);
+    });
+
+    test('should report required fields, types, ranges and lengths with their paths', () => {
+        const food = { foodName: 'x'.repeat(MAX_FOOD_NAME_LENGTH + 1), amount: 0, calories: '234', sodium_mg: -1, formType: 'SOLID' };
+
+        expect(validateSchema(food, foodSchema, 'foods[2]')).toEqual([
+            { path: 'foods[2].foodName', code: 'too_long', message: `foods[2].foodName must be at most ${MAX_FOOD_NAME_LENGTH} characters.` },
+            { path: 'foods[2].amount', code: 'too_small', message: 'foods[2].amount must be greater than 0.' },
+            { path: 'foods[2].unit', code: 'required', message: 'foods[2].unit is required.' },
+            { path: 'foods[2].calories', code: 'invalid_type', message: 'foods[2].calories must be a number.' },
+            { path: 'foods[2].formType', code: 'invalid_value', message: 'foods[2].formType must be one of: DRY, LIQUID.' },
+            { path: 'foods[2].sodium_mg', code: 'too_small', message: 'foods[2].sodium_mg must be at least 0.' },
+        ]);
+    });
+
+    test('should reject NaN and infinite numbers', () => {
+        expect(validateSchema({ ...validRequest.foods[0], amount: NaN }, foodSchema)[0].code).toBe('invalid_type');
+        expect(validateSchema({ ...validRequest.foods[0], amount: Infinity }, foodSchema)[0].code).toBe('invalid_type');
+    });
+
+    test('should validate the reference portion', () => {
+        expect(validateSchema({ ...validRequest.foods[0], per: { amount: 100 } }, foodSchema)).toEqual([
+            { path: 'per.unit', code: 'required', message: 'per.unit is required.' },
+        ]);
+    });
+
+    test('should only check the given fields of a food log update', () => {
+        expect(validateSchema({ amount: 200 }, foodLogUpdateSchema)).toEqual([]);
+        expect(validateSchema({ meal_type: 1, log_time: '25:00' }, foodLogUpdateSchema).map((detail) => detail.path))
+            .toEqual(['meal_type', 'log_time']);
+    });
+});
+
+describe('validateMealRequest', () => {
+    test('should accept a valid request', () => {
+        expect(() => validateMealRequest(validRequest)).not.toThrow();
+        expect(() => validateMealRequest({ ...validRequest, log_time: '12:30:15', meal_type: undefined })).not.toThrow();
+    });
+
+    test('should require the foods', () => {
+        expect(() => validateMealRequest({ ...validRequest, foods: undefined })).toThrow('Invalid request: foods is required.');
+    });
+
+    test('should reject an invalid ingredient with its path', () => {
+        const foods = [{ foodName: 'Curry rice', amount: 1, unit: 'serving', ingredients: [{ foodName: 'Rice', amount: -1, unit: 'g', calories: 100 }] }];
+
+        expect(() => validateMealRequest({ ...validRequest, foods })).toThrow(expect.objectContaining({
+            details: [expect.objectContaining({ path: 'foods[0].ingredients[0].amount', code: 'too_small' })],
+        }));
+    });
+
+    test('should validate a single water entry or a list of them', () => {
+        expect(() => validateMealRequest({ ...validRequest, water: { amount: 1, unit: '杯' } })).not.toThrow();
+        expect(() => validateMealRequest({ ...validRequest, water: [{ amount: 200 }, { amount: 1, unit: 'Cups' }] })).not.toThrow();
+
+        const error = (() => {
+            try {
+                validateMealRequest({ ...validRequest, water: [{ amount: 0 }, { amount: 1, unit: 'bucket' }] });
+            } catch (e) {
+                return e;
+            }
+        })();
+
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.details).toEqual([
+            { path: 'water[0].amount', code: 'too_small', message: 'water[0].amount must be greater than 0.' },
+            { path: 'water[1].unit', code: 'invalid_format', message: 'water[1].unit must be one of the water units ml, l, cups or 杯.' },
+        ]);
+        expect(() => validateMealRequest({ ...validRequest, water: { unit: 'ml' } })).toThrow('Invalid request: water.amount is required.');
+        expect(() => validateMealRequest({ ...validRequest, water: 200 })).toThrow('Invalid request: water must be an object or an array.');
+    });
+
+    test('should throw ValidationError with a detail per invalid field', () => {
+        const error = (() => {
+            try {
+                validateMealRequest({ ...validRequest, log_date: '2023/01/01', log_time: '24:00', foods: [] });
+            } catch (e) {
+                return e;
+            }
+        })();
+
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.message).toBe('Invalid request: log_date must be a date in yyyy-MM-dd format, "today" or "yesterday". log_time must be a time in HH:mm format. foods must contain at least 1 item(s).');
+        expect(error.details.map((detail) => detail.code)).toEqual(['invalid_format', 'invalid_format', 'too_short']);
+    });
+
+    test('should reject dates that do not exist', () => {
+        expect(() => validateMealRequest({ ...validRequest, log_date: '2023-02-29' })).toThrow('log_date must be a date in yyyy-MM-dd format');
+        expect(() => validateMealRequest({ ...validRequest, log_date: '2024-02-29' })).not.toThrow();
+    });
+
+    test('should accept relative dates and a missing date and time', () => {
+        expect(() => validateMealRequest({ ...validRequest, log_date: 'Yesterday' })).not.toThrow();
+        expect(() => validateMealRequest({ ...validRequest, log_date: '昨夜', log_time: undefined })).not.toThrow();
+        expect(() => validateMealRequest({ ...validRequest, log_date: undefined, log_time: undefined })).not.toThrow();
+        expect(() => validateMealRequest({ ...validRequest, log_date: 'tomorrow' })).toThrow(ValidationError);
+    });
+
+    test('should validate enums of the request options', () => {
+        expect(() => validateMealRequest({ ...validRequest, logging_strategy: 'fast', partial_success: 'yes' }))
+            .toThrow('Invalid request: partial_success must be a boolean. logging_strategy must be one of: create, quick.');
+    });
+
+    test('should leave food items to partial-success mode', () => {
+        expect(() => validateMealRequest({ ...validRequest, partial_success: true, foods: [{ foodName: 'Rice' }] })).not.toThrow();
+        expect(() => validateMealRequest({ ...validRequest, partial_success: true, foods: [] })).toThrow(ValidationError);
+        expect(() => validateMealRequest({ ...validRequest, partial_success: true, water: [{ amount: -1 }] })).not.toThrow();
+        expect(() => validateMealRequest({ ...validRequest, partial_success: true, water: 200 })).toThrow(ValidationError);
+    });
+});
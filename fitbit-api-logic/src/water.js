@@ -0,0 +1,58 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Milliliters per unit accepted for water amounts.
+ * A "cup" is a US cup as used by Fitbit; "杯" is a Japanese glass (コップ1杯).
+ */
+export const waterUnitMap = {
+    'ml': 1, 'milliliter': 1, 'milliliters': 1, 'mL': 1,
+    'l': 1000, 'liter': 1000, 'liters': 1000, 'L': 1000,
+    'cup': 236.59, 'cups': 236.59,
+    '杯': 200,
+};
+
+/**
+ * Returns the milliliters per unit of a water unit; units are matched case-insensitively.
+ */
+function getMillilitersPerUnit(unit) {
+    return waterUnitMap[unit] || waterUnitMap[String(unit).toLowerCase()];
+}
+
+/**
+ * Checks whether a unit is one of the water units of waterUnitMap.
+ * @param {string} unit The unit.
+ * @returns {boolean} True if water amounts can be given in the unit.
+ */
+export function isWaterUnit(unit) {
+    return getMillilitersPerUnit(unit) !== undefined;
+}
+
+/**
+ * Converts a water amount to milliliters.
+ * @param {number} amount The amount in the given unit.
+ * @param {string} [unit="ml"] One of the units of waterUnitMap.
+ * @returns {number} The amount in milliliters, rounded to a whole milliliter.
+ * @throws {ValidationError} If the amount is not a positive number or the unit is unknown.
+ */
+export function convertWaterToMilliliters(amount, unit = 'ml') {
+    if (typeof amount !== 'number' || !(amount > 0)) {
+        throw new ValidationError('Invalid water amount: must be a positive number.');
+    }
+    const mlPerUnit = getMillilitersPerUnit(unit);
+    if (!mlPerUnit) {
+        throw new ValidationError(`Invalid water unit "${unit}": use ml, cups or 杯.`);
+    }
+    return Math.round(amount * mlPerUnit);
+}
+
+/**
+ * Normalizes the "water" section of a nutrition payload to a list of water entries.
+ * @param {object|Array<object>|undefined} water A single {amount, unit} entry or a list of them.
+ * @returns {Array<object>} The entries, empty if no water was given.
+ */
+export function getWaterEntries(water) {
+    if (water === undefined || water === null) {
+        return [];
+    }
+    return Array.isArray(water) ? water : [water];
+}
@@ -0,0 +1,38 @@
+import { convertWaterToMilliliters, getWaterEntries, isWaterUnit } from './water';
+import { ValidationError } from './errors';
+
+describe('convertWaterToMilliliters', () => {
+    test('should convert ml, liters, cups and 杯 to milliliters', () => {
+        expect(convertWaterToMilliliters(350, 'ml')).toBe(350);
+        expect(convertWaterToMilliliters(1.5, 'L')).toBe(1500);
+        expect(convertWaterToMilliliters(2, 'cups')).toBe(473);
+        expect(convertWaterToMilliliters(1, '杯')).toBe(200);
+    });
+
+    test('should default to milliliters', () => {
+        expect(convertWaterToMilliliters(250)).toBe(250);
+    });
+
+    test('should throw ValidationError for invalid amounts or units', () => {
+        expect(() => convertWaterToMilliliters(0, 'ml')).toThrow(ValidationError);
+        expect(() => convertWaterToMilliliters('200', 'ml')).toThrow(ValidationError);
+        expect(() => convertWaterToMilliliters(1, 'bottle')).toThrow('Invalid water unit "bottle": use ml, cups or 杯.');
+    });
+});
+
+describe('isWaterUnit', () => {
+    test('should match the water units case-insensitively', () => {
+        expect(isWaterUnit('ML')).toBe(true);
+        expect(isWaterUnit('杯')).toBe(true);
+        expect(isWaterUnit('bucket')).toBe(false);
+        expect(isWaterUnit(undefined)).toBe(false);
+    });
+});
+
+describe('getWaterEntries', () => {
+    test('should accept a single entry or a list of entries', () => {
+        expect(getWaterEntries({ amount: 1, unit: '杯' })).toEqual([{ amount: 1, unit: '杯' }]);
+        expect(getWaterEntries([{ amount: 200 }, { amount: 300 }])).toHaveLength(2);
+        expect(getWaterEntries(undefined)).toEqual([]);
+    });
+});